@@ -4,6 +4,7 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const http = require("http");
 const path = require("path");
+const crypto = require("crypto");
 const config = require("./config");
 
 // 路由
@@ -36,8 +37,12 @@ app.use((req, res, next) => {
 	) {
 		return next();
 	}
-	// 其他路由（包括 YSCP 事件接收端點）正常解析 body
-	express.json()(req, res, next);
+	// 其他路由（包括 YSCP 事件接收端點）正常解析 body，保留原始 body 供簽章驗證
+	express.json({
+		verify: (req, res, buf) => {
+			req.rawBody = buf;
+		}
+	})(req, res, next);
 });
 
 app.use((req, res, next) => {
@@ -75,7 +80,7 @@ app.get("/", (req, res) => {
 	});
 });
 
-// 健康檢查端點
+// 健康檢查端點（公開，只回報存活狀態；詳細狀態見 /api/status）
 app.get("/health", (req, res) => {
 	res.json({
 		status: "healthy",
@@ -189,6 +194,158 @@ app.post("/api/cleanup/manual", (req, res) => {
 	}
 });
 
+// ========== 管理 API 驗證 ==========
+
+/**
+ * 管理 API 驗證中間件
+ * - 已設定 ADMIN_API_TOKEN：需帶 Authorization: Bearer <token> 或 x-admin-token
+ * - 未設定：僅允許本機直接連線（經 ngrok 等代理轉送的請求帶有 X-Forwarded-For，一律拒絕）
+ */
+function requireAdminAccess(req, res, next) {
+	const expected = config.server.adminApiToken;
+
+	if (expected) {
+		const header = String(req.headers.authorization || "");
+		const received = header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : String(req.headers["x-admin-token"] || "");
+		const receivedBuf = Buffer.from(received);
+		const expectedBuf = Buffer.from(expected);
+		if (receivedBuf.length === expectedBuf.length && crypto.timingSafeEqual(receivedBuf, expectedBuf)) {
+			return next();
+		}
+		return res.status(401).json({ success: false, error: "未授權", message: "管理 API 需要有效的 ADMIN_API_TOKEN" });
+	}
+
+	const address = String(req.socket?.remoteAddress || "").replace(/^::ffff:/, "");
+	const proxied = Boolean(req.headers["x-forwarded-for"] || req.headers.forwarded);
+	if (!proxied && (address === "127.0.0.1" || address === "::1")) {
+		return next();
+	}
+	return res.status(403).json({ success: false, error: "禁止存取", message: "未設定 ADMIN_API_TOKEN 時管理 API 僅限本機存取" });
+}
+
+/**
+ * 取得服務詳細狀態（佇列、事件接收拒絕統計、設備監控、訊息額度）
+ * GET /api/status
+ */
+app.get("/api/status", requireAdminAccess, (req, res) => {
+	res.json({
+		success: true,
+		timestamp: new Date().toISOString(),
+		uptime: process.uptime(),
+		eventQueue: require("./services/eventQueueService").getStatus(),
+		eventReceiver: require("./services/eventReceiverGuardService").getStats(),
+		deviceMonitor: require("./services/deviceMonitorService").getStatus(),
+		messageQuota: require("./services/messageQuotaService").getStatus()
+	});
+});
+
+// ========== 未送達訊息（Dead Letter）端點 ==========
+
+/**
+ * 取得未送達訊息列表
+ * GET /api/dead-letters
+ */
+app.get("/api/dead-letters", requireAdminAccess, (req, res) => {
+	try {
+		const entries = DeadLetterService.list();
+		res.json({
+			success: true,
+			total: entries.length,
+			entries,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: "獲取未送達訊息失敗",
+			message: error.message
+		});
+	}
+});
+
+/**
+ * 重新推送未送達訊息
+ * POST /api/dead-letters/redrive
+ * Body: { ids?: string[] }（未提供則全部重新推送）
+ */
+app.post("/api/dead-letters/redrive", requireAdminAccess, async (req, res) => {
+	try {
+		const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
+		const summary = await DeadLetterService.redrive(ids);
+		if (!summary) {
+			return res.status(409).json({
+				success: false,
+				error: "重新推送進行中",
+				message: "已有重新推送正在執行，請稍後再試"
+			});
+		}
+		res.json({
+			success: true,
+			message: "重新推送已完成",
+			result: summary,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: "重新推送失敗",
+			message: error.message
+		});
+	}
+});
+
+// ========== 定時巡邏端點 ==========
+
+/**
+ * 取得巡邏設定
+ * GET /api/patrols
+ */
+app.get("/api/patrols", requireAdminAccess, (req, res) => {
+	try {
+		res.json({
+			success: true,
+			patrols: PatrolService.getPatrols(),
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: "獲取巡邏設定失敗",
+			message: error.message
+		});
+	}
+});
+
+/**
+ * 立即執行指定巡邏
+ * POST /api/patrols/:id/run
+ */
+app.post("/api/patrols/:id/run", requireAdminAccess, async (req, res) => {
+	try {
+		const patrol = PatrolService.getPatrol(req.params.id);
+		if (!patrol) {
+			return res.status(404).json({
+				success: false,
+				error: "找不到巡邏設定",
+				message: `巡邏 ${req.params.id} 不存在`
+			});
+		}
+
+		const result = await PatrolService.runPatrol(patrol);
+		res.json({
+			success: result.success,
+			result,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: "執行巡邏失敗",
+			message: error.message
+		});
+	}
+});
+
 // 錯誤處理中間件
 app.use((error, req, res, next) => {
 	const LoggerService = require("./services/loggerService");
@@ -226,6 +383,12 @@ const FileSystemService = require("./services/fileSystemService");
 // 引入授權驗證服務
 const LicenseService = require("./services/licenseService");
 
+// 引入未送達訊息服務
+const DeadLetterService = require("./services/deadLetterService");
+
+// 引入定時巡邏服務
+const PatrolService = require("./services/patrolService");
+
 // 啟動伺服器
 const PORT = config.server.port;
 const LoggerService = require("./services/loggerService");
@@ -301,6 +464,24 @@ const LoggerService = require("./services/loggerService");
 		if (LineBotManager.isServiceConfigured()) {
 			const lineBotService = LineBotManager.getService();
 			if (lineBotService) {
+				// 啟動勿擾時段摘要排程
+				require("./services/quietHoursService").start();
+
+				// 啟動警報升級排程
+				require("./services/escalationService").start();
+
+				// 啟動設備離線監控
+				require("./services/deviceMonitorService").start();
+
+				// 啟動定時巡邏排程
+				require("./services/patrolService").start();
+
+				// 啟動 LINE 訊息額度檢查
+				require("./services/messageQuotaService").start();
+
+				// 建立並連結各角色的圖文選單
+				void require("./services/richMenuService").provision();
+
 				// 延遲 5 秒啟動，確保服務完全初始化
 				setTimeout(() => {
 					// follower 同步已移除（隱私限制）
@@ -22,7 +22,27 @@ const config = {
 		// YSCP 事件回呼地址 (需要設定為您的伺服器公開 URL)
 		webhookUrl: process.env.WEBHOOK_URL,
 		// 事件訂閱驗證 Token
-		eventToken: process.env.EVENT_TOKEN || "your_unique_verification_token"
+		eventToken: process.env.EVENT_TOKEN || "your_unique_verification_token",
+		// 管理 API（未送達訊息、巡邏）驗證 Token；未設定時僅允許本機直接連線
+		adminApiToken: process.env.ADMIN_API_TOKEN || null,
+		// YSCP 事件接收端點的驗證設定
+		eventReceiver: {
+			// 嚴格模式：必須設定 EVENT_TOKEN，且不再略過預設 Token
+			strict: process.env.EVENT_RECEIVER_STRICT === "true",
+			// 允許的來源 IP / CIDR（逗號分隔），未設定則不限制
+			allowedCidrs: (process.env.EVENT_ALLOWED_CIDRS || "")
+				.split(",")
+				.map((item) => item.trim())
+				.filter(Boolean),
+			// 經由反向代理（例如 ngrok）時以 X-Forwarded-For 判斷來源 IP：true 表示 1 層代理，亦可填入信任的代理層數
+			trustProxy: process.env.EVENT_TRUST_PROXY === "true" ? 1 : Math.max(0, parseInt(process.env.EVENT_TRUST_PROXY, 10) || 0),
+			// HMAC-SHA256 簽章金鑰（選用）
+			hmacSecret: process.env.EVENT_HMAC_SECRET || null,
+			signatureHeader: (process.env.EVENT_SIGNATURE_HEADER || "x-signature").toLowerCase(),
+			// 時間戳記與 nonce 防重送（選用）
+			replayProtection: process.env.EVENT_REPLAY_PROTECTION === "true",
+			replayWindowSeconds: Number(process.env.EVENT_REPLAY_WINDOW_SECONDS) || 300
+		}
 	}
 };
 
@@ -5,70 +5,21 @@
 
 const LineBotManager = require("../services/lineBotService");
 const LoggerService = require("../services/loggerService");
-const FlexMessageService = require("../services/flexMessageService");
-const EventStorageService = require("../services/eventStorageService");
-const configService = require("../services/configService");
-const config = require("../config");
+const EventQueueService = require("../services/eventQueueService");
+const EventReceiverGuardService = require("../services/eventReceiverGuardService");
+const YscpNotificationService = require("../services/yscpNotificationService");
 
 class LineBotController {
 	constructor() {
 		this.lineBotService = LineBotManager.getService();
 		this.isConfigured = LineBotManager.isServiceConfigured();
 
-		// 去重機制：記錄已處理的事件 ID（60 秒內不重複處理）
-		this.processedEvents = new Map();
-		this.dedupeTTL = 60000; // 60 秒
-
-		// 頻率控制：記錄最後推送時間，限制推送間隔
-		this.lastPushTime = 0;
-		this.minPushInterval = 2000; // 2 秒最小間隔
-
-		// 定期清理過期的去重記錄（每 5 分鐘）
-		setInterval(() => this.cleanupProcessedEvents(), 5 * 60 * 1000);
-	}
-
-	/**
-	 * 檢查事件是否為重複（去重）
-	 * @param {string} eventId - 事件 ID
-	 * @returns {boolean} 是否為重複事件
-	 */
-	isDuplicateEvent(eventId) {
-		if (!eventId) return false;
-		const now = Date.now();
-		const processedTime = this.processedEvents.get(eventId);
-		if (processedTime && now - processedTime < this.dedupeTTL) {
-			return true;
-		}
-		this.processedEvents.set(eventId, now);
-		return false;
-	}
-
-	/**
-	 * 清理過期的去重記錄
-	 */
-	cleanupProcessedEvents() {
-		const now = Date.now();
-		for (const [eventId, processedTime] of this.processedEvents.entries()) {
-			if (now - processedTime > this.dedupeTTL) {
-				this.processedEvents.delete(eventId);
-			}
+		// 事件推送統一交由 EventQueueService 處理（優先佇列、併發與頻率控制）
+		if (this.lineBotService?.client) {
+			EventQueueService.initialize(this.lineBotService.client);
 		}
 	}
 
-	/**
-	 * 執行頻率控制（確保推送間隔）
-	 * @returns {Promise<void>}
-	 */
-	async enforceRateLimit() {
-		const now = Date.now();
-		const timeSinceLastPush = now - this.lastPushTime;
-		if (timeSinceLastPush < this.minPushInterval) {
-			const waitTime = this.minPushInterval - timeSinceLastPush;
-			await new Promise((resolve) => setTimeout(resolve, waitTime));
-		}
-		this.lastPushTime = Date.now();
-	}
-
 	/**
 	 * 獲取 Line Bot 狀態
 	 */
@@ -151,21 +102,19 @@ class LineBotController {
 			const eventData = req.body;
 			LoggerService.debug(`[EVENT_RECEIVER] 收到的事件數據: ${JSON.stringify(eventData)}`);
 
-			const receivedToken =
-				req.headers["x-ca-token"] || req.headers["token"] || req.headers["authorization"] || req.headers["x-auth-token"] || req.headers["x-event-token"];
-
-			if (config.server.eventToken && config.server.eventToken !== "your_unique_verification_token" && receivedToken !== config.server.eventToken) {
-				LoggerService.warn("事件 Token 驗證失敗");
-				LoggerService.httpStatus(`YSCP 事件推送回應: Token 驗證失敗`, 401, req.method, req.originalUrl);
-				return res.status(401).json({
+			// 驗證來源 IP、Token、簽章與防重送
+			const verification = EventReceiverGuardService.verify(req);
+			if (!verification.ok) {
+				LoggerService.httpStatus(`YSCP 事件推送回應: ${verification.message}`, verification.status, req.method, req.originalUrl);
+				return res.status(verification.status).json({
 					success: false,
-					error: "Unauthorized",
-					message: "Token 驗證失敗"
+					error: verification.status === 403 ? "Forbidden" : "Unauthorized",
+					message: verification.message
 				});
 			}
 
 			// 驗證訊息格式
-			if (!eventData.method || eventData.method !== "OnEventNotify") {
+			if (!YscpNotificationService.isSupported(eventData.method)) {
 				LoggerService.warn(`[EVENT_RECEIVER] 未知的事件方法: ${eventData.method}`);
 				LoggerService.httpStatus(`YSCP 事件推送回應: 未知的事件方法`, 400, req.method, req.originalUrl);
 				return res.status(400).json({
@@ -175,13 +124,17 @@ class LineBotController {
 				});
 			}
 
-			// 提取事件參數
-			const params = eventData.params || {};
-			const ability = params.ability;
-			const events = params.events || [];
-			const botClient = this.lineBotService?.client;
+			// 依 method 轉換為事件資料（一般事件、設備上下線、警報解除）
+			const events = YscpNotificationService.normalize(eventData.method, eventData.params);
+
+			// 先交由事件佇列持久化（寫入日誌）再回應，避免重啟時遺失已確認接收的事件
+			let enqueued = 0;
+			for (const ev of events) {
+				if (EventQueueService.enqueueHCPEvent(ev)) {
+					enqueued++;
+				}
+			}
 
-			// 立即回應成功
 			res.status(200).json({
 				success: true,
 				message: "事件已接收"
@@ -189,66 +142,7 @@ class LineBotController {
 
 			// 記錄成功回應
 			LoggerService.httpStatus(`YSCP 事件推送回應: 事件已接收`, 200, req.method, req.originalUrl);
-
-			// 非同步直接處理並推送（含去重和頻率控制）
-			if (events.length && botClient) {
-				const usersCfg = configService.loadConfig("user-management.json", { users: {} });
-				const targets = Object.entries(usersCfg.users || {})
-					.filter(([, user]) => user && (user.role === "admin" || user.role === "target"))
-					.map(([userId, user]) => user.id || user.userId || userId)
-					.filter(Boolean);
-
-				if (targets.length === 0) {
-					LoggerService.warn("沒有通知目標，跳過推送");
-					return;
-				}
-
-				// 過濾重複事件
-				const uniqueEvents = events.filter((ev) => {
-					const isDup = this.isDuplicateEvent(ev.eventId);
-					if (isDup) {
-						LoggerService.hcp(`[EVENT_RECEIVER] 跳過重複事件: ${ev.eventId}`);
-					}
-					return !isDup;
-				});
-
-				if (uniqueEvents.length === 0) {
-					LoggerService.hcp(`[EVENT_RECEIVER] 所有事件都是重複的，跳過處理`);
-					return;
-				}
-
-				LoggerService.hcp(`[EVENT_RECEIVER] 處理 ${uniqueEvents.length} 個事件（已過濾 ${events.length - uniqueEvents.length} 個重複事件）`);
-
-				// 處理事件（含頻率控制和併發限制）
-				const processEvent = async (ev) => {
-					try {
-						const flexMsg = await new FlexMessageService().createEventFlexMessage({
-							ability,
-							...ev
-						});
-
-						// 頻率控制：在推送前確保間隔（避免觸發 Line Bot API 速率限制）
-						await this.enforceRateLimit();
-
-						await Promise.all(targets.map((id) => botClient.pushMessage(id, [flexMsg])));
-						EventStorageService.appendEventToHistory({ ...ev, ability });
-					} catch (err) {
-						LoggerService.error("即時處理並推送事件失敗", err);
-					}
-				};
-
-				// 限制併發數量為 3，避免同時發起過多 API 請求
-				const maxConcurrent = 3;
-				const processWithConcurrency = async () => {
-					for (let i = 0; i < uniqueEvents.length; i += maxConcurrent) {
-						const batch = uniqueEvents.slice(i, i + maxConcurrent);
-						await Promise.all(batch.map(processEvent));
-					}
-				};
-
-				// 非同步執行，不阻塞 HTTP 回應
-				void processWithConcurrency();
-			}
+			LoggerService.hcp(`[EVENT_RECEIVER] ${eventData.method} 已入列 ${enqueued} 個事件（略過 ${events.length - enqueued} 個重複事件）`);
 		} catch (error) {
 			const processingTime = Date.now() - startTime;
 			LoggerService.error(`處理 YSCP 事件錯誤: ${error.message} - 處理時間: ${processingTime}ms`, error);
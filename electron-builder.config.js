@@ -23,6 +23,7 @@ module.exports = {
 		"data/**/*",
 		"installer/**/*",
 		"renderer/**/*",
+		"assets/**/*",
 		"!node_modules/**/*",
 		"!dist/**/*",
 		"!logs/**/*",
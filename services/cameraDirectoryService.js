@@ -0,0 +1,230 @@
+/**
+ * 攝影機目錄服務
+ * - 快取 YSCP 攝影機、編碼設備與區域列表（分頁取得），逾時後重新查詢
+ * - 依名稱、區域與上線狀態搜尋攝影機，供攝影機列表使用
+ * - 依名稱模糊比對攝影機，供「擷圖 倉庫熱成像」等指令使用
+ * - 擷取攝影機畫面並產生公開圖片 URL（指令擷圖與定時巡邏共用）
+ */
+
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+
+class CameraDirectoryService {
+	constructor() {
+		this.pageSize = 500;
+		this.ttlMs = 5 * 60 * 1000;
+		this.cache = {};
+		this.loading = {};
+	}
+
+	/**
+	 * 取得攝影機列表（快取）
+	 * @param {Object} options - { forceRefresh }
+	 * @returns {Promise<Array>} 攝影機列表
+	 */
+	async getCameras({ forceRefresh = false } = {}) {
+		return this.getCached("cameras", "getCameraList", forceRefresh);
+	}
+
+	/**
+	 * 取得區域列表（快取）；平台不支援區域查詢時回傳空陣列
+	 * @param {Object} options - { forceRefresh }
+	 * @returns {Promise<Array>} 區域列表 [{ indexCode, name, parentIndexCode }]
+	 */
+	async getRegions({ forceRefresh = false } = {}) {
+		try {
+			return await this.getCached("regions", "getRegionList", forceRefresh);
+		} catch (error) {
+			LoggerService.warn(`取得區域列表失敗: ${error.message}`);
+			return [];
+		}
+	}
+
+	/**
+	 * 取得編碼設備列表（快取）
+	 * @param {Object} options - { forceRefresh }
+	 * @returns {Promise<Array>} 編碼設備列表
+	 */
+	async getEncodeDevices({ forceRefresh = false } = {}) {
+		return this.getCached("encodeDevices", "getEncodeDeviceList", forceRefresh);
+	}
+
+	async getCached(key, method, forceRefresh) {
+		const cached = this.cache[key];
+		if (!forceRefresh && cached && Date.now() - cached.ts < this.ttlMs) {
+			return cached.list;
+		}
+		// 同時多個查詢時共用同一次請求
+		if (!this.loading[key]) {
+			this.loading[key] = this.fetchAll(method)
+				.then((list) => {
+					this.cache[key] = { list, ts: Date.now() };
+					return list;
+				})
+				.finally(() => {
+					delete this.loading[key];
+				});
+		}
+		return this.loading[key];
+	}
+
+	/**
+	 * 分頁取得完整列表
+	 * @param {string} method - HCPClient 方法名稱
+	 * @returns {Promise<Array>}
+	 */
+	async fetchAll(method) {
+		const hcpClient = HCPClient.getInstance();
+		const items = [];
+		for (let pageNo = 1; ; pageNo++) {
+			const page = await hcpClient[method]({ pageNo, pageSize: this.pageSize });
+			if (page?.code !== "0" || !page.data) {
+				throw new Error(`${method} 查詢失敗: ${page?.msg || "無資料"}`);
+			}
+			const list = Array.isArray(page.data.list) ? page.data.list : [];
+			items.push(...list);
+			if (list.length < this.pageSize || items.length >= Number(page.data.total)) break;
+		}
+		return items;
+	}
+
+	clearCache() {
+		this.cache = {};
+	}
+
+	isOnline(camera) {
+		return Number(camera?.status) === 1;
+	}
+
+	/**
+	 * 正規化比對字串（忽略大小寫、空白與標點）
+	 * @param {string} text - 原始字串
+	 * @returns {string}
+	 */
+	normalize(text) {
+		return String(text || "")
+			.toLowerCase()
+			.replace(/[\s\-_()（）[\]【】.,，、/\\]+/g, "");
+	}
+
+	/**
+	 * 計算名稱與查詢字串的符合程度
+	 * @param {string} name - 正規化後的攝影機名稱
+	 * @param {string} query - 正規化後的查詢字串
+	 * @returns {number} 0 表示不符合，數值越大越符合
+	 */
+	scoreName(name, query) {
+		if (!name || !query) return 0;
+		if (name === query) return 4;
+		if (name.startsWith(query)) return 3;
+		if (name.includes(query)) return 2;
+
+		// 依序包含查詢字串的每個字（例如「倉熱像」符合「倉庫熱成像」）
+		let position = 0;
+		for (const char of query) {
+			position = name.indexOf(char, position);
+			if (position === -1) return 0;
+			position++;
+		}
+		return 1;
+	}
+
+	/**
+	 * 依 ID 或名稱尋找攝影機
+	 * @param {string} query - 攝影機 ID 或名稱關鍵字
+	 * @returns {Promise<Array>} 符合的攝影機（越符合越前面）；ID 或名稱完全相同時只回傳該支
+	 */
+	async findCameras(query) {
+		const cameras = await this.getCameras();
+		const keyword = String(query || "").trim();
+		if (!keyword) return [];
+
+		const byId = cameras.find((camera) => String(camera.cameraIndexCode) === keyword);
+		if (byId) return [byId];
+
+		const normalized = this.normalize(keyword);
+		const scored = cameras
+			.map((camera) => ({ camera, score: this.scoreName(this.normalize(camera.cameraName), normalized) }))
+			.filter((item) => item.score > 0)
+			.sort((a, b) => b.score - a.score || String(a.camera.cameraName).localeCompare(String(b.camera.cameraName), "zh-TW"));
+
+		const exact = scored.filter((item) => item.score === 4);
+		return (exact.length === 1 ? exact : scored).map((item) => item.camera);
+	}
+
+	/**
+	 * 搜尋攝影機
+	 * @param {Object} query - { keyword: 名稱關鍵字, region: 區域名稱或 ID, onlineOnly: 只列線上 }
+	 * @returns {Promise<Array>} 符合的攝影機（附 regionName），線上優先、依名稱排序
+	 */
+	async searchCameras({ keyword, region, onlineOnly = false } = {}) {
+		const [cameras, regions] = await Promise.all([this.getCameras(), this.getRegions()]);
+		const regionNames = new Map(regions.map((item) => [String(item.indexCode), item.name]));
+		let list = cameras.map((camera) => ({ ...camera, regionName: regionNames.get(String(camera.regionIndexCode)) || null }));
+
+		if (region) {
+			const normalized = this.normalize(region);
+			list = list.filter((camera) => String(camera.regionIndexCode) === String(region) || (camera.regionName && this.normalize(camera.regionName).includes(normalized)));
+		}
+		if (onlineOnly) {
+			list = list.filter((camera) => this.isOnline(camera));
+		}
+
+		const normalizedKeyword = this.normalize(keyword);
+		return list
+			.map((camera) => ({ camera, score: normalizedKeyword ? this.scoreName(this.normalize(camera.cameraName), normalizedKeyword) : 1 }))
+			.filter((item) => item.score > 0 || String(item.camera.cameraIndexCode) === String(keyword).trim())
+			.sort(
+				(a, b) =>
+					Number(this.isOnline(b.camera)) - Number(this.isOnline(a.camera)) ||
+					b.score - a.score ||
+					String(a.camera.cameraName).localeCompare(String(b.camera.cameraName), "zh-TW")
+			)
+			.map((item) => item.camera);
+	}
+
+	/**
+	 * 依 ID 取得攝影機
+	 * @param {Array<string>} cameraIds - cameraIndexCode 列表
+	 * @returns {Promise<Array<Object>>} 依傳入順序；已不存在的攝影機以 { cameraIndexCode, cameraName: null, status: null, missing: true } 表示
+	 */
+	async getCamerasByIds(cameraIds) {
+		const cameras = await this.getCameras();
+		const byId = new Map(cameras.map((camera) => [String(camera.cameraIndexCode), camera]));
+		return cameraIds.map((id) => byId.get(String(id)) || { cameraIndexCode: String(id), cameraName: null, status: null, missing: true });
+	}
+
+	/**
+	 * 擷取單一攝影機畫面
+	 * @param {string|Object} camera - cameraIndexCode 或 { indexCode, name }
+	 * @returns {Promise<{ cameraId: string, name: string, imageUrl: string|null, error: string|null }>}
+	 */
+	async capture(camera) {
+		const cameraId = String(typeof camera === "object" ? camera.indexCode : camera);
+		const name = (typeof camera === "object" && camera.name) || `攝影機 ${cameraId}`;
+
+		try {
+			const captureResult = await HCPClient.getInstance().captureCameraImage({ cameraIndexCode: cameraId });
+			if (captureResult?.code !== "0" || !captureResult.data) {
+				return { cameraId, name, imageUrl: null, error: captureResult?.msg || "擷取失敗" };
+			}
+
+			const lineBotService = require("./lineBotService").getService();
+			const imageUrl = lineBotService ? lineBotService.processCameraImage(captureResult.data, cameraId) : null;
+			if (!imageUrl) {
+				return { cameraId, name, imageUrl: null, error: "圖片處理失敗" };
+			}
+			if (imageUrl.includes("localhost")) {
+				// Line 無法存取 localhost 圖片
+				return { cameraId, name, imageUrl: null, error: "需要公網 URL" };
+			}
+			return { cameraId, name, imageUrl, error: null };
+		} catch (error) {
+			LoggerService.error(`擷取攝影機 ${cameraId} 失敗`, error);
+			return { cameraId, name, imageUrl: null, error: error.message };
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new CameraDirectoryService();
@@ -0,0 +1,100 @@
+/**
+ * 文字指令註冊表
+ * - 每個指令定義名稱、中英文別名、參數解析、所需權限（PermissionService 動作）與說明文字
+ * - 比對輸入文字的開頭，別名後需為空白或結尾（避免群組閒聊如「管理員在嗎」、「狀態不錯喔」觸發指令）
+ * - 使用說明 Flex Message 依註冊內容產生
+ *
+ * 指令定義：
+ *   { name, aliases: [], permission: "view_history" | "capture" | ...（省略表示已授權角色皆可使用）, usage, description,
+ *     groupPermission: 在群組或聊天室使用時改為需要的權限（例如會影響整個群組的設定）,
+ *     parseArgs: (tokens, rawArgs) => Object|null（回傳 null 表示格式錯誤）, handler: (event, args) => Promise }
+ */
+
+const PermissionService = require("./permissionService");
+
+class CommandRegistry {
+	constructor() {
+		this.commands = [];
+	}
+
+	/**
+	 * 註冊指令
+	 * @param {Object} command - 指令定義
+	 * @returns {CommandRegistry}
+	 */
+	register(command) {
+		const aliases = [command.name, ...(command.aliases || [])].map((alias) => String(alias).toLowerCase());
+		this.commands.push({ permission: null, ...command, aliases: [...new Set(aliases)] });
+		return this;
+	}
+
+	/**
+	 * 比對輸入文字（取最長的符合別名）
+	 * @param {string} text - 使用者輸入
+	 * @returns {{ command: Object, alias: string, rawArgs: string }|null}
+	 */
+	match(text) {
+		const input = String(text || "").trim();
+		const lower = input.toLowerCase();
+		let best = null;
+
+		for (const command of this.commands) {
+			for (const alias of command.aliases) {
+				if (!lower.startsWith(alias) || (best && best.alias.length >= alias.length)) continue;
+				// 別名後需以空白分隔，避免 "helpdesk" 被當成 "help"、「事件處理好了嗎」被當成「事件」
+				const next = lower.charAt(alias.length);
+				if (next && !/\s/.test(next)) continue;
+				best = { command, alias, rawArgs: input.slice(alias.length).trim() };
+			}
+		}
+		return best;
+	}
+
+	/**
+	 * 解析指令參數
+	 * @param {Object} command - 指令定義
+	 * @param {string} rawArgs - 指令後的文字
+	 * @returns {Object|null} 參數物件；格式錯誤時回傳 null
+	 */
+	parseArgs(command, rawArgs) {
+		const tokens = rawArgs ? rawArgs.split(/\s+/).filter(Boolean) : [];
+		if (typeof command.parseArgs !== "function") {
+			return { text: rawArgs, tokens };
+		}
+		return command.parseArgs(tokens, rawArgs);
+	}
+
+	/**
+	 * 取得指令所需的權限
+	 * @param {Object} command - 指令定義
+	 * @param {string} sourceType - 來源類型：user | group | room
+	 * @returns {string|null}
+	 */
+	getPermission(command, sourceType = "user") {
+		return sourceType !== "user" && command.groupPermission ? command.groupPermission : command.permission || null;
+	}
+
+	/**
+	 * 判斷角色是否可使用指令
+	 * @param {Object} command - 指令定義
+	 * @param {string|null} role - 使用者角色
+	 * @param {string} sourceType - 來源類型：user | group | room
+	 * @returns {boolean}
+	 */
+	canUse(command, role, sourceType = "user") {
+		const permission = this.getPermission(command, sourceType);
+		return PermissionService.isAuthorizedRole(role) && (!permission || PermissionService.can(role, permission));
+	}
+
+	/**
+	 * 取得角色可使用的指令（供使用說明顯示）
+	 * @param {string|null} role - 使用者角色
+	 * @param {string} sourceType - 來源類型：user | group | room
+	 * @returns {Array<Object>}
+	 */
+	getCommands(role, sourceType = "user") {
+		return this.commands.filter((command) => !command.hidden && this.canUse(command, role, sourceType));
+	}
+}
+
+module.exports = CommandRegistry;
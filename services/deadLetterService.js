@@ -0,0 +1,150 @@
+/**
+ * 未送達訊息（Dead Letter）服務
+ * - 重試後仍失敗的推送記錄到 data/dead-letters.json（事件、對象、錯誤）
+ * - 提供查詢與重新推送（re-drive），同一時間僅允許一次重新推送
+ */
+
+const crypto = require("crypto");
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const LineDeliveryService = require("./lineDeliveryService");
+const FlexMessageService = require("./flexMessageService");
+
+class DeadLetterService {
+	constructor() {
+		this.filename = "dead-letters.json";
+		this.maxEntries = 500;
+		this.flexMessageService = new FlexMessageService();
+		this.redriving = false;
+	}
+
+	load() {
+		const data = configService.loadConfig(this.filename, { entries: [] });
+		if (!Array.isArray(data.entries)) data.entries = [];
+		return data;
+	}
+
+	save(data) {
+		return configService.saveConfig(this.filename, data);
+	}
+
+	/**
+	 * 新增未送達紀錄
+	 * @param {Object} eventData - 事件資料
+	 * @param {string} target - 推送對象 ID
+	 * @param {Error} error - 最後一次錯誤
+	 * @param {number} attempts - 已嘗試次數
+	 * @param {Array<Object>|null} messages - 原本要送出的訊息（例如彙整摘要），重新推送時原樣送出；未提供則依事件重建
+	 * @returns {Object} 新增的紀錄
+	 */
+	add(eventData, target, error, attempts = 0, messages = null) {
+		const data = this.load();
+		const entry = {
+			id: crypto.randomUUID(),
+			eventId: eventData?.eventId || null,
+			event: eventData,
+			target,
+			error: error ? error.message || String(error) : null,
+			statusCode: error?.statusCode || null,
+			attempts,
+			createdAt: new Date().toISOString()
+		};
+		if (Array.isArray(messages) && messages.length > 0) {
+			entry.messages = messages;
+		}
+
+		data.entries.unshift(entry);
+		if (data.entries.length > this.maxEntries) {
+			data.entries = data.entries.slice(0, this.maxEntries);
+		}
+		this.save(data);
+
+		LoggerService.warn(`[DEAD_LETTER] 事件 ${entry.eventId} 無法送達 ${target}: ${entry.error}`);
+		return entry;
+	}
+
+	/**
+	 * 取得未送達紀錄
+	 * @returns {Array}
+	 */
+	list() {
+		return this.load().entries;
+	}
+
+	count() {
+		return this.list().length;
+	}
+
+	/**
+	 * 重新推送未送達紀錄
+	 * @param {Array<string>|null} ids - 指定紀錄 ID（未指定則全部）
+	 * @returns {Promise<{ total: number, succeeded: number, failed: number }|null>} 已有重新推送進行中時回傳 null
+	 */
+	async redrive(ids = null) {
+		if (this.redriving) {
+			LoggerService.warn("[DEAD_LETTER] 已有重新推送進行中，略過本次請求");
+			return null;
+		}
+		this.redriving = true;
+		try {
+			return await this.redriveEntries(ids);
+		} finally {
+			this.redriving = false;
+		}
+	}
+
+	isRedriving() {
+		return this.redriving;
+	}
+
+	/**
+	 * 逐筆重新推送並更新紀錄（由 redrive 呼叫）
+	 * @param {Array<string>|null} ids - 指定紀錄 ID（未指定則全部）
+	 */
+	async redriveEntries(ids) {
+		const entries = this.list().filter((entry) => !ids || ids.includes(entry.id));
+		const summary = { total: entries.length, succeeded: 0, failed: 0 };
+		const succeededIds = new Set();
+		const attemptsById = new Map();
+
+		for (const entry of entries) {
+			try {
+				const messages = entry.messages || [await this.flexMessageService.createEventFlexMessage(entry.event, { reuseStoredImage: true })];
+				const result = await LineDeliveryService.pushWithRetry(entry.target, messages);
+				if (result.success) {
+					succeededIds.add(entry.id);
+					summary.succeeded++;
+				} else {
+					attemptsById.set(entry.id, { attempts: result.attempts, error: result.error });
+					summary.failed++;
+				}
+			} catch (error) {
+				LoggerService.error(`[DEAD_LETTER] 重新推送 ${entry.id} 失敗`, error);
+				attemptsById.set(entry.id, { attempts: 0, error });
+				summary.failed++;
+			}
+		}
+
+		// 重新讀取後再寫回，避免覆蓋重新推送期間新增的紀錄
+		const data = this.load();
+		data.entries = data.entries
+			.filter((entry) => !succeededIds.has(entry.id))
+			.map((entry) => {
+				const retry = attemptsById.get(entry.id);
+				if (!retry) return entry;
+				return {
+					...entry,
+					attempts: (entry.attempts || 0) + retry.attempts,
+					error: retry.error ? retry.error.message || String(retry.error) : entry.error,
+					lastRedriveAt: new Date().toISOString()
+				};
+			});
+		this.save(data);
+
+		LoggerService.service(`[DEAD_LETTER] 重新推送完成：成功 ${summary.succeeded} 筆，失敗 ${summary.failed} 筆`);
+		return summary;
+	}
+}
+
+// 導出單例實例
+module.exports = new DeadLetterService();
@@ -0,0 +1,253 @@
+/**
+ * 設備離線監控服務
+ * - 定期透過 YSCP 查詢攝影機與編碼設備的線上狀態
+ * - 與 data/device-status-snapshot.json 的上次快照比對，狀態改變時推送離線 / 恢復上線通知
+ * - 防抖動：狀態需連續維持 confirmPolls 次才通知；時間窗內切換過於頻繁時只通知一次「狀態不穩定」
+ * - 通知以 device_status 事件送入 EventQueueService（沿用推送規則、勿擾時段與事件歷史）
+ *
+ * 設定（event-types.json → settings.deviceMonitor）：
+ *   { "enabled": true, "intervalMinutes": 5, "confirmPolls": 2, "flapWindowMinutes": 30, "flapThreshold": 4,
+ *     "includeCameras": true, "includeEncodeDevices": true }
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+const EventQueueService = require("./eventQueueService");
+
+class DeviceMonitorService {
+	constructor() {
+		this.filename = "device-status-snapshot.json";
+		this.pageSize = 500;
+		this.pollTimer = null;
+		this.polling = false;
+		this.defaultSettings = {
+			enabled: true,
+			intervalMinutes: 5,
+			confirmPolls: 2,
+			flapWindowMinutes: 30,
+			flapThreshold: 4,
+			includeCameras: true,
+			includeEncodeDevices: true
+		};
+	}
+
+	getSettings() {
+		const settings = HCPClient.getInstance().settings?.deviceMonitor || {};
+		return { ...this.defaultSettings, ...settings };
+	}
+
+	load() {
+		const data = configService.loadConfig(this.filename, { devices: {}, lastPolledAt: null });
+		if (!data.devices || typeof data.devices !== "object") data.devices = {};
+		return data;
+	}
+
+	/**
+	 * 分頁取得完整列表
+	 * @param {string} method - HCPClient 方法名稱
+	 * @returns {Promise<Array>}
+	 */
+	async fetchAll(method) {
+		const hcpClient = HCPClient.getInstance();
+		const first = await hcpClient[method]({ pageNo: 1, pageSize: 1 });
+		if (first?.code !== "0" || !first.data) {
+			throw new Error(`${method} 回應異常: ${first?.msg || "無資料"}`);
+		}
+
+		const total = Number(first.data.total) || 0;
+		const list = [];
+		for (let pageNo = 1; (pageNo - 1) * this.pageSize < total; pageNo++) {
+			const page = await hcpClient[method]({ pageNo, pageSize: this.pageSize });
+			if (page?.code !== "0" || !Array.isArray(page.data?.list)) {
+				throw new Error(`${method} 第 ${pageNo} 頁回應異常: ${page?.msg || "無資料"}`);
+			}
+			list.push(...page.data.list);
+		}
+		return list;
+	}
+
+	/**
+	 * 取得目前所有設備的線上狀態
+	 * @param {Object} settings - 監控設定
+	 * @returns {Promise<Map<string, { type: string, indexCode: string, name: string, online: boolean }>>}
+	 */
+	async fetchDevices(settings) {
+		const devices = new Map();
+
+		if (settings.includeCameras) {
+			(await this.fetchAll("getCameraList")).forEach((camera) => {
+				devices.set(`camera:${camera.cameraIndexCode}`, {
+					type: "camera",
+					indexCode: camera.cameraIndexCode,
+					name: camera.cameraName || camera.cameraIndexCode,
+					online: camera.status === 1
+				});
+			});
+		}
+
+		if (settings.includeEncodeDevices) {
+			(await this.fetchAll("getEncodeDeviceList")).forEach((device) => {
+				devices.set(`encodeDevice:${device.encodeDevIndexCode}`, {
+					type: "encodeDevice",
+					indexCode: device.encodeDevIndexCode,
+					name: device.encodeDevName || device.encodeDevIndexCode,
+					online: device.status === 1
+				});
+			});
+		}
+
+		return devices;
+	}
+
+	/**
+	 * 執行一次輪詢並比對快照
+	 * @returns {Promise<number>} 送出的通知數量
+	 */
+	async poll() {
+		if (this.polling) return 0;
+		this.polling = true;
+		try {
+			const settings = this.getSettings();
+			let current;
+			try {
+				current = await this.fetchDevices(settings);
+			} catch (error) {
+				// 查詢失敗時不更新快照，避免 YSCP 連線問題被誤判為全部離線
+				LoggerService.error("[DEVICE_MONITOR] 查詢設備狀態失敗", error);
+				return 0;
+			}
+
+			const snapshot = this.load();
+			const now = Date.now();
+			const nowIso = new Date(now).toISOString();
+			const flapWindowMs = settings.flapWindowMinutes * 60 * 1000;
+			const notifications = [];
+
+			for (const [key, device] of current.entries()) {
+				const state = snapshot.devices[key];
+				if (!state) {
+					// 新設備（或首次輪詢）只建立基準，不通知
+					snapshot.devices[key] = { ...device, since: nowIso, reportedOnline: device.online, pendingPolls: 0, transitions: [], flapping: false };
+					continue;
+				}
+
+				state.name = device.name;
+				if (state.online !== device.online) {
+					state.online = device.online;
+					state.since = nowIso;
+					state.pendingPolls = 0;
+					state.transitions = [...(state.transitions || []), now];
+				}
+				state.transitions = (state.transitions || []).filter((time) => now - time <= flapWindowMs);
+
+				if (!state.flapping && state.transitions.length >= settings.flapThreshold) {
+					state.flapping = true;
+					notifications.push(this.createStatusEvent(key, state, "flapping", nowIso));
+					continue;
+				}
+				if (state.flapping) {
+					// 整個時間窗內都沒有再切換才解除不穩定狀態
+					if (state.transitions.length > 0) continue;
+					state.flapping = false;
+					LoggerService.hcp(`[DEVICE_MONITOR] ${state.name} 狀態已穩定（${state.online ? "線上" : "離線"}）`);
+				}
+
+				if (state.online === state.reportedOnline) {
+					state.pendingPolls = 0;
+					continue;
+				}
+
+				state.pendingPolls = (state.pendingPolls || 0) + 1;
+				if (state.pendingPolls < settings.confirmPolls) continue;
+
+				notifications.push(this.createStatusEvent(key, state, state.online ? "online" : "offline", nowIso));
+				state.offlineSince = state.online ? null : state.since;
+				state.reportedOnline = state.online;
+				state.pendingPolls = 0;
+			}
+
+			// 已從 YSCP 移除的設備不再追蹤
+			Object.keys(snapshot.devices).forEach((key) => {
+				if (!current.has(key)) delete snapshot.devices[key];
+			});
+
+			snapshot.lastPolledAt = nowIso;
+			configService.saveConfig(this.filename, snapshot);
+
+			notifications.forEach((eventData) => {
+				LoggerService.hcp(`[DEVICE_MONITOR] ${eventData.srcName} ${eventData.deviceStatus}`);
+				EventQueueService.enqueue(eventData);
+			});
+			return notifications.length;
+		} catch (error) {
+			LoggerService.error("[DEVICE_MONITOR] 輪詢設備狀態失敗", error);
+			return 0;
+		} finally {
+			this.polling = false;
+		}
+	}
+
+	/**
+	 * 建立設備狀態事件
+	 * @param {string} key - 快照鍵
+	 * @param {Object} state - 設備快照
+	 * @param {string} deviceStatus - online | offline | flapping
+	 * @param {string} nowIso - 目前時間
+	 * @returns {Object} 事件資料（kind: device_status）
+	 */
+	createStatusEvent(key, state, deviceStatus, nowIso) {
+		return {
+			kind: "device_status",
+			eventId: `monitor_${key}_${deviceStatus}_${state.since}`,
+			eventType: null,
+			srcIndex: state.indexCode,
+			srcName: state.name,
+			srcType: state.type === "camera" ? "攝影機" : "編碼設備",
+			deviceStatus,
+			// 離線時間以偵測到狀態改變的時間為準；恢復上線時附上離線起始時間
+			happenTime: deviceStatus === "flapping" ? nowIso : state.since,
+			offlineSince: deviceStatus === "online" ? state.offlineSince || null : deviceStatus === "offline" ? state.since : null
+		};
+	}
+
+	/**
+	 * 取得監控狀態
+	 * @returns {{ lastPolledAt: string|null, devices: number, offline: Array<{ name: string, since: string }>, flapping: number }}
+	 */
+	getStatus() {
+		const snapshot = this.load();
+		const devices = Object.values(snapshot.devices);
+		return {
+			lastPolledAt: snapshot.lastPolledAt,
+			devices: devices.length,
+			offline: devices.filter((device) => !device.online).map((device) => ({ name: device.name, type: device.type, since: device.since })),
+			flapping: devices.filter((device) => device.flapping).length
+		};
+	}
+
+	/**
+	 * 啟動輪詢排程
+	 */
+	start() {
+		const settings = this.getSettings();
+		if (this.pollTimer || !settings.enabled) return;
+
+		const intervalMs = Math.max(1, Number(settings.intervalMinutes) || this.defaultSettings.intervalMinutes) * 60 * 1000;
+		this.pollTimer = setInterval(() => {
+			void this.poll();
+		}, intervalMs);
+		void this.poll();
+		LoggerService.service(`設備離線監控已啟動（每 ${settings.intervalMinutes} 分鐘檢查一次）`);
+	}
+
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new DeviceMonitorService();
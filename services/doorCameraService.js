@@ -0,0 +1,83 @@
+/**
+ * 門禁連動攝影機服務
+ * - 依 data/door-cameras.json 將門禁設備（srcIndex 或 srcName）對應到攝影機
+ * - 門禁事件抵達時擷取對應攝影機的即時畫面，放入警報訊息
+ *
+ * 設定範例：
+ *   { "doors": { "門禁主機01": { "cameraIndexCode": "1", "name": "大門攝影機" }, "12": "3" },
+ *     "settings": { "mode": "fallback" } }
+ * - mode: "fallback"（預設，事件沒有 picUri 時才擷圖）或 "always"（優先使用即時畫面，擷圖失敗時改用事件圖片）
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+
+class DoorCameraService {
+	constructor() {
+		this.filename = "door-cameras.json";
+		this.defaultConfig = { doors: {}, settings: { mode: "fallback" } };
+	}
+
+	loadConfig() {
+		const data = configService.loadConfig(this.filename, this.defaultConfig);
+		return {
+			doors: data.doors && typeof data.doors === "object" ? data.doors : {},
+			settings: { ...this.defaultConfig.settings, ...(data.settings || {}) }
+		};
+	}
+
+	/**
+	 * 取得門禁設備對應的攝影機
+	 * @param {Object} eventData - 門禁事件
+	 * @returns {{ cameraIndexCode: string, name: string|null }|null}
+	 */
+	getCameraForDoor(eventData) {
+		const { doors } = this.loadConfig();
+		const mapping = [eventData.srcIndex, eventData.srcName]
+			.filter(Boolean)
+			.map((key) => doors[String(key)])
+			.find(Boolean);
+		if (!mapping) return null;
+
+		if (typeof mapping === "string" || typeof mapping === "number") {
+			return { cameraIndexCode: String(mapping), name: null };
+		}
+		return mapping.cameraIndexCode ? { cameraIndexCode: String(mapping.cameraIndexCode), name: mapping.name || null } : null;
+	}
+
+	/**
+	 * 是否應優先使用即時畫面
+	 * @param {boolean} hasEventPicture - 事件本身是否有圖片
+	 * @returns {boolean}
+	 */
+	shouldCapture(hasEventPicture) {
+		return this.loadConfig().settings.mode === "always" || !hasEventPicture;
+	}
+
+	/**
+	 * 擷取門禁事件對應攝影機的畫面
+	 * @param {Object} eventData - 門禁事件
+	 * @returns {Promise<{ cameraIndexCode: string, name: string|null, imageData: string }|null>} base64 圖片資料
+	 */
+	async captureForEvent(eventData) {
+		const camera = this.getCameraForDoor(eventData);
+		if (!camera) return null;
+
+		try {
+			const result = await HCPClient.getInstance().captureCameraImage({ cameraIndexCode: camera.cameraIndexCode });
+			if (result?.code !== "0" || !result.data) {
+				LoggerService.warn(`[DOOR_CAMERA] 擷取攝影機 ${camera.cameraIndexCode} 失敗: ${result?.msg || "無資料"}`);
+				return null;
+			}
+			LoggerService.hcp(`[DOOR_CAMERA] 已擷取 ${eventData.srcName || eventData.srcIndex} 連動攝影機 ${camera.cameraIndexCode} 的畫面`, eventData.eventId);
+			return { ...camera, imageData: result.data };
+		} catch (error) {
+			LoggerService.error(`[DOOR_CAMERA] 擷取攝影機 ${camera.cameraIndexCode} 錯誤`, error);
+			return null;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new DoorCameraService();
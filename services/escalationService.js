@@ -0,0 +1,220 @@
+/**
+ * 警報升級服務
+ * - 高優先事件類型可於 event-types.json 設定 escalation 升級政策
+ * - 事件推送後若在指定分鐘數內無人確認處理，依序推送給下一級對象
+ * - 待升級事件保存於 data/escalations.json，重啟後仍會持續追蹤
+ * - 單一事件推送失敗不影響其他事件；同一級連續失敗達上限後略過該級
+ *
+ * 設定範例（event-types.json）：
+ *   "3086": { ..., "priority": "high", "escalation": { "enabled": true, "tiers": [
+ *     { "afterMinutes": 5, "recipients": { "roles": ["admin"] } },
+ *     { "afterMinutes": 15, "recipients": { "recipientGroups": ["security"] } }
+ *   ] } }
+ * - recipients 格式與 notification-rules.json 相同（ids / roles / recipientGroups）
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const UserService = require("./userService");
+const EventStorageService = require("./eventStorageService");
+const NotificationRuleService = require("./notificationRuleService");
+const QuietHoursService = require("./quietHoursService");
+const LineDeliveryService = require("./lineDeliveryService");
+const FlexMessageService = require("./flexMessageService");
+const ScopeService = require("./scopeService");
+
+class EscalationService {
+	constructor() {
+		this.filename = "escalations.json";
+		this.checkTimer = null;
+		this.checking = false;
+		this.flexMessageService = new FlexMessageService();
+		this.maxTierAttempts = 3;
+	}
+
+	load() {
+		const data = configService.loadConfig(this.filename, { pending: [] });
+		if (!Array.isArray(data.pending)) data.pending = [];
+		return data;
+	}
+
+	save(data) {
+		return configService.saveConfig(this.filename, data);
+	}
+
+	/**
+	 * 取得事件類型的升級政策（僅限高優先事件）
+	 * @param {Object} eventData - 事件資料
+	 * @returns {Array|null} 升級層級列表；未設定時回傳 null
+	 */
+	getTiers(eventData) {
+		if (eventData.kind && eventData.kind !== "event") return null;
+		try {
+			const cfg = require("./hcpClient").getInstance().getEventTypeConfig(eventData.eventType);
+			const escalation = cfg?.escalation;
+			if (!cfg || cfg.priority !== "high" || !escalation || escalation.enabled === false) return null;
+			const tiers = Array.isArray(escalation.tiers) ? escalation.tiers.filter((tier) => Number(tier?.afterMinutes) > 0) : [];
+			return tiers.length ? tiers : null;
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * 登記事件的升級追蹤（已登記者略過）
+	 * @param {Object} eventData - 事件資料
+	 * @returns {boolean} 是否已登記
+	 */
+	register(eventData) {
+		if (!eventData?.eventId || !this.getTiers(eventData)) return false;
+
+		const data = this.load();
+		if (data.pending.some((entry) => entry.eventId === eventData.eventId)) return true;
+
+		data.pending.push({
+			eventId: eventData.eventId,
+			event: eventData,
+			startedAt: new Date().toISOString(),
+			nextTier: 0
+		});
+		this.save(data);
+		LoggerService.hcp(`[ESCALATION] 事件 ${eventData.eventId} 開始追蹤確認狀態`, eventData.eventId);
+		return true;
+	}
+
+	/**
+	 * 檢查待升級事件，逾時未確認者推送給下一級對象
+	 * @param {Date} now - 判斷時間
+	 */
+	async checkDue(now = new Date()) {
+		if (this.checking) return;
+		this.checking = true;
+		try {
+			const data = this.load();
+			const finished = new Set();
+			const updates = new Map(); // Map<eventId, { nextTier, failures, lastError }>
+
+			for (const entry of data.pending) {
+				const history = EventStorageService.getEventFromHistory(entry.eventId);
+				const status = history?.status || "open";
+				if (!history || status !== "open") {
+					if (history) {
+						LoggerService.hcp(`[ESCALATION] 事件 ${entry.eventId} 已${EventStorageService.getStatusLabel(status)}，停止升級`, entry.eventId);
+					}
+					finished.add(entry.eventId);
+					continue;
+				}
+
+				const tiers = this.getTiers(entry.event);
+				const tier = tiers ? tiers[entry.nextTier] : null;
+				if (!tier) {
+					finished.add(entry.eventId);
+					continue;
+				}
+
+				const elapsedMinutes = (now.getTime() - new Date(entry.startedAt).getTime()) / 60000;
+				if (elapsedMinutes < Number(tier.afterMinutes)) continue;
+
+				try {
+					await this.escalate(entry, tier, entry.nextTier + 1, Math.floor(elapsedMinutes));
+				} catch (error) {
+					// 記錄失敗次數，未達上限時下次檢查重試；達上限則略過此級，避免每次檢查都卡在同一事件
+					const failures = (entry.failures || 0) + 1;
+					LoggerService.error(`[ESCALATION] 事件 ${entry.eventId} 第 ${entry.nextTier + 1} 級通報失敗（第 ${failures} 次）`, error);
+					if (failures < this.maxTierAttempts) {
+						updates.set(entry.eventId, { failures, lastError: error.message || String(error) });
+						continue;
+					}
+				}
+
+				if (entry.nextTier + 1 >= tiers.length) {
+					LoggerService.hcp(`[ESCALATION] 事件 ${entry.eventId} 已推送至最後一級，結束升級`, entry.eventId);
+					finished.add(entry.eventId);
+				} else {
+					updates.set(entry.eventId, { nextTier: entry.nextTier + 1, failures: 0, lastError: null });
+				}
+			}
+
+			if (finished.size > 0 || updates.size > 0) {
+				// 重新讀取後再寫回，避免覆蓋檢查期間新登記的事件
+				const latest = this.load();
+				latest.pending = latest.pending
+					.filter((entry) => !finished.has(entry.eventId))
+					.map((entry) => (updates.has(entry.eventId) ? { ...entry, ...updates.get(entry.eventId) } : entry));
+				this.save(latest);
+			}
+		} catch (error) {
+			LoggerService.error("檢查警報升級失敗", error);
+		} finally {
+			this.checking = false;
+		}
+	}
+
+	/**
+	 * 推送升級通知
+	 * @param {Object} entry - 待升級事件
+	 * @param {Object} tier - 升級層級設定
+	 * @param {number} level - 層級編號（從 1 開始）
+	 * @param {number} elapsedMinutes - 已經過分鐘數
+	 */
+	async escalate(entry, tier, level, elapsedMinutes) {
+		const { recipientGroups } = NotificationRuleService.loadRules();
+		const authorized = new Set(UserService.getIdsWithPermission("receive_alarms"));
+		const targets = await ScopeService.filterRecipients(
+			NotificationRuleService.expandRecipients(tier.recipients, recipientGroups).filter((id) => authorized.has(id) && !QuietHoursService.shouldHold(id, "high")),
+			entry.event
+		);
+
+		if (targets.length === 0) {
+			LoggerService.hcp(`[ESCALATION] 事件 ${entry.eventId} 第 ${level} 級沒有可推送的對象`, entry.eventId);
+			return;
+		}
+
+		const typeName = require("./hcpClient").getInstance().getEventTypeName(entry.event.eventType);
+		const notice = {
+			type: "text",
+			text: `⏫ 第 ${level} 級通報\n${typeName}（${entry.event.srcName || "未知設備"}）已 ${elapsedMinutes} 分鐘無人確認處理，請立即查看。`
+		};
+		// 沿用首次警報的圖片，不重新擷取即時畫面（升級時的畫面已非事件當下）
+		const flex = await this.flexMessageService.createEventFlexMessage(entry.event, { reuseStoredImage: true });
+
+		const { delivered, failed } = await LineDeliveryService.deliver(targets, [notice, flex]);
+		failed.forEach(({ id, error }) => {
+			LoggerService.error(`[ESCALATION] 事件 ${entry.eventId} 第 ${level} 級通報無法送達 ${id}`, error);
+		});
+
+		// 升級對象也需收到後續的確認處理通知
+		EventStorageService.addEventRecipients(entry.eventId, delivered);
+		LoggerService.hcp(`[ESCALATION] 事件 ${entry.eventId} ${elapsedMinutes} 分鐘未確認，已升級至第 ${level} 級（${delivered.length}/${targets.length} 個對象）`, entry.eventId);
+	}
+
+	/**
+	 * 取得升級追蹤狀態
+	 * @returns {Array<{ eventId: string, startedAt: string, nextTier: number, failures: number, lastError: string|null }>}
+	 */
+	getStatus() {
+		return this.load().pending.map(({ eventId, startedAt, nextTier, failures, lastError }) => ({ eventId, startedAt, nextTier, failures: failures || 0, lastError: lastError || null }));
+	}
+
+	/**
+	 * 啟動升級檢查排程
+	 * @param {number} intervalMs - 檢查間隔（毫秒）
+	 */
+	start(intervalMs = 30 * 1000) {
+		if (this.checkTimer) return;
+		this.checkTimer = setInterval(() => {
+			void this.checkDue();
+		}, intervalMs);
+		LoggerService.service("警報升級排程已啟動（每 30 秒檢查一次）");
+	}
+
+	stop() {
+		if (this.checkTimer) {
+			clearInterval(this.checkTimer);
+			this.checkTimer = null;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new EscalationService();
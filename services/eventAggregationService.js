@@ -0,0 +1,136 @@
+/**
+ * 事件彙整服務（事件風暴抑制）
+ * - 依 event-types.json 中各事件類型的 aggregation 設定，將同一來源短時間內的事件合併
+ * - 時段內第一筆事件照常即時推送，其後的事件暫存於彙整時段
+ * - 時段結束時交由 flush handler 以一則摘要 carousel 推送
+ *
+ * 設定範例（event-types.json）：
+ *   "131588": { ..., "aggregation": { "enabled": true, "windowMinutes": 5, "groupBy": "source" } }
+ * - groupBy: "source"（預設，依事件類型 + 來源設備）或 "type"（同類型事件不分來源）
+ */
+
+const LoggerService = require("./loggerService");
+
+class EventAggregationService {
+	constructor() {
+		this.windows = new Map();
+		this.flushHandler = null;
+		this.defaultWindowMinutes = 5;
+	}
+
+	/**
+	 * 設定彙整時段結束時的處理函式
+	 * @param {Function} handler - async (summary) => void，summary 為 { key, first, events, windowMinutes, startedAt }
+	 */
+	setFlushHandler(handler) {
+		this.flushHandler = handler;
+	}
+
+	/**
+	 * 取得事件類型的彙整設定
+	 * @param {Object} eventData - 事件資料
+	 * @returns {{ windowMinutes: number, groupBy: string }|null} 未啟用時回傳 null
+	 */
+	getConfig(eventData) {
+		// 僅彙整一般事件（設備狀態與警報解除另行推送）
+		if (eventData.kind && eventData.kind !== "event") return null;
+		try {
+			const cfg = require("./hcpClient").getInstance().getEventTypeConfig(eventData.eventType);
+			const aggregation = cfg?.aggregation;
+			if (!aggregation || aggregation.enabled === false) return null;
+			const windowMinutes = Number(aggregation.windowMinutes) > 0 ? Number(aggregation.windowMinutes) : this.defaultWindowMinutes;
+			return { windowMinutes, groupBy: aggregation.groupBy === "type" ? "type" : "source" };
+		} catch {
+			return null;
+		}
+	}
+
+	getKey(eventData, groupBy) {
+		if (groupBy === "type") return String(eventData.eventType);
+		return `${eventData.eventType}:${eventData.srcIndex || eventData.srcName || "unknown"}`;
+	}
+
+	/**
+	 * 登記事件並判斷是否應併入彙整
+	 * @param {Object} eventData - 事件資料
+	 * @param {string|null} journalId - 日誌 ID（摘要送出後才標記完成）
+	 * @returns {boolean} true 代表事件已併入彙整，不需即時推送
+	 */
+	track(eventData, journalId = null) {
+		const config = this.getConfig(eventData);
+		if (!config) return false;
+
+		const key = this.getKey(eventData, config.groupBy);
+		const current = this.windows.get(key);
+		if (current) {
+			current.events.push({ eventData, journalId });
+			LoggerService.hcp(`[AGGREGATE] ${key} 彙整中，已累積 ${current.events.length} 筆事件`);
+			return true;
+		}
+
+		const window = {
+			key,
+			first: eventData,
+			events: [],
+			windowMinutes: config.windowMinutes,
+			startedAt: Date.now(),
+			timer: null
+		};
+		window.timer = setTimeout(() => {
+			void this.flush(key);
+		}, config.windowMinutes * 60 * 1000);
+		this.windows.set(key, window);
+		return false;
+	}
+
+	/**
+	 * 結束彙整時段並送出摘要
+	 * @param {string} key - 彙整鍵
+	 */
+	async flush(key) {
+		const window = this.windows.get(key);
+		if (!window) return;
+		clearTimeout(window.timer);
+		this.windows.delete(key);
+
+		if (window.events.length === 0) return;
+		if (!this.flushHandler) {
+			LoggerService.warn(`[AGGREGATE] 未設定 flush handler，捨棄 ${key} 的 ${window.events.length} 筆彙整事件`);
+			return;
+		}
+
+		try {
+			await this.flushHandler({
+				key,
+				first: window.first,
+				events: window.events,
+				windowMinutes: window.windowMinutes,
+				startedAt: window.startedAt
+			});
+		} catch (error) {
+			LoggerService.error(`[AGGREGATE] 送出 ${key} 彙整摘要失敗`, error);
+		}
+	}
+
+	/**
+	 * 立即送出所有彙整中的摘要（關閉服務前使用）
+	 */
+	async flushAll() {
+		await Promise.all([...this.windows.keys()].map((key) => this.flush(key)));
+	}
+
+	/**
+	 * 取得彙整狀態
+	 * @returns {Array<{ key: string, pending: number, startedAt: string }>}
+	 */
+	getStatus() {
+		return [...this.windows.values()].map((window) => ({
+			key: window.key,
+			pending: window.events.length,
+			startedAt: new Date(window.startedAt).toISOString()
+		}));
+	}
+}
+
+// 導出單例實例
+module.exports = new EventAggregationService();
@@ -0,0 +1,196 @@
+/**
+ * 事件去重服務
+ * - 以 eventType + eventId 為鍵，記錄保存於 data/event-dedupe.json，重啟後 YSCP 重送的事件仍可辨識
+ * - 連動設備（例如門禁主機與讀卡機）以不同 eventId 回報同一實體事件時，於容許時間內視為重複
+ * - 紀錄依 seenAt 先後排列，過期清理由最舊的開始；寫檔延遲合併，避免每筆事件都同步寫入整個檔案
+ *
+ * 設定（event-types.json → settings.dedupe）：
+ *   { "ttlSeconds": 600, "toleranceSeconds": 3, "linkedSources": [["門禁主機01", "讀卡機01"]] }
+ * - linkedSources 每組列出互相連動的設備（srcIndex 或 srcName 皆可）
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+
+class EventDedupeService {
+	constructor() {
+		this.filename = "event-dedupe.json";
+		this.entries = null; // Map<key, entry>，首次使用時由檔案載入，依 seenAt 由舊到新排列
+		this.persistDelay = 2000;
+		this.persistTimer = null;
+		this.defaultSettings = {
+			ttlSeconds: 600,
+			toleranceSeconds: 3,
+			linkedSources: []
+		};
+	}
+
+	/**
+	 * 取得去重設定
+	 * @returns {{ ttlSeconds: number, toleranceSeconds: number, linkedSources: Array<Array<string>> }}
+	 */
+	getSettings() {
+		try {
+			const settings = require("./hcpClient").getInstance().settings?.dedupe || {};
+			return { ...this.defaultSettings, ...settings };
+		} catch {
+			return { ...this.defaultSettings };
+		}
+	}
+
+	load() {
+		if (!this.entries) {
+			const data = configService.loadConfig(this.filename, { entries: [] });
+			const list = Array.isArray(data.entries) ? data.entries : [];
+			const sorted = list.filter((entry) => entry && entry.key).sort((a, b) => (a.seenAt || 0) - (b.seenAt || 0));
+			this.entries = new Map(sorted.map((entry) => [entry.key, entry]));
+		}
+		return this.entries;
+	}
+
+	/**
+	 * 立即寫入檔案（取消尚未執行的延遲寫入）
+	 */
+	persist() {
+		if (this.persistTimer) {
+			clearTimeout(this.persistTimer);
+			this.persistTimer = null;
+		}
+		configService.saveConfig(this.filename, { entries: [...this.load().values()] });
+	}
+
+	/**
+	 * 延遲寫入檔案，期間的多筆變更合併為一次寫入
+	 */
+	schedulePersist() {
+		if (this.persistTimer) return;
+		this.persistTimer = setTimeout(() => {
+			this.persistTimer = null;
+			this.persist();
+		}, this.persistDelay);
+		this.persistTimer.unref?.();
+	}
+
+	getKey(eventData) {
+		return `${eventData.eventType}:${eventData.eventId}`;
+	}
+
+	/**
+	 * 移除超過 TTL 的紀錄
+	 * @param {number} ttlSeconds - 保存秒數
+	 * @returns {number} 移除筆數
+	 */
+	prune(ttlSeconds = this.getSettings().ttlSeconds) {
+		const entries = this.load();
+		const expireBefore = Date.now() - ttlSeconds * 1000;
+		let removed = 0;
+		// 由最舊的紀錄開始，遇到未過期者即可停止
+		for (const [key, entry] of entries.entries()) {
+			if (entry.seenAt >= expireBefore) break;
+			entries.delete(key);
+			removed++;
+		}
+		if (removed > 0) this.schedulePersist();
+		return removed;
+	}
+
+	/**
+	 * 判斷兩筆事件是否來自連動設備
+	 * @param {Object} a - 事件紀錄
+	 * @param {Object} b - 事件紀錄
+	 * @param {Array<Array<string>>} linkedSources - 連動設備設定
+	 * @returns {boolean}
+	 */
+	areLinked(a, b, linkedSources = []) {
+		const idsOf = (item) => [item.srcIndex, item.srcName].filter(Boolean).map(String);
+		const aIds = idsOf(a);
+		const bIds = idsOf(b);
+		if (aIds.length === 0 || bIds.length === 0) return false;
+		if (aIds.some((id) => bIds.includes(id))) return false; // 同一設備不屬於連動
+
+		return linkedSources.some((group) => {
+			if (!Array.isArray(group)) return false;
+			const members = group.map(String);
+			return aIds.some((id) => members.includes(id)) && bIds.some((id) => members.includes(id));
+		});
+	}
+
+	/**
+	 * 尋找連動設備在容許時間內回報的相同事件
+	 * @param {Object} eventData - 事件資料
+	 * @param {Object} settings - 去重設定
+	 * @returns {Object|null} 相符的紀錄
+	 */
+	findLinkedDuplicate(eventData, settings) {
+		if (!Array.isArray(settings.linkedSources) || settings.linkedSources.length === 0) return null;
+		const happenAt = Date.parse(eventData.happenTime);
+		if (Number.isNaN(happenAt)) return null;
+
+		const toleranceMs = settings.toleranceSeconds * 1000;
+		for (const entry of this.load().values()) {
+			if (String(entry.eventType) !== String(eventData.eventType) || entry.happenAt === null) continue;
+			if (Math.abs(entry.happenAt - happenAt) > toleranceMs) continue;
+			if (this.areLinked(entry, eventData, settings.linkedSources)) return entry;
+		}
+		return null;
+	}
+
+	/**
+	 * 記錄事件（不檢查是否重複）
+	 * @param {Object} eventData - 事件資料
+	 * @param {boolean} persist - 是否排程寫入檔案（批次記錄時可傳 false，最後再呼叫 persist）
+	 */
+	remember(eventData, persist = true) {
+		if (!eventData?.eventId) return;
+		const happenAt = Date.parse(eventData.happenTime);
+		const entries = this.load();
+		// 先移除再加入，維持 seenAt 由舊到新的順序
+		entries.delete(this.getKey(eventData));
+		entries.set(this.getKey(eventData), {
+			key: this.getKey(eventData),
+			eventId: eventData.eventId,
+			eventType: eventData.eventType ?? null,
+			srcIndex: eventData.srcIndex || null,
+			srcName: eventData.srcName || null,
+			happenAt: Number.isNaN(happenAt) ? null : happenAt,
+			seenAt: Date.now()
+		});
+		if (persist) this.schedulePersist();
+	}
+
+	/**
+	 * 判斷事件是否重複；未重複者會被記錄
+	 * @param {Object} eventData - 事件資料
+	 * @returns {boolean} 是否為重複事件
+	 */
+	isDuplicate(eventData) {
+		if (!eventData?.eventId) return false;
+		const settings = this.getSettings();
+		this.prune(settings.ttlSeconds);
+
+		if (this.load().has(this.getKey(eventData))) {
+			LoggerService.hcp(`[DEDUPE] 略過重複事件 ${eventData.eventId}`, eventData.eventId);
+			return true;
+		}
+
+		const linked = this.findLinkedDuplicate(eventData, settings);
+		// 連動事件也記錄下來，讓 YSCP 重送的同一 eventId 可直接辨識
+		this.remember(eventData);
+		if (linked) {
+			LoggerService.hcp(`[DEDUPE] 事件 ${eventData.eventId}（${eventData.srcName || eventData.srcIndex}）與連動設備事件 ${linked.eventId}（${linked.srcName || linked.srcIndex}）相同，略過`, eventData.eventId);
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * 取得去重狀態
+	 * @returns {{ entries: number, ttlSeconds: number }}
+	 */
+	getStats() {
+		return { entries: this.load().size, ttlSeconds: this.getSettings().ttlSeconds };
+	}
+}
+
+// 導出單例實例
+module.exports = new EventDedupeService();
@@ -0,0 +1,201 @@
+/**
+ * 事件圖片解析服務
+ * - 事件剛發生時 YSCP 事件紀錄可能尚未建立索引，查詢 eventPicUri 時會間隔重試
+ * - 圖片來源依序為：事件紀錄 eventPicUri → data.picUri → 人臉圖片 URL → 攝影機即時畫面
+ * - 警報送出時仍沒有圖片的事件，於背景持續查詢，取得後另行推送圖片訊息
+ *
+ * 設定（event-types.json → settings.imageResolver）：
+ *   { "recordAttempts": 3, "recordDelayMs": 1500, "liveCapture": true,
+ *     "followUpEnabled": true, "followUpAttempts": 4, "followUpDelaySeconds": 15 }
+ */
+
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+const EventStorageService = require("./eventStorageService");
+const LineDeliveryService = require("./lineDeliveryService");
+
+class EventImageResolverService {
+	constructor() {
+		this.followUps = new Map();
+		this.flexMessageService = null;
+		this.defaultSettings = {
+			recordAttempts: 3,
+			recordDelayMs: 1500,
+			liveCapture: true,
+			followUpEnabled: true,
+			followUpAttempts: 4,
+			followUpDelaySeconds: 15
+		};
+	}
+
+	getSettings() {
+		const settings = HCPClient.getInstance().settings?.imageResolver || {};
+		return { ...this.defaultSettings, ...settings };
+	}
+
+	/**
+	 * 延遲載入 FlexMessageService 避免循環依賴
+	 */
+	getFlexMessageService() {
+		if (!this.flexMessageService) {
+			const FlexMessageService = require("./flexMessageService");
+			this.flexMessageService = new FlexMessageService();
+		}
+		return this.flexMessageService;
+	}
+
+	/**
+	 * 查詢事件紀錄的 eventPicUri，尚未建立索引時間隔重試
+	 * @param {string} eventId - 事件 ID
+	 * @param {Object} options - { attempts, delayMs }，未指定時使用設定值
+	 * @returns {Promise<string|null>} eventPicUri 或 null
+	 */
+	async lookupEventPicUri(eventId, options = {}) {
+		if (!eventId) return null;
+
+		const settings = this.getSettings();
+		const attempts = Math.max(1, Number(options.attempts ?? settings.recordAttempts) || 1);
+		const delayMs = Math.max(0, Number(options.delayMs ?? settings.recordDelayMs) || 0);
+
+		for (let attempt = 1; attempt <= attempts; attempt++) {
+			try {
+				const recordsResult = await HCPClient.getInstance().getEventRecords({ eventIndexCode: eventId, pageNo: 1, pageSize: 1 });
+				const eventPicUri = recordsResult?.code === "0" ? recordsResult.data?.list?.[0]?.eventPicUri || null : null;
+				if (eventPicUri) {
+					LoggerService.hcp(`[IMAGE_RESOLVER] 事件 ${eventId} 第 ${attempt} 次查詢取得 eventPicUri: ${eventPicUri}`, eventId);
+					// 將查詢到的 eventPicUri 更新到歷史記錄中
+					EventStorageService.updateEventImageSources(eventId, { eventPicUri });
+					return eventPicUri;
+				}
+			} catch (error) {
+				LoggerService.error(`[IMAGE_RESOLVER] 查詢事件 ${eventId} 紀錄失敗`, error);
+			}
+
+			if (attempt < attempts && delayMs > 0) {
+				await new Promise((resolve) => setTimeout(resolve, delayMs));
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * 事件資料本身帶有的圖片來源（依 picUri → 人臉圖片 → eventPicUri 排序）
+	 * @param {Object} eventData - 事件資料
+	 * @returns {Array<string>}
+	 */
+	getFallbackImageUris(eventData) {
+		const data = eventData?.data || {};
+		const imageSources = eventData?.imageSources || {};
+		return [
+			data.picUri,
+			imageSources.picUri,
+			data.alarmResult?.faces?.URL,
+			imageSources.faceUrl,
+			data.eventPicUri,
+			eventData?.eventPicUri,
+			imageSources.eventPicUri
+		].filter(Boolean);
+	}
+
+	/**
+	 * 判斷事件是否會登記補送圖片（警報卡片依此決定是否顯示「將另行傳送」提示）
+	 * @param {Object} eventData - 事件資料
+	 * @returns {boolean}
+	 */
+	canFollowUp(eventData) {
+		const eventId = eventData?.eventId;
+		return Boolean(this.getSettings().followUpEnabled && eventId && (eventData.kind || "event") === "event" && !this.followUps.has(eventId));
+	}
+
+	/**
+	 * 登記補送圖片：警報已送出但沒有圖片時，背景重新查詢並推送圖片訊息
+	 * @param {Object} eventData - 事件資料
+	 * @param {Array<string>} recipients - 已收到警報的對象
+	 * @returns {boolean} 是否已登記
+	 */
+	scheduleFollowUp(eventData, recipients = []) {
+		if (!this.canFollowUp(eventData) || recipients.length === 0) return false;
+
+		const settings = this.getSettings();
+		const eventId = eventData.eventId;
+
+		const attempts = Math.max(1, Number(settings.followUpAttempts) || 1);
+		const delayMs = Math.max(1, Number(settings.followUpDelaySeconds) || 1) * 1000;
+		const followUp = { attempt: 0, timer: null };
+
+		const run = async () => {
+			followUp.attempt++;
+			try {
+				const imageUrl = await this.resolveFollowUpImage(eventData);
+				if (imageUrl) {
+					this.followUps.delete(eventId);
+					await this.pushFollowUpImage(eventData, recipients, imageUrl);
+					return;
+				}
+			} catch (error) {
+				LoggerService.error(`[IMAGE_RESOLVER] 事件 ${eventId} 補送圖片失敗`, error);
+			}
+
+			if (followUp.attempt >= attempts) {
+				this.followUps.delete(eventId);
+				LoggerService.hcp(`[IMAGE_RESOLVER] 事件 ${eventId} 已查詢 ${attempts} 次仍無圖片，停止補送`, eventId);
+				return;
+			}
+			followUp.timer = setTimeout(run, delayMs);
+		};
+
+		followUp.timer = setTimeout(run, delayMs);
+		this.followUps.set(eventId, followUp);
+		LoggerService.hcp(`[IMAGE_RESOLVER] 事件 ${eventId} 尚無圖片，稍後補送給 ${recipients.length} 個對象`, eventId);
+		return true;
+	}
+
+	/**
+	 * 補送時重新取得事件圖片（已有圖片時直接沿用，例如用戶已按過「查看圖片」）
+	 * @param {Object} eventData - 事件資料
+	 * @returns {Promise<string|null>} 圖片 URL 或 null
+	 */
+	async resolveFollowUpImage(eventData) {
+		const stored = EventStorageService.getEvent(eventData.eventId) || EventStorageService.getEventFromHistory(eventData.eventId);
+		if (stored?.imageUrl) return stored.imageUrl;
+
+		const eventPicUri = await this.lookupEventPicUri(eventData.eventId, { attempts: 1 });
+		const candidates = [...new Set([eventPicUri, ...this.getFallbackImageUris(stored || eventData)].filter(Boolean))];
+		for (const targetUri of candidates) {
+			const imageUrl = await this.getFlexMessageService().fetchEventImage(targetUri, "follow_up", eventData.eventId);
+			if (imageUrl) return imageUrl;
+		}
+		return null;
+	}
+
+	/**
+	 * 推送補送的圖片訊息
+	 * @param {Object} eventData - 事件資料
+	 * @param {Array<string>} recipients - 推送對象
+	 * @param {string} imageUrl - 圖片 URL
+	 */
+	async pushFollowUpImage(eventData, recipients, imageUrl) {
+		const typeName = HCPClient.getInstance().getEventTypeName(eventData.eventType);
+		const messages = [
+			{ type: "text", text: `📷 補送事件圖片\n${typeName}（${eventData.srcName || "未知設備"}）` },
+			{ type: "image", originalContentUrl: imageUrl, previewImageUrl: imageUrl }
+		];
+
+		const { delivered, failed } = await LineDeliveryService.deliver(recipients, messages);
+		failed.forEach(({ id, error }) => {
+			LoggerService.error(`[IMAGE_RESOLVER] 事件 ${eventData.eventId} 補送圖片無法送達 ${id}`, error);
+		});
+		LoggerService.hcp(`[IMAGE_RESOLVER] 事件 ${eventData.eventId} 已補送圖片（${delivered.length}/${recipients.length} 個對象）`, eventData.eventId);
+	}
+
+	/**
+	 * 取得待補送圖片的事件數量
+	 * @returns {{ pendingFollowUps: number }}
+	 */
+	getStatus() {
+		return { pendingFollowUps: this.followUps.size };
+	}
+}
+
+// 導出單例實例
+module.exports = new EventImageResolverService();
@@ -0,0 +1,289 @@
+/**
+ * 事件佇列日誌服務
+ * - 以 append-only JSONL 記錄佇列中每筆事件的狀態（data/event-queue.journal）
+ * - 狀態：pending（已入列）→ inflight（處理中）→ acked（已完成）/ failed（失敗）
+ * - 處理失敗且未達重試上限時回到 pending（retry），重啟後一併重播
+ * - 逐一記錄已送達的推送對象，重播時跳過已送達者，避免重複推送
+ * - 服務重啟時重播日誌，恢復尚未完成的事件
+ */
+
+const path = require("path");
+const crypto = require("crypto");
+const fileSystem = require("./fileSystemService");
+const LoggerService = require("./loggerService");
+
+class EventJournalService {
+	constructor() {
+		this.journalPath = path.join(fileSystem.getDirectory("data"), "event-queue.journal");
+
+		// Map<journalId, { id, event, priority, state, delivered, attempts, error, enqueuedAt, updatedAt }>
+		this.entries = new Map();
+
+		// 已完成紀錄累積到一定數量時壓縮日誌
+		this.compactThreshold = 200;
+		this.finishedSinceCompact = 0;
+
+		// 保留的失敗紀錄上限（避免日誌無限成長）
+		this.maxFailedEntries = 200;
+
+		this.load();
+	}
+
+	/**
+	 * 載入並重播日誌
+	 */
+	load() {
+		try {
+			const content = fileSystem.readFile(this.journalPath);
+			if (content) {
+				let skipped = 0;
+				content.split("\n").forEach((line) => {
+					if (!line.trim()) return;
+					try {
+						this.apply(JSON.parse(line));
+					} catch (_) {
+						// 寫入中斷造成的不完整行，直接略過
+						skipped++;
+					}
+				});
+				if (skipped > 0) {
+					LoggerService.warn(`[JOURNAL] 略過 ${skipped} 筆無法解析的日誌紀錄`);
+				}
+			}
+
+			// 啟動時壓縮一次，只保留未完成與失敗的紀錄
+			this.compact();
+
+			const pendingCount = this.getPending().length;
+			if (pendingCount > 0) {
+				LoggerService.hcp(`[JOURNAL] 發現 ${pendingCount} 筆未完成事件，將於佇列初始化後重新處理`);
+			}
+		} catch (error) {
+			LoggerService.error("載入事件佇列日誌失敗", error);
+		}
+	}
+
+	/**
+	 * 套用單筆日誌紀錄到記憶體狀態
+	 * @param {Object} record - 日誌紀錄
+	 */
+	apply(record) {
+		if (!record || !record.id) return;
+
+		if (record.op === "enqueue" || record.op === "snapshot") {
+			this.entries.set(record.id, {
+				id: record.id,
+				event: record.event,
+				priority: record.priority || "normal",
+				state: record.state || "pending",
+				delivered: Array.isArray(record.delivered) ? [...record.delivered] : [],
+				attempts: record.attempts || 0,
+				error: record.error || null,
+				enqueuedAt: record.enqueuedAt || record.ts,
+				updatedAt: record.ts
+			});
+			return;
+		}
+
+		const entry = this.entries.get(record.id);
+		if (!entry) return;
+
+		entry.updatedAt = record.ts;
+		switch (record.op) {
+			case "inflight":
+				entry.state = "inflight";
+				entry.attempts++;
+				break;
+			case "retry":
+				entry.state = "pending";
+				entry.error = record.error || null;
+				break;
+			case "delivered":
+				if (record.target && !entry.delivered.includes(record.target)) {
+					entry.delivered.push(record.target);
+				}
+				break;
+			case "ack":
+				entry.state = "acked";
+				break;
+			case "fail":
+				entry.state = "failed";
+				entry.error = record.error || null;
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * 寫入日誌紀錄並套用
+	 * @param {Object} record - 日誌紀錄
+	 * @returns {boolean} 是否成功寫入磁碟
+	 */
+	write(record) {
+		const stamped = { ...record, ts: Date.now() };
+		this.apply(stamped);
+		const success = fileSystem.appendFile(this.journalPath, `${JSON.stringify(stamped)}\n`);
+		if (!success) {
+			LoggerService.error(`[JOURNAL] 寫入日誌失敗: ${record.op} ${record.id}`);
+		}
+		return success;
+	}
+
+	/**
+	 * 記錄事件入列
+	 * @param {Object} event - 事件資料
+	 * @param {string} priority - 優先順序
+	 * @returns {string} 日誌 ID
+	 */
+	recordEnqueue(event, priority = "normal") {
+		const id = crypto.randomUUID();
+		this.write({ op: "enqueue", id, event, priority, enqueuedAt: Date.now() });
+		return id;
+	}
+
+	markInFlight(id) {
+		if (!id) return;
+		this.write({ op: "inflight", id });
+	}
+
+	markDelivered(id, target) {
+		if (!id || !target) return;
+		this.write({ op: "delivered", id, target });
+	}
+
+	markAcked(id) {
+		if (!id) return;
+		this.write({ op: "ack", id });
+		this.onEntryFinished();
+	}
+
+	/**
+	 * 記錄處理失敗但將重試（回到 pending，重啟後也會重播）
+	 * @param {string} id - 日誌 ID
+	 * @param {Error} error - 失敗原因
+	 */
+	markRetry(id, error) {
+		if (!id) return;
+		this.write({ op: "retry", id, error: error ? error.message || String(error) : null });
+	}
+
+	markFailed(id, error) {
+		if (!id) return;
+		this.write({ op: "fail", id, error: error ? error.message || String(error) : null });
+		this.onEntryFinished();
+	}
+
+	/**
+	 * 檢查指定對象是否已送達（重播時避免重複推送）
+	 * @param {string} id - 日誌 ID
+	 * @param {string} target - 推送對象 ID
+	 * @returns {boolean}
+	 */
+	isDelivered(id, target) {
+		const entry = this.entries.get(id);
+		return !!(entry && entry.delivered.includes(target));
+	}
+
+	/**
+	 * 取得已處理次數
+	 * @param {string} id - 日誌 ID
+	 * @returns {number}
+	 */
+	getAttempts(id) {
+		return this.entries.get(id)?.attempts || 0;
+	}
+
+	/**
+	 * 取得指定紀錄已送達的對象
+	 * @param {string} id - 日誌 ID
+	 * @returns {Array<string>}
+	 */
+	getDelivered(id) {
+		return [...(this.entries.get(id)?.delivered || [])];
+	}
+
+	/**
+	 * 取得未完成的紀錄（依入列時間排序）
+	 * @returns {Array}
+	 */
+	getPending() {
+		return [...this.entries.values()]
+			.filter((entry) => entry.state === "pending" || entry.state === "inflight")
+			.sort((a, b) => (a.enqueuedAt || 0) - (b.enqueuedAt || 0));
+	}
+
+	/**
+	 * 取得失敗的紀錄（新到舊）
+	 * @returns {Array}
+	 */
+	getFailed() {
+		return [...this.entries.values()].filter((entry) => entry.state === "failed").sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+	}
+
+	onEntryFinished() {
+		this.finishedSinceCompact++;
+		if (this.finishedSinceCompact >= this.compactThreshold) {
+			this.compact();
+		}
+	}
+
+	/**
+	 * 壓縮日誌：移除已完成的紀錄，以快照重寫檔案
+	 */
+	compact() {
+		try {
+			const keepFailed = new Set(
+				this.getFailed()
+					.slice(0, this.maxFailedEntries)
+					.map((entry) => entry.id)
+			);
+
+			for (const [id, entry] of this.entries.entries()) {
+				if (entry.state === "acked" || (entry.state === "failed" && !keepFailed.has(id))) {
+					this.entries.delete(id);
+				}
+			}
+
+			const lines = [...this.entries.values()].map((entry) =>
+				JSON.stringify({
+					op: "snapshot",
+					id: entry.id,
+					event: entry.event,
+					priority: entry.priority,
+					state: entry.state,
+					delivered: entry.delivered,
+					attempts: entry.attempts,
+					error: entry.error,
+					enqueuedAt: entry.enqueuedAt,
+					ts: entry.updatedAt || Date.now()
+				})
+			);
+
+			// 先寫入暫存檔再替換，避免壓縮途中中斷造成日誌毀損
+			const tempPath = `${this.journalPath}.tmp`;
+			const content = lines.length ? `${lines.join("\n")}\n` : "";
+			if (fileSystem.writeFile(tempPath, content)) {
+				fileSystem.renameFile(tempPath, this.journalPath);
+			}
+			this.finishedSinceCompact = 0;
+		} catch (error) {
+			LoggerService.error("壓縮事件佇列日誌失敗", error);
+		}
+	}
+
+	/**
+	 * 取得日誌統計
+	 * @returns {Object}
+	 */
+	getStats() {
+		const stats = { pending: 0, inflight: 0, failed: 0 };
+		for (const entry of this.entries.values()) {
+			if (stats[entry.state] !== undefined) stats[entry.state]++;
+		}
+		return stats;
+	}
+}
+
+// 導出單例實例
+module.exports = new EventJournalService();
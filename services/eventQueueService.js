@@ -3,12 +3,31 @@
  * - 優先佇列 + 普通佇列
  * - Semaphore 控制最大併發
  * - 無 watchdog / 無 isProcessing 旗標
+ * - 入列即寫入 EventJournalService，重啟後重播未完成事件
+ * - Line Bot 初始化前入列的事件留在佇列中，初始化後才開始處理
+ * - 處理失敗的事件依退避時間重試，超過上限後未送達的對象轉入 DeadLetterService
+ * - 重複事件由 EventDedupeService 判斷（持久化，重啟後仍有效）
+ * - 推送對象由 NotificationRuleService 依規則決定，勿擾時段中的對象改由 QuietHoursService 暫存
+ * - 推送失敗由 LineDeliveryService 退避重試，仍失敗者（含彙整摘要）轉入 DeadLetterService
+ * - 短時間內同來源的大量事件由 EventAggregationService 彙整為摘要推送
+ * - 設有升級政策的高優先事件推送後交由 EscalationService 追蹤確認狀態
  */
 
-const configService = require("./configService");
 const LoggerService = require("./loggerService");
 const EventStorageService = require("./eventStorageService");
 const FlexMessageService = require("./flexMessageService");
+const UserService = require("./userService");
+const EventJournalService = require("./eventJournalService");
+const EventDedupeService = require("./eventDedupeService");
+const LineDeliveryService = require("./lineDeliveryService");
+const DeadLetterService = require("./deadLetterService");
+const NotificationRuleService = require("./notificationRuleService");
+const QuietHoursService = require("./quietHoursService");
+const EventAggregationService = require("./eventAggregationService");
+const EscalationService = require("./escalationService");
+const EventImageResolverService = require("./eventImageResolverService");
+const MessageQuotaService = require("./messageQuotaService");
+const ScopeService = require("./scopeService");
 
 class Semaphore {
 	constructor(max) {
@@ -40,39 +59,80 @@ class EventQueueService {
 		this.semaphore = new Semaphore(maxConcurrent);
 		this.running = false; // gate flag
 		this.lineBotClient = null;
-		this.flexMessageService = new FlexMessageService();
+		this.journalReplayed = false;
 
-		// 去重
-		this.processed = new Map();
-		this.dedupeTTL = 60000;
+		// 處理失敗的重試（次數含第一次處理）
+		this.maxEventAttempts = 3;
+		this.retryDelay = 30000;
+		this.flexMessageService = new FlexMessageService();
 
-		// 頻率控制
+		// 頻率控制（避免觸發 Line Bot API 速率限制）
 		this.lastSend = 0;
-		this.minInterval = 5000;
+		this.minInterval = 2000;
 
-		// 定時清理
-		setInterval(() => this.cleanupProcessed(), 60000);
+		// 彙整時段結束時推送摘要
+		EventAggregationService.setFlushHandler((summary) => this.pushAggregatedSummary(summary));
 	}
 
 	initialize(lineBotClient) {
 		this.lineBotClient = lineBotClient;
+		LineDeliveryService.initialize(lineBotClient);
+		this.replayJournal();
+		this.startLoop();
+	}
+
+	/**
+	 * 重播日誌中尚未完成的事件（僅執行一次）
+	 */
+	replayJournal() {
+		if (this.journalReplayed) return;
+		this.journalReplayed = true;
+
+		// 初始化前入列的事件已在佇列中，不重複加入
+		const queued = new Set([...this.priorityQueue, ...this.normalQueue].map((item) => item.journalId));
+		const pending = EventJournalService.getPending().filter((entry) => !queued.has(entry.id));
+		if (pending.length === 0) return;
+
+		LoggerService.hcp(`[JOURNAL] 重新處理 ${pending.length} 筆未完成事件`);
+		pending.forEach((entry) => {
+			// 登記去重，避免 YSCP 重送時再次入列
+			EventDedupeService.remember(entry.event, false);
+			this.pushItem({ journalId: entry.id, eventData: entry.event }, entry.priority);
+		});
+		EventDedupeService.persist();
 	}
 
 	/* ---------- 佇列操作 ---------- */
+	/**
+	 * YSCP 事件入列（依 event-types.json 的 priority 決定佇列）
+	 * @param {Object} eventData - 事件資料（含 ability）
+	 * @returns {boolean} 是否成功入列（重複事件回傳 false）
+	 */
 	enqueueHCPEvent(eventData) {
 		const priority = this.getPriority(eventData);
-		this.enqueue(eventData, priority);
+		return this.enqueue(eventData, priority);
 	}
 
 	enqueue(eventData, priority = "normal") {
-		if (this.isDuplicate(eventData)) return false;
-		(priority === "high" ? this.priorityQueue : this.normalQueue).push(eventData);
+		if (EventDedupeService.isDuplicate(eventData)) return false;
+		// 先寫入日誌再入列，確保回應 YSCP 前事件已持久化
+		const journalId = EventJournalService.recordEnqueue(eventData, priority);
+		this.pushItem({ journalId, eventData }, priority);
 		LoggerService.hcp(`[ENQUEUE] eventId=${eventData.eventId} priority=${priority}`);
-		if (!this.running) {
+		return true;
+	}
+
+	pushItem(item, priority = "normal") {
+		(priority === "high" ? this.priorityQueue : this.normalQueue).push(item);
+		this.startLoop();
+	}
+
+	startLoop() {
+		// Line Bot 尚未初始化時保留在佇列，initialize 後再開始處理
+		if (!this.running && this.lineBotClient && this.hasEvent()) {
 			this.running = true;
 			void this.processLoop();
 		}
-		return true;
 	}
 
 	getPriority(eventData) {
@@ -84,28 +144,17 @@ class EventQueueService {
 		return "normal";
 	}
 
-	isDuplicate({ eventId }) {
-		if (!eventId) return false;
-		const now = Date.now();
-		const t = this.processed.get(eventId);
-		if (t && now - t < this.dedupeTTL) return true;
-		this.processed.set(eventId, now);
-		return false;
-	}
-
-	cleanupProcessed() {
-		const now = Date.now();
-		for (const [id, t] of this.processed.entries()) {
-			if (now - t > this.dedupeTTL) this.processed.delete(id);
-		}
-	}
-
 	/* ---------- 核心處理迴圈 ---------- */
 	async processLoop() {
 		while (this.hasEvent()) {
-			const evt = this.nextEvent();
+			// 先取得執行名額再取出事件，確保等待期間入列的高優先事件可以插隊
 			await this.semaphore.acquire();
-			this.handleEvent(evt)
+			const item = this.nextEvent();
+			if (!item) {
+				this.semaphore.release();
+				break;
+			}
+			this.handleEvent(item.eventData, item.journalId)
 				.catch((e) => LoggerService.error("處理事件失敗", e))
 				.finally(() => {
 					this.semaphore.release();
@@ -124,44 +173,204 @@ class EventQueueService {
 	}
 
 	/* ---------- 單筆事件 ---------- */
-	async handleEvent(eventData) {
+	async handleEvent(eventData, journalId = null) {
 		LoggerService.hcp(`[HANDLE] ${eventData.eventId}`);
+		EventJournalService.markInFlight(journalId);
 		EventStorageService.storeEvent(eventData);
 
-		await this.enforceRate();
+		// 彙整時段內的後續事件只寫入歷史，日誌待摘要送出後才標記完成
+		if (EventAggregationService.track(eventData, journalId)) {
+			EventStorageService.appendEventToHistory(EventStorageService.getEvent(eventData.eventId) || { ...eventData, storedAt: Date.now() });
+			return;
+		}
+
+		try {
+			// 產生 Flex Message（圖片下載較耗時，先完成再進入頻率控制）；沒有圖片時推送後會登記補送
+			const flex = await this.flexMessageService.createEventFlexMessage(eventData, { imageFollowUp: EventImageResolverService.canFollowUp(eventData) });
+
+			await this.enforceRate();
+			const { delivered } = await this.pushToTargets(flex, eventData, journalId);
+			EscalationService.register(eventData);
+
+			// 警報送出時仍沒有圖片，背景持續查詢並補送圖片訊息
+			if (!EventStorageService.getEvent(eventData.eventId)?.imageUrl) {
+				EventImageResolverService.scheduleFollowUp(eventData, delivered);
+			}
+
+			// 重試後仍失敗的對象已轉入 dead-letter，日誌視為完成
+			EventJournalService.markAcked(journalId);
+		} catch (error) {
+			this.handleEventFailure(eventData, journalId, error);
+			throw error;
+		}
+	}
 
-		// 產生 Flex Message
-		const flex = await this.flexMessageService.createEventFlexMessage(eventData);
-		await this.pushToTargets(flex, eventData);
+	/**
+	 * 處理失敗：未達上限時延後重試，否則將未送達的對象轉入 dead-letter
+	 * @param {Object} eventData - 事件資料
+	 * @param {string|null} journalId - 日誌 ID
+	 * @param {Error} error - 失敗原因
+	 */
+	handleEventFailure(eventData, journalId, error) {
+		const attempts = EventJournalService.getAttempts(journalId);
+		if (journalId && attempts < this.maxEventAttempts) {
+			const delay = this.retryDelay * attempts;
+			EventJournalService.markRetry(journalId, error);
+			LoggerService.warn(`事件 ${eventData.eventId} 處理失敗（第 ${attempts} 次），${Math.round(delay / 1000)} 秒後重試`);
+			const timer = setTimeout(() => this.pushItem({ journalId, eventData }, this.getPriority(eventData)), delay);
+			timer.unref?.();
+			return;
+		}
+
+		EventJournalService.markFailed(journalId, error);
+		void this.moveToDeadLetter(eventData, journalId, error, attempts);
+	}
+
+	/**
+	 * 將尚未送達的對象轉入 dead-letter，供管理員重新推送
+	 */
+	async moveToDeadLetter(eventData, journalId, error, attempts) {
+		try {
+			const delivered = new Set(EventJournalService.getDelivered(journalId));
+			const targets = (await this.resolveTargets(eventData)).filter((id) => !delivered.has(id));
+			targets.forEach((id) => DeadLetterService.add(eventData, id, error, attempts));
+			LoggerService.error(`事件 ${eventData.eventId} 重試 ${attempts} 次仍失敗，${targets.length} 個對象已轉入 dead-letter`, error);
+		} catch (deadLetterError) {
+			LoggerService.error(`事件 ${eventData.eventId} 無法轉入 dead-letter`, deadLetterError);
+		}
 	}
 
 	async enforceRate() {
+		// 併發處理時先預約推送時段，避免多個事件同時通過間隔檢查
 		const now = Date.now();
-		const delta = now - this.lastSend;
-		if (delta < this.minInterval) {
-			await new Promise((r) => setTimeout(r, this.minInterval - delta));
+		const slot = Math.max(now, this.lastSend + this.minInterval);
+		this.lastSend = slot;
+		if (slot > now) {
+			await new Promise((r) => setTimeout(r, slot - now));
 		}
-		this.lastSend = Date.now();
 	}
 
-	async pushToTargets(flexMessage, eventData) {
+	/**
+	 * 依通知規則與可視範圍決定事件的推送對象
+	 * @param {Object} eventData - 事件資料
+	 * @returns {Promise<Array<string>>}
+	 */
+	resolveTargets(eventData) {
+		return ScopeService.filterRecipients(NotificationRuleService.resolveRecipients(eventData, UserService.getIdsWithPermission("receive_alarms")), eventData);
+	}
+
+	/**
+	 * 推送事件到所有通知目標
+	 * @param {Object} flexMessage - Flex Message
+	 * @param {Object} eventData - 事件資料
+	 * @param {string|null} journalId - 日誌 ID（用於逐一記錄送達狀態）
+	 * @returns {Promise<{ delivered: string[], failed: string[] }>} failed 為重試後仍失敗（已轉入 dead-letter）的對象
+	 */
+	async pushToTargets(flexMessage, eventData, journalId = null) {
+		const result = { delivered: [], failed: [] };
 		if (!this.lineBotClient) {
 			LoggerService.warn("LineBotClient 未初始化，無法推送訊息");
-			return;
+			return result;
 		}
-		const { users = {} } = configService.loadConfig("user-management.json", { users: {} });
-		const targets = Object.values(users)
-			.filter((u) => u && (u.role === "admin" || u.role === "target"))
-			.map((u) => u.id || u.userId)
-			.filter(Boolean);
-		if (targets.length === 0) {
-			LoggerService.warn("沒有通知目標");
-			return;
+		const allTargets = await this.resolveTargets(eventData);
+		if (allTargets.length === 0) {
+			LoggerService.warn(`事件 ${eventData.eventId} 沒有通知目標`);
+			return result;
 		}
-		await Promise.all(targets.map((id) => this.lineBotClient.pushMessage(id, [flexMessage]).catch((e) => LoggerService.error(`推送到 ${id} 失敗`, e))));
-		// 寫入歷史
+		// 重播時跳過已送達的對象；勿擾時段中的對象暫存，待時段結束以摘要送出
+		// 訊息額度節流中，非高優先事件併入文字摘要
+		const priority = this.getPriority(eventData);
+		const degraded = priority !== "high" && MessageQuotaService.isDegraded();
+		const previouslyDelivered = allTargets.filter((id) => EventJournalService.isDelivered(journalId, id));
+
+		// 推送前先寫入歷史：重試可能耗時數分鐘，期間收到的確認處理需能找到事件紀錄
 		const stored = EventStorageService.getEvent(eventData.eventId) || { ...eventData, storedAt: Date.now() };
-		EventStorageService.appendEventToHistory(stored);
+		EventStorageService.appendEventToHistory({ ...stored, recipients: previouslyDelivered });
+		const targets = allTargets.filter((id) => {
+			if (EventJournalService.isDelivered(journalId, id)) return false;
+			if (QuietHoursService.shouldHold(id, priority)) {
+				QuietHoursService.hold(id, eventData);
+				EventJournalService.markDelivered(journalId, id);
+				return false;
+			}
+			if (degraded) {
+				MessageQuotaService.hold(id, eventData);
+				EventJournalService.markDelivered(journalId, id);
+				return false;
+			}
+			return true;
+		});
+		if (targets.length > 0) {
+			const { delivered, failed } = await LineDeliveryService.deliver(targets, [flexMessage]);
+			delivered.forEach((id) => {
+				result.delivered.push(id);
+				EventJournalService.markDelivered(journalId, id);
+			});
+			failed.forEach(({ id, attempts, error }) => {
+				result.failed.push(id);
+				DeadLetterService.add(eventData, id, error, attempts);
+			});
+		}
+		// 記錄已收到警報的對象，供處理狀態通知使用
+		EventStorageService.addEventRecipients(eventData.eventId, result.delivered);
+		return result;
+	}
+
+	/**
+	 * 推送彙整摘要（依可視範圍，每個對象只收到其範圍內的事件）
+	 * @param {Object} summary - { first, events: [{ eventData, journalId }], windowMinutes }
+	 */
+	async pushAggregatedSummary({ first, events, windowMinutes }) {
+		const eventList = events.map((item) => item.eventData);
+		try {
+			const recipients = NotificationRuleService.resolveRecipients(first, UserService.getIdsWithPermission("receive_alarms"));
+			const groups = await ScopeService.groupRecipientsByEvents(recipients, eventList);
+			const priority = this.getPriority(first);
+			const degraded = priority !== "high" && MessageQuotaService.isDegraded();
+
+			for (const group of groups) {
+				const pushTargets = group.ids.filter((id) => {
+					if (QuietHoursService.shouldHold(id, priority)) {
+						group.events.forEach((eventData) => QuietHoursService.hold(id, eventData));
+						return false;
+					}
+					if (degraded) {
+						group.events.forEach((eventData) => MessageQuotaService.hold(id, eventData));
+						return false;
+					}
+					return true;
+				});
+				if (pushTargets.length === 0) continue;
+
+				const flex = this.flexMessageService.createAggregatedEventsFlexMessage(group.events[0], group.events, windowMinutes);
+				await this.enforceRate();
+				const { failed } = await LineDeliveryService.deliver(pushTargets, [flex]);
+				failed.forEach(({ id, attempts, error }) => {
+					LoggerService.error(`[AGGREGATE] 彙整摘要無法送達 ${id}（${group.events.length} 筆事件）`, error);
+					// 日誌會在摘要結束後標記完成，失敗的摘要需保留於 dead-letter 供重新推送
+					DeadLetterService.add(group.events[0], id, error, attempts, [flex]);
+				});
+				LoggerService.hcp(`[AGGREGATE] 已推送彙整摘要：${group.events.length}/${eventList.length} 筆事件，${pushTargets.length} 個對象`);
+			}
+		} finally {
+			// 個別事件已寫入歷史，摘要推送結束即視為完成
+			events.forEach((item) => EventJournalService.markAcked(item.journalId));
+		}
+	}
+
+	/**
+	 * 取得佇列狀態
+	 * @returns {Object}
+	 */
+	getStatus() {
+		return {
+			priorityQueue: this.priorityQueue.length,
+			normalQueue: this.normalQueue.length,
+			aggregation: EventAggregationService.getStatus(),
+			dedupe: EventDedupeService.getStats(),
+			imageResolver: EventImageResolverService.getStatus(),
+			journal: EventJournalService.getStats()
+		};
 	}
 }
 
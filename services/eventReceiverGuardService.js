@@ -0,0 +1,227 @@
+/**
+ * YSCP 事件接收驗證服務
+ * - 驗證事件 Token（嚴格模式下不允許使用預設 Token）
+ * - 來源 IP 必須在 CIDR 允許清單內（有設定時）；清單中有任何無效項目時拒絕所有請求
+ * - 經由代理時，依信任的代理層數從 X-Forwarded-For 右側取得來源 IP（左側可由用戶端偽造）
+ * - 選用 HMAC-SHA256 簽章：簽章內容為「時間戳記.原始 body」（無時間戳記時為原始 body）
+ * - 選用時間戳記 + nonce 防重送
+ * - 統計拒絕次數，供 /api/status 顯示（需管理 Token 或本機）
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+const config = require("../config");
+const LoggerService = require("./loggerService");
+
+class EventReceiverGuardService {
+	constructor() {
+		this.placeholderToken = "your_unique_verification_token";
+		this.tokenHeaders = ["x-ca-token", "token", "authorization", "x-auth-token", "x-event-token"];
+		this.timestampHeader = "x-timestamp";
+		this.nonceHeader = "x-nonce";
+		this.nonces = new Map();
+		this.allowList = null;
+		this.allowListSource = null;
+		this.stats = { total: 0, byReason: {}, lastRejectedAt: null, lastRejectedIp: null };
+	}
+
+	getSettings() {
+		return config.server.eventReceiver || {};
+	}
+
+	/**
+	 * 取得 CIDR 允許清單（設定變更時重建）
+	 * @param {Array<string>} cidrs - IP 或 CIDR 列表
+	 * @returns {{ list: net.BlockList|null, invalid: Array<string> }} list 為 null 表示不限制
+	 */
+	getAllowList(cidrs = []) {
+		const source = cidrs.join(",");
+		if (this.allowList && this.allowListSource === source) return this.allowList;
+
+		const allowList = this.buildAllowList(cidrs);
+		if (allowList.invalid.length > 0) {
+			LoggerService.error(`[EVENT_RECEIVER] EVENT_ALLOWED_CIDRS 設定無效（${allowList.invalid.join(", ")}），將拒絕所有事件推送`);
+		}
+		// 整份清單驗證完成後才快取，避免建立失敗時留下空清單
+		this.allowList = allowList;
+		this.allowListSource = source;
+		return allowList;
+	}
+
+	/**
+	 * 解析並驗證 CIDR 列表
+	 * @param {Array<string>} cidrs - IP 或 CIDR 列表
+	 * @returns {{ list: net.BlockList|null, invalid: Array<string> }}
+	 */
+	buildAllowList(cidrs) {
+		if (cidrs.length === 0) return { list: null, invalid: [] };
+
+		const list = new net.BlockList();
+		const invalid = [];
+		for (const cidr of cidrs) {
+			const [address, prefix, ...rest] = String(cidr).trim().split("/");
+			const version = net.isIP(address);
+			const maxPrefix = version === 6 ? 128 : 32;
+			if (!version || rest.length > 0 || (prefix !== undefined && !(/^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+				invalid.push(cidr);
+				continue;
+			}
+			const type = version === 6 ? "ipv6" : "ipv4";
+			if (prefix === undefined) {
+				list.addAddress(address, type);
+			} else {
+				list.addSubnet(address, Number(prefix), type);
+			}
+		}
+		return { list, invalid };
+	}
+
+	/**
+	 * 取得信任的代理層數（EVENT_TRUST_PROXY=true 表示 1 層）
+	 * @returns {number}
+	 */
+	getTrustedProxyHops() {
+		const trustProxy = this.getSettings().trustProxy;
+		if (trustProxy === true) return 1;
+		const hops = Number(trustProxy);
+		return Number.isInteger(hops) && hops > 0 ? hops : 0;
+	}
+
+	/**
+	 * 取得請求來源 IP
+	 * - 每層代理會在 X-Forwarded-For 右側附加其連線來源，因此由右往左數 N 層才是實際來源
+	 * - 項目數少於信任層數時無法判斷，回傳空字串（允許清單將拒絕）
+	 * @param {Object} req - Express request
+	 * @returns {string}
+	 */
+	getClientIp(req) {
+		let ip = req.socket?.remoteAddress || req.ip || "";
+		const hops = this.getTrustedProxyHops();
+		if (hops > 0 && req.headers["x-forwarded-for"]) {
+			const forwarded = String(req.headers["x-forwarded-for"])
+				.split(",")
+				.map((item) => item.trim())
+				.filter(Boolean);
+			ip = forwarded.length >= hops ? forwarded[forwarded.length - hops] : "";
+		}
+		return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+	}
+
+	isIpAllowed(ip, cidrs) {
+		const { list, invalid } = this.getAllowList(cidrs);
+		if (invalid.length > 0) return false;
+		if (!list) return true;
+		if (!net.isIP(ip)) return false;
+		return list.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+	}
+
+	safeEqual(a, b) {
+		const bufA = Buffer.from(String(a));
+		const bufB = Buffer.from(String(b));
+		return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+	}
+
+	/**
+	 * 驗證 HMAC 簽章（接受 hex 或 base64，可帶 "sha256=" 前綴）
+	 */
+	isSignatureValid(req, secret, signatureHeader) {
+		const received = String(req.headers[signatureHeader] || "").replace(/^sha256=/i, "");
+		if (!received || !req.rawBody) return false;
+
+		const timestamp = req.headers[this.timestampHeader];
+		const payload = timestamp ? Buffer.concat([Buffer.from(`${timestamp}.`), req.rawBody]) : req.rawBody;
+		const digest = crypto.createHmac("sha256", secret).update(payload).digest();
+		return this.safeEqual(received, digest.toString("hex")) || this.safeEqual(received, digest.toString("base64"));
+	}
+
+	/**
+	 * 驗證時間戳記與 nonce（秒或毫秒皆可）
+	 * @returns {string|null} 失敗原因
+	 */
+	checkReplay(req, windowSeconds) {
+		const rawTimestamp = Number(req.headers[this.timestampHeader]);
+		const nonce = req.headers[this.nonceHeader];
+		if (!rawTimestamp || !nonce) return "missing_timestamp_or_nonce";
+
+		const timestampMs = rawTimestamp < 1e12 ? rawTimestamp * 1000 : rawTimestamp;
+		const windowMs = windowSeconds * 1000;
+		const now = Date.now();
+		if (Math.abs(now - timestampMs) > windowMs) return "stale_timestamp";
+
+		for (const [key, seenAt] of this.nonces.entries()) {
+			if (now - seenAt > windowMs) this.nonces.delete(key);
+		}
+		if (this.nonces.has(nonce)) return "replayed_nonce";
+		this.nonces.set(nonce, now);
+		return null;
+	}
+
+	/**
+	 * 驗證 YSCP 事件請求
+	 * @param {Object} req - Express request（需含 rawBody 才能驗證簽章）
+	 * @returns {{ ok: boolean, status?: number, reason?: string, message?: string }}
+	 */
+	verify(req) {
+		const settings = this.getSettings();
+		const ip = this.getClientIp(req);
+
+		if (this.getAllowList(settings.allowedCidrs || []).invalid.length > 0) {
+			return this.reject("invalid_allow_list", 503, "EVENT_ALLOWED_CIDRS 設定無效", ip);
+		}
+		if (!this.isIpAllowed(ip, settings.allowedCidrs || [])) {
+			return this.reject("ip_not_allowed", 403, `來源 IP ${ip} 不在允許清單內`, ip);
+		}
+
+		const expectedToken = config.server.eventToken;
+		const tokenConfigured = expectedToken && expectedToken !== this.placeholderToken;
+		if (settings.strict && !tokenConfigured) {
+			return this.reject("token_not_configured", 503, "嚴格模式需設定 EVENT_TOKEN", ip);
+		}
+		if (tokenConfigured) {
+			const receivedToken = this.tokenHeaders.map((header) => req.headers[header]).find(Boolean);
+			if (!receivedToken || !this.safeEqual(receivedToken, expectedToken)) {
+				return this.reject("invalid_token", 401, "Token 驗證失敗", ip);
+			}
+		}
+
+		if (settings.hmacSecret && !this.isSignatureValid(req, settings.hmacSecret, settings.signatureHeader)) {
+			return this.reject("invalid_signature", 401, "簽章驗證失敗", ip);
+		}
+
+		if (settings.replayProtection) {
+			const reason = this.checkReplay(req, settings.replayWindowSeconds);
+			if (reason) {
+				return this.reject(reason, 401, "時間戳記或 nonce 驗證失敗", ip);
+			}
+		}
+
+		return { ok: true };
+	}
+
+	reject(reason, status, message, ip) {
+		this.stats.total++;
+		this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+		this.stats.lastRejectedAt = new Date().toISOString();
+		this.stats.lastRejectedIp = ip || null;
+		LoggerService.warn(`[EVENT_RECEIVER] 拒絕事件推送（${reason}）: ${message}`);
+		return { ok: false, status, reason, message };
+	}
+
+	/**
+	 * 取得驗證統計
+	 * @returns {Object}
+	 */
+	getStats() {
+		const settings = this.getSettings();
+		return {
+			strict: Boolean(settings.strict),
+			allowList: (settings.allowedCidrs || []).length > 0,
+			signature: Boolean(settings.hmacSecret),
+			replayProtection: Boolean(settings.replayProtection),
+			rejected: { ...this.stats, byReason: { ...this.stats.byReason } }
+		};
+	}
+}
+
+// 導出單例實例
+module.exports = new EventReceiverGuardService();
@@ -17,6 +17,14 @@ class EventStorageService {
 		this.historyFilePath = path.join(__dirname, "..", "data", "event-history.json");
 		this.maxHistorySize = 300;
 
+		// 事件處理狀態
+		this.statusLabels = {
+			open: "待處理",
+			acknowledged: "處理中",
+			resolved: "已解除",
+			false_alarm: "誤報"
+		};
+
 		// 定時清理過期事件
 		this.cleanupInterval = setInterval(() => {
 			this.cleanupExpiredEvents();
@@ -73,6 +81,10 @@ class EventStorageService {
 		}
 	}
 
+	/**
+	 * 寫入事件歷史（同一 eventId 已存在時更新該筆，保留處理狀態並合併通知對象，避免重播時重複新增）
+	 * @param {Object} eventData - 事件資料（recipients 為已收到警報的對象）
+	 */
 	appendEventToHistory(eventData) {
 		if (!eventData || !eventData.eventId) {
 			return;
@@ -94,17 +106,31 @@ class EventStorageService {
 				  }
 				: null;
 
+			const kind = eventData.kind || "event";
 			const historyItem = {
 				eventId: eventData.eventId,
+				kind,
 				ability: eventData.ability || null,
 				eventType: eventData.eventType || null,
 				happenTime: eventData.happenTime || null,
+				srcIndex: eventData.srcIndex || null,
 				srcName: eventData.srcName || null,
 				srcType: eventData.srcType || null,
 				storedAt: eventData.storedAt || Date.now(),
-				imageUrl: eventData.imageUrl || null
+				imageUrl: eventData.imageUrl || null,
+				recipients: Array.isArray(eventData.recipients) ? eventData.recipients : []
 			};
 
+			// 只有一般事件需要確認處理；設備狀態與警報解除記錄狀態細節
+			if (kind === "event") {
+				historyItem.status = "open";
+			} else if (kind === "device_status") {
+				historyItem.deviceStatus = eventData.deviceStatus || null;
+				historyItem.offlineSince = eventData.offlineSince || null;
+			} else if (kind === "alarm_clear") {
+				historyItem.relatedEventId = eventData.relatedEventId || null;
+			}
+
 			if (imageSources.picUri || imageSources.faceUrl || imageSources.eventPicUri) {
 				historyItem.imageSources = imageSources;
 			}
@@ -113,7 +139,20 @@ class EventStorageService {
 				historyItem.meta = meta;
 			}
 
-			history.events.unshift(historyItem);
+			const index = history.events.findIndex((item) => item.eventId === historyItem.eventId);
+			if (index !== -1) {
+				const existing = history.events[index];
+				history.events[index] = {
+					...existing,
+					...historyItem,
+					status: existing.status || historyItem.status,
+					storedAt: existing.storedAt || historyItem.storedAt,
+					imageUrl: historyItem.imageUrl || existing.imageUrl || null,
+					recipients: [...new Set([...(Array.isArray(existing.recipients) ? existing.recipients : []), ...historyItem.recipients])]
+				};
+			} else {
+				history.events.unshift(historyItem);
+			}
 			if (history.events.length > this.maxHistorySize) {
 				history.events = history.events.slice(0, this.maxHistorySize);
 			}
@@ -298,6 +337,86 @@ class EventStorageService {
 		}
 	}
 
+	/**
+	 * 取得事件狀態的顯示名稱
+	 * @param {string} status - 狀態代碼
+	 * @returns {string}
+	 */
+	getStatusLabel(status) {
+		return this.statusLabels[status || "open"] || status;
+	}
+
+	/**
+	 * 更新事件處理狀態（確認 / 解除 / 誤報），並保留處理紀錄供稽核
+	 * @param {string} eventId - 事件 ID
+	 * @param {string} status - acknowledged | resolved | false_alarm
+	 * @param {Object} handler - 處理人員 { userId, displayName }
+	 * @returns {Object|null} 更新後的歷史事件；找不到事件時回傳 null
+	 */
+	updateEventStatus(eventId, status, handler = {}) {
+		if (!eventId || !this.statusLabels[status]) {
+			return null;
+		}
+
+		try {
+			const history = this.loadHistoryData();
+			const index = history.events.findIndex((event) => event.eventId === eventId);
+			if (index === -1) {
+				return null;
+			}
+
+			const handledAt = new Date().toISOString();
+			const handledBy = { userId: handler.userId || null, displayName: handler.displayName || null };
+			const current = history.events[index];
+			const updated = {
+				...current,
+				status,
+				handledBy,
+				handledAt,
+				statusLog: [...(Array.isArray(current.statusLog) ? current.statusLog : []), { status, handledBy, handledAt }]
+			};
+
+			history.events[index] = updated;
+			history.lastUpdated = handledAt;
+			this.saveHistoryData(history);
+
+			const stored = this.eventStorage.get(eventId);
+			if (stored) {
+				this.eventStorage.set(eventId, { ...stored, status, handledBy, handledAt });
+			}
+
+			return updated;
+		} catch (error) {
+			LoggerService.error("更新事件處理狀態失敗", error);
+			return null;
+		}
+	}
+
+	/**
+	 * 追加事件的通知對象（例如升級通報的對象）
+	 * @param {string} eventId - 事件 ID
+	 * @param {Array<string>} ids - 推送對象 ID
+	 */
+	addEventRecipients(eventId, ids = []) {
+		if (!eventId || !Array.isArray(ids) || ids.length === 0) {
+			return;
+		}
+
+		try {
+			const history = this.loadHistoryData();
+			const event = history.events.find((item) => item.eventId === eventId);
+			if (!event) {
+				return;
+			}
+
+			event.recipients = [...new Set([...(Array.isArray(event.recipients) ? event.recipients : []), ...ids])];
+			history.lastUpdated = new Date().toISOString();
+			this.saveHistoryData(history);
+		} catch (error) {
+			LoggerService.error("更新事件通知對象失敗", error);
+		}
+	}
+
 	getEventFromHistory(eventId) {
 		if (!eventId) {
 			return null;
@@ -338,7 +457,12 @@ class EventStorageService {
 		}
 	}
 
-	getEventHistory({ page = 1, pageSize = 10, ability, eventType } = {}) {
+	/**
+	 * 取得事件歷史列表（分頁）
+	 * @param {Object} options - { page, pageSize, ability, eventType, since（毫秒時間戳）, status（僅一般事件）, filter（自訂篩選函式，例如可視範圍） }
+	 * @returns {{ list: Array, total: number, lastUpdated: string|null }}
+	 */
+	getEventHistory({ page = 1, pageSize = 10, ability, eventType, since, status, filter } = {}) {
 		try {
 			const history = this.loadHistoryData();
 			let list = Array.isArray(history.events) ? [...history.events] : [];
@@ -351,6 +475,21 @@ class EventStorageService {
 				list = list.filter((event) => Number(event.eventType) === eventType);
 			}
 
+			if (typeof since === "number") {
+				list = list.filter((event) => {
+					const time = event.happenTime ? Date.parse(event.happenTime) : event.storedAt;
+					return (Number.isNaN(time) ? event.storedAt : time) >= since;
+				});
+			}
+
+			if (status) {
+				list = list.filter((event) => (event.kind || "event") === "event" && (event.status || "open") === status);
+			}
+
+			if (typeof filter === "function") {
+				list = list.filter(filter);
+			}
+
 			const validPage = Number.isInteger(page) && page > 0 ? page : 1;
 			const validPageSize = Number.isInteger(pageSize) && pageSize > 0 ? pageSize : 10;
 			const startIndex = (validPage - 1) * validPageSize;
@@ -145,6 +145,22 @@ class FileSystemService {
 		}
 	}
 
+	/**
+	 * 重新命名（移動）檔案
+	 * @param {string} fromPath - 原檔案路徑
+	 * @param {string} toPath - 目標檔案路徑
+	 * @returns {boolean} 是否成功
+	 */
+	renameFile(fromPath, toPath) {
+		try {
+			fs.renameSync(fromPath, toPath);
+			return true;
+		} catch (error) {
+			console.error(`❌ 重新命名檔案失敗 ${fromPath}:`, error.message);
+			return false;
+		}
+	}
+
 	/**
 	 * 獲取檔案狀態
 	 * @param {string} filePath - 檔案路徑
@@ -6,6 +6,9 @@
 const HCPClient = require("./hcpClient");
 const LoggerService = require("./loggerService");
 const EventStorageService = require("./eventStorageService");
+const DoorCameraService = require("./doorCameraService");
+const EventImageResolverService = require("./eventImageResolverService");
+const PermissionService = require("./permissionService");
 
 class FlexMessageService {
 	constructor() {
@@ -114,19 +117,39 @@ class FlexMessageService {
 	}
 
 	/**
-	 * 創建重新發送圖片按鈕的 footer
+	 * 創建事件處理按鈕的 footer（確認處理 / 已解除 / 誤報，可附加重新發送圖片）
 	 * @param {string} eventId - 事件 ID
+	 * @param {Object} options
+	 * @param {boolean} options.hasImage - 是否附加重新發送圖片按鈕
+	 * @param {string} options.status - 目前處理狀態
 	 * @returns {Object|null}
 	 */
-	createResendImageFooter(eventId) {
+	createEventActionFooter(eventId, { hasImage = false, status = "open" } = {}) {
 		if (!eventId) {
 			return null;
 		}
 
+		const contents = [];
+		if (status === "open" || status === "acknowledged") {
+			const actions = [];
+			if (status === "open") {
+				actions.push(this.createButton("✋ 確認處理", `ack_event_${eventId}`, "primary"));
+			}
+			actions.push(this.createButton("✅ 已解除", `resolve_event_${eventId}`, "secondary"), this.createButton("⚠️ 誤報", `false_alarm_${eventId}`, "secondary"));
+			contents.push({ type: "box", layout: "horizontal", spacing: "sm", contents: actions });
+		}
+		if (hasImage) {
+			contents.push(this.createButton("📸 重新發送圖片", `resend_image_${eventId}`, "secondary"));
+		}
+		if (contents.length === 0) {
+			return null;
+		}
+
 		return {
 			type: "box",
 			layout: "vertical",
-			contents: [this.createButton("📸 重新發送圖片", `resend_image_${eventId}`, "primary")],
+			spacing: "sm",
+			contents,
 			paddingAll: "12px"
 		};
 	}
@@ -137,9 +160,11 @@ class FlexMessageService {
 	 * @param {number} total - 事件總數
 	 * @param {number} page - 當前頁碼 (從1開始)
 	 * @param {number} pageSize - 每頁顯示數量
+	 * @param {Object|null} filter - 篩選條件 { key, label }，分頁按鈕會保留篩選
 	 * @returns {Object} Flex Message 物件
 	 */
-	async createEventHistoryFlexMessage(events = [], total = 0, page = 1, pageSize = 10) {
+	async createEventHistoryFlexMessage(events = [], total = 0, page = 1, pageSize = 10, filter = null) {
+		const filterSuffix = filter?.key ? `_${filter.key}` : "";
 		if (!events.length) {
 			return {
 				type: "flex",
@@ -151,7 +176,7 @@ class FlexMessageService {
 						layout: "vertical",
 						contents: [
 							this.createText("🔔 事件記錄", "xl", this.theme.colors.error, { weight: "bold" }),
-							this.createText("目前尚無事件紀錄。", "md", this.theme.colors.textSecondary, { margin: "md" })
+							this.createText(filter ? `「${filter.label}」沒有符合的事件紀錄。` : "目前尚無事件紀錄。", "md", this.theme.colors.textSecondary, { margin: "md", wrap: true })
 						]
 					}
 				}
@@ -161,7 +186,6 @@ class FlexMessageService {
 		const totalPages = Math.max(1, Math.ceil(total / pageSize));
 		const hasPrevPage = page > 1;
 		const hasNextPage = page < totalPages;
-		const hcpClient = this.getHCPClient();
 
 		const formatTime = (input) => {
 			if (!input) {
@@ -176,8 +200,8 @@ class FlexMessageService {
 
 		const bubbles = await Promise.all(
 			events.map(async (event) => {
-				const typeName = typeof hcpClient.getEventTypeName === "function" ? hcpClient.getEventTypeName(event.eventType) : null;
-				const typeLabel = typeName || `事件 ${event.eventType || "未知"}`;
+				const kind = event.kind || "event";
+				const typeLabel = this.getEventLabel(event);
 				const timeLabel = event.happenTime ? formatTime(event.happenTime) : formatTime(event.storedAt);
 				const sourceLabel = event.srcName || event.srcType || "未知設備";
 
@@ -190,28 +214,8 @@ class FlexMessageService {
 
 					// 如果是 event_vss 類型且沒有 eventPicUri，額外查詢事件紀錄
 					if (!eventPicUri && event.ability === "event_vss" && event.eventId) {
-						try {
-							const queryParams = {
-								eventIndexCode: event.eventId,
-								pageNo: 1,
-								pageSize: 1
-							};
-							const recordsResult = await hcpClient.getEventRecords(queryParams);
-							LoggerService.hcp(`[createEventHistoryFlexMessage] getEventRecords result: ${JSON.stringify(recordsResult)}`);
-							if (recordsResult?.code === "0" && recordsResult.data?.list?.length) {
-								eventPicUri = recordsResult.data.list[0].eventPicUri || null;
-								LoggerService.hcp(`[createEventHistoryFlexMessage] eventPicUri: ${eventPicUri}`);
-								
-								// 將查詢到的 eventPicUri 更新到歷史記錄中
-								if (eventPicUri) {
-									EventStorageService.updateEventImageSources(event.eventId, {
-										eventPicUri: eventPicUri
-									});
-								}
-							}
-						} catch (error) {
-							LoggerService.error("查詢事件紀錄失敗", error);
-						}
+						// 歷史列表一次載入多筆，不重試以免拖慢回覆
+						eventPicUri = await EventImageResolverService.lookupEventPicUri(event.eventId, { attempts: 1 });
 					}
 
 					const targetUri = faceImage || picUri || eventPicUri || null;
@@ -234,6 +238,10 @@ class FlexMessageService {
 					this.createInfoRow("🔖 事件類型:", typeLabel),
 					this.createInfoRow("📹 設備名稱:", sourceLabel)
 				];
+				if (kind === "event") {
+					const handlerLabel = event.handledBy?.displayName ? `（${event.handledBy.displayName}）` : "";
+					bodyContents.push(this.createInfoRow("📌 狀態:", `${EventStorageService.getStatusLabel(event.status)}${handlerLabel}`));
+				}
 
 				if (imageUrl) {
 					bodyContents.push({
@@ -256,7 +264,10 @@ class FlexMessageService {
 					}
 				};
 
-				const footer = imageUrl ? this.createResendImageFooter(event.eventId) : null;
+				const footer = this.createEventActionFooter(event.eventId, {
+					hasImage: Boolean(imageUrl),
+					status: kind === "event" ? event.status || "open" : null
+				});
 				if (footer) {
 					bubble.footer = footer;
 				}
@@ -268,10 +279,10 @@ class FlexMessageService {
 		if (hasPrevPage || hasNextPage || totalPages > 1) {
 			const paginationButtons = [];
 			if (hasPrevPage) {
-				paginationButtons.push(this.createButton("⬅️ 上一頁", `page_event_history_${page - 1}`, "secondary"));
+				paginationButtons.push(this.createButton("⬅️ 上一頁", `page_event_history_${page - 1}${filterSuffix}`, "secondary"));
 			}
 			if (hasNextPage) {
-				paginationButtons.push(this.createButton("下一頁 ➡️", `page_event_history_${page + 1}`, "primary"));
+				paginationButtons.push(this.createButton("下一頁 ➡️", `page_event_history_${page + 1}${filterSuffix}`, "primary"));
 			}
 
 			const paginationBubble = {
@@ -294,7 +305,8 @@ class FlexMessageService {
 							contents: [
 								this.createInfoRow("📄 當前頁面:", `第 ${page} 頁，共 ${totalPages} 頁`),
 								this.createInfoRow("📋 顯示範圍:", `${(page - 1) * pageSize + 1} - ${Math.min(page * pageSize, total)}`),
-								this.createInfoRow("📦 事件總數:", `${total} 筆`)
+								this.createInfoRow("📦 事件總數:", `${total} 筆`),
+								...(filter ? [this.createInfoRow("🔎 篩選條件:", filter.label)] : [])
 							]
 						}
 					],
@@ -371,10 +383,26 @@ class FlexMessageService {
 
 	/**
 	 * 創建幫助訊息 Flex Message
+	 * @param {Array} commands - 可使用的文字指令（CommandRegistry.getCommands）
 	 * @param {boolean} isAdmin - 是否為管理員
 	 * @returns {Object} Flex Message 物件
 	 */
-	createHelpFlexMessage(isAdmin = false) {
+	createHelpFlexMessage(commands = [], isAdmin = false) {
+		const commandRows = commands.map((command) => ({
+			type: "box",
+			layout: "vertical",
+			contents: [
+				this.createText(command.usage || command.name, "sm", this.theme.colors.text, { weight: "bold", wrap: true }),
+				this.createText(
+					[command.description, command.aliases.length > 1 ? `別名：${command.aliases.filter((alias) => alias !== command.name).join("、")}` : null].filter(Boolean).join("\n"),
+					"xs",
+					this.theme.colors.textSecondary,
+					{ wrap: true }
+				)
+			],
+			spacing: "xs"
+		}));
+
 		return {
 			type: "flex",
 			altText: "YSCP 智慧通知 - 幫助訊息",
@@ -385,18 +413,13 @@ class FlexMessageService {
 					type: "box",
 					layout: "vertical",
 					contents: [
-						this.createText("系統功能", "lg", null, { weight: "bold", margin: "md" }),
+						this.createText("文字指令", "lg", null, { weight: "bold", margin: "md" }),
 						{
 							type: "box",
 							layout: "vertical",
 							margin: "md",
-							spacing: "sm",
-							contents: [
-								this.createInfoRow("監控狀態", "即時查看系統運行狀態"),
-								this.createInfoRow("設備管理", "編碼裝置與攝影機管理"),
-								this.createInfoRow("事件通知", "即時警報與事件推送"),
-								this.createInfoRow("用戶管理", isAdmin ? "管理員專用功能" : "權限控制與用戶管理")
-							]
+							spacing: "md",
+							contents: commandRows.length ? commandRows : [this.createText("目前沒有可使用的指令", "sm", this.theme.colors.textSecondary)]
 						}
 					],
 					paddingAll: "12px",
@@ -444,9 +467,10 @@ class FlexMessageService {
 	 * 創建用戶管理面板 Flex Message
 	 * @param {Array} pendingUsers - 待審核用戶列表
 	 * @param {Array} allUsers - 所有用戶列表
+	 * @param {number} deadLetterCount - 未送達訊息數量
 	 * @returns {Object} Flex Message 物件
 	 */
-	createUserManagementFlexMessage(pendingUsers = [], allUsers = []) {
+	createUserManagementFlexMessage(pendingUsers = [], allUsers = [], deadLetterCount = 0) {
 		const pendingCount = pendingUsers.length;
 		const totalUsers = allUsers.length;
 
@@ -462,7 +486,8 @@ class FlexMessageService {
 					contents: [
 						this.createText("📊 統計資訊", "lg", null, { weight: "bold", margin: "md" }),
 						this.createInfoRow("待審核:", `${pendingCount} 個`),
-						this.createInfoRow("總用戶:", `${totalUsers} 個`)
+						this.createInfoRow("總用戶:", `${totalUsers} 個`),
+						this.createInfoRow("未送達:", `${deadLetterCount} 筆`)
 					]
 				},
 				footer: {
@@ -474,7 +499,8 @@ class FlexMessageService {
 							layout: "vertical",
 							contents: [
 								this.createButton("📋 查看待審核用戶", "show_pending_users", "primary"),
-								this.createButton("🗑️ 管理現有用戶", "manage_existing_users", "secondary")
+								this.createButton("🗑️ 管理現有用戶", "manage_existing_users", "secondary"),
+								this.createButton("📮 未送達訊息", "show_dead_letters", "secondary")
 							],
 							spacing: "md"
 						}
@@ -484,6 +510,75 @@ class FlexMessageService {
 		};
 	}
 
+	/**
+	 * 創建未送達訊息列表 Flex Message
+	 * @param {Array} entries - 未送達紀錄
+	 * @param {number} maxItems - 最多顯示筆數
+	 * @returns {Object} Flex Message 物件
+	 */
+	createDeadLetterFlexMessage(entries = [], maxItems = 10) {
+		if (entries.length === 0) {
+			return {
+				type: "flex",
+				altText: "✅ 沒有未送達訊息",
+				contents: {
+					type: "bubble",
+					body: {
+						type: "box",
+						layout: "vertical",
+						contents: [
+							this.createText("✅ 沒有未送達訊息", "xl", this.theme.colors.success, { weight: "bold", align: "center" }),
+							this.createText("所有事件通知皆已送達", "md", this.theme.colors.textSecondary, { align: "center", margin: "md" })
+						]
+					}
+				}
+			};
+		}
+
+		const hcpClient = this.getHCPClient();
+		const rows = entries.slice(0, maxItems).map((entry) => {
+			const typeName = entry.event?.eventType != null ? hcpClient.getEventTypeName(entry.event.eventType) : "未知事件";
+			const time = entry.createdAt ? new Date(entry.createdAt).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" }) : "未知時間";
+			return {
+				type: "box",
+				layout: "vertical",
+				margin: "md",
+				spacing: "xs",
+				contents: [
+					this.createText(`${typeName}（${entry.event?.srcName || "未知設備"}）`, "sm", null, { weight: "bold", wrap: true }),
+					this.createText(`⏰ ${time}`, "xs", this.theme.colors.textSecondary),
+					this.createText(`👤 ${entry.target}`, "xs", this.theme.colors.textSecondary, { wrap: true }),
+					this.createText(`❗ ${entry.error || "未知錯誤"}（已嘗試 ${entry.attempts || 0} 次）`, "xs", this.theme.colors.error, { wrap: true })
+				]
+			};
+		});
+
+		const bodyContents = [this.createInfoRow("📦 未送達總數:", `${entries.length} 筆`), { type: "separator", margin: "md" }, ...rows];
+		if (entries.length > maxItems) {
+			bodyContents.push(this.createText(`…另有 ${entries.length - maxItems} 筆未顯示`, "xs", this.theme.colors.textMuted, { margin: "md" }));
+		}
+
+		return {
+			type: "flex",
+			altText: `📮 未送達訊息 (${entries.length} 筆)`,
+			contents: {
+				type: "bubble",
+				header: this.createHeader("📮 未送達訊息", "重試後仍無法送達的事件通知"),
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: bodyContents
+				},
+				footer: {
+					type: "box",
+					layout: "vertical",
+					spacing: "sm",
+					contents: [this.createButton("🔁 全部重新推送", "redrive_dead_letters", "admin")]
+				}
+			}
+		};
+	}
+
 	/**
 	 * 創建現有用戶管理 Flex Message
 	 * @param {Array} existingUsers - 現有用戶列表
@@ -521,7 +616,11 @@ class FlexMessageService {
 		const bubbles = displayUsers.map((user, index) => {
 			const displayName = user.displayName || (user.profile ? user.profile.displayName : null) || "未知用戶";
 			const pictureUrl = user.pictureUrl || (user.profile ? user.profile.pictureUrl : null) || "https://via.placeholder.com/120x120/cccccc/666666?text=👤";
-			const roleLabel = user.isAdmin ? "管理員" : "通知目標";
+			const roleLabel = PermissionService.getRoleLabel(user.role || (user.isAdmin ? "admin" : "target"));
+			// 個人帳號可設為任一角色；群組與聊天室不可設為管理員
+			const roleButtons = PermissionService.getAssignableRoles()
+				.filter((role) => role !== user.role && (role !== "admin" || user.id?.startsWith("U")))
+				.map((role) => this.createButton(`設為${PermissionService.getRoleLabel(role)}`, `set_role_${role}_${user.id}`, "secondary"));
 
 			const header = {
 				type: "box",
@@ -556,7 +655,7 @@ class FlexMessageService {
 					type: "box",
 					layout: "vertical",
 					spacing: "sm",
-					contents: [this.createButton("🗑️ 移除用戶", `remove_user_${user.id}`, "secondary")]
+					contents: [...roleButtons, this.createButton("🗑️ 移除用戶", `remove_user_${user.id}`, "secondary")]
 				}
 			};
 		});
@@ -630,6 +729,69 @@ class FlexMessageService {
 		};
 	}
 
+	/**
+	 * 創建新申請通知 Flex Message（推送給管理員，可直接批准或拒絕）
+	 * @param {Object} user - 用戶紀錄 { id, type, displayName, pictureUrl, addedAt }
+	 * @param {number} pendingCount - 目前待審核總數
+	 * @returns {Object} Flex Message 物件
+	 */
+	createPendingUserNoticeFlexMessage(user, pendingCount = 1) {
+		const typeLabels = { user: "👤 個人用戶", group: "👥 群組", room: "💬 聊天室" };
+		const typeLabel = typeLabels[user.type] || "未知";
+		const name = user.displayName || "未知名稱";
+		const appliedAt = user.lastUpdatedAt || user.addedAt;
+
+		return {
+			type: "flex",
+			altText: `🔔 新的待審核申請：${name}`,
+			contents: {
+				type: "bubble",
+				header: {
+					type: "box",
+					layout: "vertical",
+					contents: [
+						this.createText("🔔 新的待審核申請", "xl", this.theme.colors.background, { weight: "bold" }),
+						this.createText(`目前共 ${pendingCount} 個待審核`, "sm", this.theme.colors.background, { margin: "sm" })
+					],
+					backgroundColor: this.theme.colors.warning,
+					paddingAll: "20px"
+				},
+				body: {
+					type: "box",
+					layout: "vertical",
+					spacing: "md",
+					contents: [
+						{
+							type: "image",
+							url: user.pictureUrl || "https://via.placeholder.com/120x120/cccccc/666666?text=👤",
+							size: "lg",
+							aspectMode: "cover",
+							aspectRatio: "1:1",
+							margin: "md"
+						},
+						this.createInfoRow("🏷️ 名稱:", name),
+						this.createInfoRow("📋 類型:", typeLabel),
+						this.createInfoRow("📅 申請時間:", appliedAt ? new Date(appliedAt).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" }) : "未知")
+					]
+				},
+				footer: {
+					type: "box",
+					layout: "vertical",
+					spacing: "sm",
+					contents: [
+						{
+							type: "box",
+							layout: "horizontal",
+							spacing: "sm",
+							contents: [this.createButton("✅ 批准", `approve_${user.id}`, "primary"), this.createButton("❌ 拒絕", `reject_${user.id}`, "secondary")]
+						},
+						this.createButton("📋 查看全部待審核", "show_pending_users", "secondary")
+					]
+				}
+			}
+		};
+	}
+
 	/**
 	 * 創建待審核用戶列表 Flex Message
 	 * @param {Array} pendingUsers - 待審核用戶列表
@@ -966,100 +1128,137 @@ class FlexMessageService {
 
 	/**
 	 * 創建攝影機 Flex Message
-	 * @param {Array} cameras - 攝影機列表
-	 * @param {number} total - 總數量
+	 * @param {Array} cameras - 攝影機列表（已依搜尋條件篩選）
+	 * @param {number} total - 平台攝影機總數
 	 * @param {number} page - 當前頁碼 (從1開始)
 	 * @param {number} pageSize - 每頁顯示數量
+	 * @param {Object} options - { favorites: 最愛攝影機, favoriteIds: 最愛 ID 集合, queryLabel: 搜尋條件說明, pageSuffix: 分頁按鈕附加的查詢字串 }
 	 * @returns {Object} Flex Message 物件
 	 */
-	createCameraFlexMessage(cameras, total, page = 1, pageSize = 10) {
-		const onlineCameras = cameras.filter((camera) => camera.status === 1);
-		const offlineCount = cameras.length - onlineCameras.length;
+	createCameraFlexMessage(cameras, total, page = 1, pageSize = 10, options = {}) {
+		const { favorites = [], favoriteIds = new Set(), queryLabel = null, pageSuffix = "" } = options;
+		const isOnline = (camera) => camera.status === 1;
+		const onlineCount = cameras.filter(isOnline).length;
+
+		// 第一頁顯示最愛攝影機，一鍵擷圖
+		const favoritesBubble =
+			page === 1 && favorites.length > 0
+				? {
+						type: "bubble",
+						header: this.createHeader("⭐ 我的最愛", `${favorites.length} 支攝影機`),
+						body: {
+							type: "box",
+							layout: "vertical",
+							spacing: "sm",
+							contents: favorites.map((camera) => {
+								const name = camera.cameraName || `攝影機 ${camera.cameraIndexCode}`;
+								const label = `📸 ${name.length > 16 ? `${name.slice(0, 15)}…` : name}`;
+								return this.createButton(label, `capture_${camera.cameraIndexCode}`, isOnline(camera) ? "primary" : "secondary");
+							}),
+							paddingAll: "12px"
+						}
+				  }
+				: null;
 
-		// 如果沒有上線攝影機，顯示提示訊息
-		if (onlineCameras.length === 0) {
+		// 沒有符合條件的攝影機時顯示提示訊息
+		if (cameras.length === 0) {
+			const emptyBubble = {
+				type: "bubble",
+				header: this.createHeader("📷 攝影機列表", queryLabel),
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: [
+						this.createText("⚠️ 沒有符合的攝影機", "xl", this.theme.colors.error, { weight: "bold", align: "center" }),
+						this.createText(queryLabel ? "請調整搜尋條件後再試" : "目前沒有可用的攝影機", "md", this.theme.colors.textSecondary, { align: "center", margin: "md" }),
+						{
+							type: "box",
+							layout: "vertical",
+							margin: "lg",
+							spacing: "sm",
+							contents: [this.createInfoRow("📊 總攝影機數:", `${total} 個`)]
+						}
+					]
+				},
+				styles: { body: { backgroundColor: this.theme.colors.backgroundSecondary } }
+			};
 			return {
 				type: "flex",
-				altText: `📷 攝影機列表 (共 ${total} 個，全部離線)`,
-				contents: {
-					type: "bubble",
-					header: this.createHeader("📷 攝影機狀態", "所有攝影機離線"),
-					body: {
-						type: "box",
-						layout: "vertical",
-						contents: [
-							this.createText("⚠️ 無上線攝影機", "xl", this.theme.colors.error, { weight: "bold", align: "center" }),
-							this.createText("目前沒有上線的攝影機", "md", this.theme.colors.textSecondary, { align: "center", margin: "md" }),
-							{
-								type: "box",
-								layout: "vertical",
-								margin: "lg",
-								spacing: "sm",
-								contents: [this.createInfoRow("📊 總攝影機數:", `${total} 個`), this.createInfoRow("🔴 離線攝影機:", `${offlineCount} 個`)]
-							}
-						]
-					},
-					styles: { body: { backgroundColor: this.theme.colors.backgroundSecondary } }
-				}
+				altText: "📷 攝影機列表 (沒有符合的攝影機)",
+				contents: favoritesBubble ? { type: "carousel", contents: [favoritesBubble, emptyBubble] } : emptyBubble
 			};
 		}
 
 		// 計算分頁數據
 		const startIndex = (page - 1) * pageSize;
 		const endIndex = startIndex + pageSize;
-		const displayCameras = onlineCameras.slice(startIndex, endIndex);
-		const totalPages = Math.ceil(onlineCameras.length / pageSize);
+		const displayCameras = cameras.slice(startIndex, endIndex);
+		const totalPages = Math.ceil(cameras.length / pageSize);
 		const hasNextPage = page < totalPages;
 		const hasPrevPage = page > 1;
 
-		const bubbles = displayCameras.map((camera) => ({
-			type: "bubble",
-			header: {
-				type: "box",
-				layout: "vertical",
-				contents: [this.createText(camera.cameraName || "未知攝影機", "xl", this.theme.colors.background, { weight: "bold" })],
-				backgroundColor: this.theme.colors.success,
-				paddingAll: "20px"
-			},
-			body: {
-				type: "box",
-				layout: "vertical",
-				contents: [
-					{
-						type: "box",
-						layout: "vertical",
-						margin: "lg",
-						spacing: "sm",
-						contents: [
-							this.createInfoRow("🆔 攝影機ID:", camera.cameraIndexCode),
-							this.createInfoRow("📡 狀態:", camera.status === 1 ? "🟢 線上" : "🔴 離線"),
-							this.createInfoRow("⚙️ 功能:", camera.capabilitySet || "無")
-						]
-					}
-				],
-				paddingAll: "16px"
-			},
-			footer: {
-				type: "box",
-				layout: "vertical",
-				spacing: "sm",
-				contents: [this.createButton("📸 擷圖", `capture_${camera.cameraIndexCode}`, "primary")],
-				paddingAll: "12px"
+		const bubbles = displayCameras.map((camera) => {
+			const cameraId = String(camera.cameraIndexCode);
+			const isFavorite = favoriteIds.has(cameraId);
+			const actions = [
+				isFavorite
+					? this.createButton("☆ 移除最愛", `favorite_remove_${cameraId}`, "secondary")
+					: this.createButton("⭐ 加入最愛", `favorite_add_${cameraId}`, "secondary")
+			];
+			if (isOnline(camera)) {
+				actions.unshift(this.createButton("📸 擷圖", `capture_${cameraId}`, "primary"));
 			}
-		}));
+
+			return {
+				type: "bubble",
+				header: {
+					type: "box",
+					layout: "vertical",
+					contents: [this.createText(`${isFavorite ? "⭐ " : ""}${camera.cameraName || "未知攝影機"}`, "xl", this.theme.colors.background, { weight: "bold" })],
+					backgroundColor: isOnline(camera) ? this.theme.colors.success : this.theme.colors.error,
+					paddingAll: "20px"
+				},
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: [
+						{
+							type: "box",
+							layout: "vertical",
+							margin: "lg",
+							spacing: "sm",
+							contents: [
+								this.createInfoRow("🆔 攝影機ID:", cameraId),
+								this.createInfoRow("📡 狀態:", isOnline(camera) ? "🟢 線上" : "🔴 離線"),
+								...(camera.regionName ? [this.createInfoRow("📍 區域:", camera.regionName)] : []),
+								this.createInfoRow("⚙️ 功能:", camera.capabilitySet || "無")
+							]
+						}
+					],
+					paddingAll: "16px"
+				},
+				footer: {
+					type: "box",
+					layout: "vertical",
+					spacing: "sm",
+					contents: actions,
+					paddingAll: "12px"
+				}
+			};
+		});
 
 		// 添加分頁控制卡片
-		if (hasNextPage || hasPrevPage || totalPages > 1) {
+		if (hasNextPage || hasPrevPage || totalPages > 1 || queryLabel) {
 			const paginationButtons = [];
 
 			// 上一頁按鈕
 			if (hasPrevPage) {
-				paginationButtons.push(this.createButton("⬅️ 上一頁", `page_cameras_${page - 1}`, "secondary"));
+				paginationButtons.push(this.createButton("⬅️ 上一頁", `page_cameras_${page - 1}${pageSuffix}`, "secondary"));
 			}
 
 			// 下一頁按鈕
 			if (hasNextPage) {
-				paginationButtons.push(this.createButton("下一頁 ➡️", `page_cameras_${page + 1}`, "primary"));
+				paginationButtons.push(this.createButton("下一頁 ➡️", `page_cameras_${page + 1}${pageSuffix}`, "primary"));
 			}
 
 			const paginationCard = {
@@ -1082,8 +1281,9 @@ class FlexMessageService {
 							spacing: "sm",
 							contents: [
 								this.createInfoRow("📄 當前頁面:", `第 ${page} 頁，共 ${totalPages} 頁`),
-								this.createInfoRow("📋 顯示範圍:", `${startIndex + 1} - ${Math.min(endIndex, onlineCameras.length)}`),
-								this.createInfoRow("📷 線上攝影機:", `${onlineCameras.length} 個`)
+								this.createInfoRow("📋 顯示範圍:", `${startIndex + 1} - ${Math.min(endIndex, cameras.length)}`),
+								this.createInfoRow("📷 符合攝影機:", `${cameras.length} 個（線上 ${onlineCount}）`),
+								...(queryLabel ? [this.createInfoRow("🔎 搜尋條件:", queryLabel)] : [])
 							]
 						}
 					],
@@ -1109,13 +1309,26 @@ class FlexMessageService {
 
 		return {
 			type: "flex",
-			altText: `📷 攝影機列表 (共 ${total} 個)`,
-			contents: { type: "carousel", contents: bubbles }
+			altText: `📷 攝影機列表 (共 ${cameras.length} 個${queryLabel ? `，${queryLabel}` : ""})`,
+			contents: { type: "carousel", contents: favoritesBubble ? [favoritesBubble, ...bubbles] : bubbles }
 		};
 	}
 
 	// ========== 事件 FlexMessage 相關方法 ==========
 
+	/**
+	 * 取得事件的顯示名稱（含設備上下線與警報解除）
+	 * @param {Object} event - 事件資料或歷史紀錄
+	 * @returns {string}
+	 */
+	getEventLabel(event) {
+		if (event.kind === "device_status") {
+			return { online: "設備上線", offline: "設備離線", flapping: "設備狀態不穩定" }[event.deviceStatus] || "設備狀態";
+		}
+		const typeName = this.getHCPClient().getEventTypeName(event.eventType);
+		return event.kind === "alarm_clear" ? `${typeName}（已解除）` : typeName;
+	}
+
 	/**
 	 * 取得事件 ability，若缺失則回退至舊欄位或預設值
 	 * @param {Object} eventData - 事件資料
@@ -1156,9 +1369,24 @@ class FlexMessageService {
 	/**
 	 * 建立事件 FlexMessage
 	 * @param {Object} eventData - 完整的事件數據
+	 * @param {Object} options - { imageFollowUp: 沒有圖片時會另行補送（顯示佔位提示）,
+	 *   reuseStoredImage: 沿用已儲存的事件圖片，不重新查詢或擷取即時畫面（升級通報、重新推送） }
 	 * @returns {Promise<Object>} FlexMessage 物件
 	 */
-	async createEventFlexMessage(eventData) {
+	async createEventFlexMessage(eventData, options = {}) {
+		// 設備狀態與警報解除通知使用獨立樣式
+		if (eventData.kind === "device_status") {
+			return this.createDeviceStatusFlexMessage(eventData);
+		}
+		if (eventData.kind === "alarm_clear") {
+			return this.createAlarmClearFlexMessage(eventData);
+		}
+
+		if (options.reuseStoredImage) {
+			const stored = EventStorageService.getEvent(eventData.eventId) || EventStorageService.getEventFromHistory(eventData.eventId);
+			return await this.createBaseEventFlexMessage(eventData, { imageUrl: stored?.imageUrl || eventData.imageUrl || null, getLiveImage: null });
+		}
+
 		const ability = this.getEventAbility(eventData);
 
 		const handlerMap = {
@@ -1168,11 +1396,11 @@ class FlexMessageService {
 		};
 
 		if (ability && handlerMap[ability]) {
-			return await handlerMap[ability](eventData);
+			return await handlerMap[ability](eventData, options);
 		}
 
 		// 預設回退為 event_vss 處理流程，確保舊資料仍可用
-		return await this.createVssEventFlexMessage(eventData);
+		return await this.createVssEventFlexMessage(eventData, options);
 	}
 
 	/**
@@ -1180,8 +1408,13 @@ class FlexMessageService {
 	 * 根據 YSCP OpenAPI 規範，所有事件都遵循相同的通用處理原則
 	 * @param {Object} eventData - 完整的事件數據
 	 * @param {Object} options - 配置選項
-	 * @param {Function} options.getImageUri - 取得圖片 URI 的函數，符合 YSCP 規範的事件數據結構
+	 * @param {Function} options.getImageUri - 取得圖片 URI 的函數，可回傳單一 URI 或依優先順序排列的 URI 陣列
 	 * @param {string} options.imageType - 圖片類型標識，用於圖片處理和去重
+	 * @param {Function|null} options.getLiveImage - 事件圖片都取得失敗時改用即時畫面，回傳 { imageUrl, caption } 或 null；
+	 *   未指定時擷取事件來源攝影機，傳入 null 則不擷取
+	 * @param {boolean} options.preferLiveImage - 先嘗試即時畫面，擷取失敗再改用事件圖片
+	 * @param {boolean} options.imageFollowUp - 沒有圖片時顯示「將另行傳送」提示（僅限會登記補送的推送）
+	 * @param {string|null} options.imageUrl - 已取得的圖片 URL，有值時不再查詢其他來源
 	 * @returns {Promise<Object>} FlexMessage 物件
 	 */
 	async createBaseEventFlexMessage(eventData, options = {}) {
@@ -1190,18 +1423,39 @@ class FlexMessageService {
 		const timeString = date.toLocaleString("zh-TW", { timeZone: "Asia/Taipei" });
 
 		// 取得圖片資料（根據 YSCP 規範，圖片 URI 位於 data 欄位中）
-		let imageUrl = null;
-		const { getImageUri, imageType } = options;
-		if (getImageUri && typeof getImageUri === "function") {
-			const targetUri = getImageUri(eventData, data);
-			if (targetUri) {
+		let imageUrl = options.imageUrl || null;
+		let imageCaption = null;
+		const { getImageUri, imageType, preferLiveImage } = options;
+		const getLiveImage = options.getLiveImage === undefined ? (eventData) => this.captureSourceCameraImage(eventData) : options.getLiveImage;
+		const useEventImage = async () => {
+			if (!getImageUri || typeof getImageUri !== "function") return;
+			// 依序嘗試各圖片來源，直到取得成功
+			const targetUris = [...new Set([].concat(getImageUri(eventData, data) || []).filter(Boolean))];
+			for (const targetUri of targetUris) {
 				try {
 					// 使用事件ID進行去重
 					imageUrl = await this.fetchEventImage(targetUri, imageType || "generic_event", eventData.eventId);
 				} catch (error) {
 					LoggerService.error(`取得${imageType || "事件"}圖片失敗`, error);
 				}
+				if (imageUrl) break;
+			}
+		};
+		const useLiveImage = async () => {
+			if (typeof getLiveImage !== "function" || !EventImageResolverService.getSettings().liveCapture) return;
+			const liveImage = await getLiveImage(eventData);
+			if (liveImage) {
+				imageUrl = liveImage.imageUrl;
+				imageCaption = liveImage.caption || null;
 			}
+		};
+
+		if (!imageUrl && preferLiveImage) {
+			await useLiveImage();
+			if (!imageUrl) await useEventImage();
+		} else if (!imageUrl) {
+			await useEventImage();
+			if (!imageUrl) await useLiveImage();
 		}
 
 		// 建立 FlexMessage 內容
@@ -1230,6 +1484,20 @@ class FlexMessageService {
 				aspectMode: "cover",
 				margin: "md"
 			});
+			if (imageCaption) {
+				contents.push(this.createText(imageCaption, "xs", this.theme.colors.textMuted, { margin: "sm", wrap: true }));
+			}
+		} else if (options.imageFollowUp) {
+			// 圖片尚未產生時顯示佔位提示，取得後由 EventImageResolverService 另行推送
+			contents.push({
+				type: "box",
+				layout: "vertical",
+				margin: "md",
+				paddingAll: "md",
+				cornerRadius: "md",
+				backgroundColor: this.theme.colors.backgroundSecondary,
+				contents: [this.createText("🖼️ 事件圖片尚未產生，取得後將另行傳送", "xs", this.theme.colors.textMuted, { align: "center", wrap: true })]
+			});
 		}
 
 		const bubble = {
@@ -1241,7 +1509,7 @@ class FlexMessageService {
 			}
 		};
 
-		const footer = imageUrl ? this.createResendImageFooter(eventData.eventId) : null;
+		const footer = this.createEventActionFooter(eventData.eventId, { hasImage: Boolean(imageUrl) });
 		if (footer) {
 			bubble.footer = footer;
 		}
@@ -1257,28 +1525,15 @@ class FlexMessageService {
 	 * 建立影像事件 (event_vss) 的 FlexMessage
 	 * 包含 AIOP、溫度等影像能力事件
 	 * @param {Object} eventData - 完整的事件數據
+	 * @param {Object} options - 傳給 createBaseEventFlexMessage 的選項
 	 * @returns {Promise<Object>} FlexMessage 物件
 	 */
-	async createVssEventFlexMessage(eventData) {
-		const hcpClient = this.getHCPClient();
-		let eventPicUri = null;
-		try {
-			const queryParams = {
-				eventIndexCode: eventData.eventId || eventData.eventIndexCode,
-				pageNo: 1,
-				pageSize: 1
-			};
-			const recordsResult = await hcpClient.getEventRecords(queryParams);
-			LoggerService.hcp(`[createVssEventFlexMessage] getEventRecords result: ${JSON.stringify(recordsResult)}`);
-			if (recordsResult?.code === "0" && recordsResult.data?.list?.length) {
-				eventPicUri = recordsResult.data.list[0].eventPicUri || null;
-				LoggerService.hcp(`[createVssEventFlexMessage] eventPicUri: ${eventPicUri}`);
-			}
-		} catch (error) {
-			LoggerService.error("查詢事件紀錄失敗", error);
-		}
+	async createVssEventFlexMessage(eventData, options = {}) {
+		// 事件紀錄可能尚未建立索引，查不到 eventPicUri 時依序改用事件本身的圖片來源
+		const eventPicUri = await EventImageResolverService.lookupEventPicUri(eventData.eventId || eventData.eventIndexCode);
 		return await this.createBaseEventFlexMessage(eventData, {
-			getImageUri: () => eventPicUri,
+			...options,
+			getImageUri: () => [eventPicUri, ...EventImageResolverService.getFallbackImageUris(eventData)],
 			imageType: "vss_event"
 		});
 	}
@@ -1288,15 +1543,17 @@ class FlexMessageService {
 	 * 根據 YSCP OpenAPI 規範：事件代碼 131659，使用 Face Picture Comparison Event Message 格式
 	 * 圖片 URI 位於 data.alarmResult.faces.URL
 	 * @param {Object} eventData - 完整的事件數據
+	 * @param {Object} options - 傳給 createBaseEventFlexMessage 的選項
 	 * @returns {Promise<Object>} FlexMessage 物件
 	 */
-	async createFaceMatchFlexMessage(eventData) {
+	async createFaceMatchFlexMessage(eventData, options = {}) {
 		return await this.createBaseEventFlexMessage(eventData, {
+			...options,
 			getImageUri: (eventData, data) => {
 				// 根據 YSCP 規範：Face Picture Comparison Event Message
 				// 圖片位於 alarmResult.faces.URL
 				const faces = data?.alarmResult?.faces;
-				return faces?.URL || null;
+				return [faces?.URL, ...EventImageResolverService.getFallbackImageUris(eventData)];
 			},
 			imageType: "face_match"
 		});
@@ -1307,19 +1564,360 @@ class FlexMessageService {
 	 * 根據 YSCP OpenAPI 規範：事件代碼 196893，使用 Access Control Event Message 格式
 	 * 圖片 URI 位於 data.picUri
 	 * @param {Object} eventData - 完整的事件數據
+	 * @param {Object} options - 傳給 createBaseEventFlexMessage 的選項
 	 * @returns {Promise<Object>} FlexMessage 物件
 	 */
-	async createAccessControlFlexMessage(eventData) {
+	async createAccessControlFlexMessage(eventData, options = {}) {
+		// 有設定門禁連動攝影機時，事件沒有圖片就改用即時畫面；設定為一律擷圖時先擷圖，失敗再改用事件圖片
+		const hasLinkedCamera = Boolean(DoorCameraService.getCameraForDoor(eventData));
+
 		return await this.createBaseEventFlexMessage(eventData, {
+			...options,
 			getImageUri: (eventData, data) => {
 				// 根據 YSCP 規範：Access Control Event Message
 				// 圖片位於 data.picUri
-				return data?.picUri || null;
+				return EventImageResolverService.getFallbackImageUris(eventData);
 			},
+			getLiveImage: hasLinkedCamera ? (eventData) => this.captureDoorCameraImage(eventData) : null,
+			preferLiveImage: hasLinkedCamera && DoorCameraService.shouldCapture(Boolean(eventData?.data?.picUri)),
 			imageType: "access_control"
 		});
 	}
 
+	/**
+	 * 擷取事件來源攝影機的即時畫面（事件來源為攝影機時）
+	 * @param {Object} eventData - 事件資料
+	 * @returns {Promise<{ imageUrl: string, caption: string }|null>}
+	 */
+	async captureSourceCameraImage(eventData) {
+		if (eventData.srcType !== "camera" || !eventData.srcIndex) {
+			return null;
+		}
+
+		try {
+			const captureResult = await this.getHCPClient().captureCameraImage({ cameraIndexCode: eventData.srcIndex });
+			if (captureResult?.code !== "0" || !captureResult.data) {
+				LoggerService.warn(`擷取事件來源攝影機 ${eventData.srcIndex} 失敗: ${captureResult?.msg || "無資料"}`);
+				return null;
+			}
+
+			const imageUrl = this.processEventImage(captureResult.data, `live_${eventData.srcIndex}_${Date.now()}`, eventData.eventId);
+			return imageUrl ? { imageUrl, caption: `📷 即時畫面：${eventData.srcName || `攝影機 ${eventData.srcIndex}`}` } : null;
+		} catch (error) {
+			LoggerService.error(`擷取事件來源攝影機 ${eventData.srcIndex} 錯誤`, error);
+			return null;
+		}
+	}
+
+	/**
+	 * 擷取門禁連動攝影機的即時畫面
+	 * @param {Object} eventData - 門禁事件
+	 * @returns {Promise<{ imageUrl: string, caption: string }|null>}
+	 */
+	async captureDoorCameraImage(eventData) {
+		const liveImage = await DoorCameraService.captureForEvent(eventData);
+		if (!liveImage) {
+			return null;
+		}
+
+		const imageUrl = this.processEventImage(liveImage.imageData, `door_${liveImage.cameraIndexCode}_${Date.now()}`, eventData.eventId);
+		if (!imageUrl) {
+			return null;
+		}
+		return { imageUrl, caption: `📷 即時畫面：${liveImage.name || `攝影機 ${liveImage.cameraIndexCode}`}` };
+	}
+
+	/**
+	 * 建立設備上線 / 離線通知的 FlexMessage
+	 * @param {Object} eventData - 設備狀態事件（kind: device_status）
+	 * @returns {Object} FlexMessage 物件
+	 */
+	createDeviceStatusFlexMessage(eventData) {
+		const status = eventData.deviceStatus;
+		const formatTime = (input) => new Date(input).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" });
+		const formatClock = (input) => new Date(input).toLocaleTimeString("zh-TW", { timeZone: "Asia/Taipei", hour: "2-digit", minute: "2-digit", hour12: false });
+		const display = {
+			online: { title: "✅ 設備已上線", color: this.theme.colors.success },
+			offline: { title: "📡 設備離線", color: this.theme.colors.error },
+			flapping: { title: "⚠️ 設備狀態不穩定", color: this.theme.colors.warning }
+		}[status] || { title: "📡 設備狀態", color: this.theme.colors.info };
+
+		const rows = [
+			this.createInfoRow("⏰ 時間:", formatTime(eventData.happenTime)),
+			this.createInfoRow("📹 設備名稱:", eventData.srcName || "未知"),
+			this.createInfoRow("🔖 設備類型:", eventData.srcType || "未知")
+		];
+		let note = null;
+		if (status === "offline") {
+			const since = eventData.offlineSince || eventData.happenTime;
+			rows.push(this.createInfoRow("🔴 離線起始:", `${formatClock(since)} 起`));
+			note = "設備已中斷連線，請確認網路與電源狀態。";
+		} else if (status === "online" && eventData.offlineSince) {
+			const minutes = Math.max(0, Math.round((new Date(eventData.happenTime) - new Date(eventData.offlineSince)) / 60000));
+			rows.push(this.createInfoRow("⏱️ 離線時長:", `${minutes} 分鐘（${formatClock(eventData.offlineSince)} 起）`));
+		} else if (status === "flapping") {
+			note = "設備短時間內頻繁上下線，暫停個別通知，待狀態穩定後再回報。";
+		}
+
+		const contents = [
+			this.createText(display.title, "xl", display.color, { weight: "bold" }),
+			{
+				type: "box",
+				layout: "vertical",
+				margin: "md",
+				spacing: "sm",
+				contents: rows
+			}
+		];
+		if (note) {
+			contents.push(this.createText(note, "sm", this.theme.colors.textSecondary, { margin: "md", wrap: true }));
+		}
+
+		return {
+			type: "flex",
+			altText: `YSCP ${this.getEventLabel(eventData)} - ${eventData.srcName || "未知設備"}${status === "offline" ? `（${formatClock(eventData.offlineSince || eventData.happenTime)} 起）` : ""}`,
+			contents: {
+				type: "bubble",
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents
+				}
+			}
+		};
+	}
+
+	/**
+	 * 建立警報解除 / 恢復通知的 FlexMessage
+	 * @param {Object} eventData - 警報解除事件（kind: alarm_clear）
+	 * @returns {Object} FlexMessage 物件
+	 */
+	createAlarmClearFlexMessage(eventData) {
+		const typeName = this.getHCPClient().getEventTypeName(eventData.eventType);
+		const timeString = new Date(eventData.happenTime).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" });
+		const rows = [
+			this.createInfoRow("⏰ 解除時間:", timeString),
+			this.createInfoRow("🔖 事件類型:", typeName),
+			this.createInfoRow("📹 設備名稱:", eventData.srcName || "未知")
+		];
+
+		const original = eventData.relatedEventId ? EventStorageService.getEventFromHistory(eventData.relatedEventId) : null;
+		if (original) {
+			const originalTime = original.happenTime ? new Date(original.happenTime).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" }) : "未知時間";
+			const handlerLabel = original.handledBy?.displayName ? `（${original.handledBy.displayName}）` : "";
+			rows.push(this.createInfoRow("🚨 警報時間:", originalTime), this.createInfoRow("📌 處理狀態:", `${EventStorageService.getStatusLabel(original.status)}${handlerLabel}`));
+		}
+
+		return {
+			type: "flex",
+			altText: `YSCP 警報解除 - ${typeName} (${eventData.srcName || "未知設備"})`,
+			contents: {
+				type: "bubble",
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: [
+						this.createText("✅ 警報已解除", "xl", this.theme.colors.success, { weight: "bold" }),
+						{
+							type: "box",
+							layout: "vertical",
+							margin: "md",
+							spacing: "sm",
+							contents: rows
+						}
+					]
+				}
+			}
+		};
+	}
+
+	/**
+	 * 建立巡邏擷圖 carousel
+	 * @param {Object} patrol - 巡邏設定
+	 * @param {Array} captures - 擷圖結果 { cameraId, name, imageUrl, error }
+	 * @param {Date} time - 巡邏時間
+	 * @returns {Object} FlexMessage 物件
+	 */
+	createPatrolFlexMessage(patrol, captures = [], time = new Date()) {
+		const title = patrol.name || "定時巡邏";
+		const timeString = time.toLocaleString("zh-TW", { timeZone: "Asia/Taipei" });
+
+		const bubbles = captures.map((capture) => {
+			const bubble = {
+				type: "bubble",
+				size: "kilo",
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: [
+						this.createText(capture.name, "md", this.theme.colors.text, { weight: "bold", wrap: true }),
+						this.createText(`🕒 ${timeString}`, "xs", this.theme.colors.textMuted, { margin: "sm" })
+					]
+				}
+			};
+
+			if (capture.imageUrl) {
+				bubble.hero = {
+					type: "image",
+					url: capture.imageUrl,
+					size: "full",
+					aspectRatio: "16:9",
+					aspectMode: "cover",
+					action: { type: "uri", uri: capture.imageUrl }
+				};
+				bubble.footer = {
+					type: "box",
+					layout: "vertical",
+					contents: [this.createButton("🔄 重新擷圖", `capture_${capture.cameraId}`, "secondary")],
+					paddingAll: "8px"
+				};
+			} else {
+				bubble.body.contents.push(this.createText(`⚠️ 擷圖失敗：${capture.error || "未知錯誤"}`, "sm", this.theme.colors.error, { margin: "md", wrap: true }));
+			}
+
+			return bubble;
+		});
+
+		const succeeded = captures.filter((capture) => capture.imageUrl).length;
+		return {
+			type: "flex",
+			altText: `🛡️ ${title} - ${timeString}（${succeeded}/${captures.length} 支攝影機）`,
+			contents: {
+				type: "carousel",
+				contents: bubbles
+			}
+		};
+	}
+
+	/**
+	 * 建立事件摘要 FlexMessage（多筆事件合併為一則訊息）
+	 * @param {Array} events - 事件摘要列表 { eventType, srcName, happenTime }
+	 * @param {string} title - 標題
+	 * @param {number} maxItems - 最多顯示筆數
+	 * @returns {Object} FlexMessage 物件
+	 */
+	createEventDigestFlexMessage(events = [], title = "📋 事件摘要", maxItems = 15) {
+		const rows = events.slice(-maxItems).map((event) => {
+			const time = event.happenTime ? new Date(event.happenTime).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" }) : "未知時間";
+			return {
+				type: "box",
+				layout: "vertical",
+				margin: "md",
+				contents: [
+					this.createText(this.getEventLabel(event), "sm", null, { weight: "bold", wrap: true }),
+					this.createText(`⏰ ${time}｜📹 ${event.srcName || "未知設備"}`, "xs", this.theme.colors.textSecondary, { wrap: true })
+				]
+			};
+		});
+
+		const bodyContents = [this.createInfoRow("📦 事件數量:", `${events.length} 筆`), { type: "separator", margin: "md" }, ...rows];
+		if (events.length > maxItems) {
+			bodyContents.push(this.createText(`…較早的 ${events.length - maxItems} 筆未顯示，請查看事件記錄`, "xs", this.theme.colors.textMuted, { margin: "md", wrap: true }));
+		}
+
+		return {
+			type: "flex",
+			altText: `${title} (${events.length} 筆)`,
+			contents: {
+				type: "bubble",
+				header: this.createHeader(title),
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: bodyContents
+				},
+				footer: {
+					type: "box",
+					layout: "vertical",
+					contents: [this.createButton("🔔 事件記錄", "show_events", "primary")],
+					paddingAll: "12px"
+				}
+			}
+		};
+	}
+
+	/**
+	 * 建立事件彙整摘要 FlexMessage（carousel）
+	 * 第一頁為彙整總覽，其後每頁列出 10 筆事件
+	 * @param {Object} firstEvent - 彙整時段的第一筆事件（已即時推送）
+	 * @param {Array} events - 彙整時段內的後續事件
+	 * @param {number} windowMinutes - 彙整時段長度（分鐘）
+	 * @param {number} pageSize - 每頁顯示筆數
+	 * @returns {Object} FlexMessage 物件
+	 */
+	createAggregatedEventsFlexMessage(firstEvent, events = [], windowMinutes = 5, pageSize = 10) {
+		const hcpClient = this.getHCPClient();
+		const typeName = hcpClient.getEventTypeName(firstEvent.eventType);
+		const sources = [...new Set(events.map((event) => event.srcName || "未知設備"))];
+		const sourceLabel = sources.length === 1 ? sources[0] : `${sources.length} 個設備`;
+		const formatTime = (input) => (input ? new Date(input).toLocaleString("zh-TW", { timeZone: "Asia/Taipei" }) : "未知時間");
+		const maxPages = 9; // carousel 最多 12 頁，保留總覽頁與餘裕
+
+		const summaryBubble = {
+			type: "bubble",
+			header: this.createHeader("🌊 事件彙整", typeName),
+			body: {
+				type: "box",
+				layout: "vertical",
+				contents: [
+					this.createText(`${sourceLabel} 在過去 ${windowMinutes} 分鐘內又發生 ${events.length} 筆事件`, "md", this.theme.colors.text, {
+						weight: "bold",
+						wrap: true
+					}),
+					{
+						type: "box",
+						layout: "vertical",
+						margin: "md",
+						spacing: "sm",
+						contents: [
+							this.createInfoRow("🔖 事件類型:", typeName),
+							this.createInfoRow("📹 設備名稱:", sources.join("、")),
+							this.createInfoRow("⏰ 首筆時間:", formatTime(firstEvent.happenTime)),
+							this.createInfoRow("⏰ 最後時間:", formatTime(events[events.length - 1]?.happenTime))
+						]
+					}
+				]
+			},
+			footer: {
+				type: "box",
+				layout: "vertical",
+				contents: [this.createButton("🔔 事件記錄", "show_events", "primary")],
+				paddingAll: "12px"
+			}
+		};
+
+		const pages = [];
+		for (let i = 0; i < events.length && pages.length < maxPages; i += pageSize) {
+			pages.push(events.slice(i, i + pageSize));
+		}
+
+		const pageBubbles = pages.map((pageEvents, index) => {
+			const rows = pageEvents.map((event) => this.createText(`⏰ ${formatTime(event.happenTime)}｜📹 ${event.srcName || "未知設備"}`, "xs", this.theme.colors.textSecondary, { margin: "sm", wrap: true }));
+			const hiddenCount = events.length - maxPages * pageSize;
+			if (index === pages.length - 1 && hiddenCount > 0) {
+				rows.push(this.createText(`…其餘 ${hiddenCount} 筆未顯示，請查看事件記錄`, "xs", this.theme.colors.textMuted, { margin: "md", wrap: true }));
+			}
+			return {
+				type: "bubble",
+				size: "kilo",
+				header: this.createHeader(`📋 第 ${index + 1} 頁`, `${typeName}`),
+				body: {
+					type: "box",
+					layout: "vertical",
+					contents: rows
+				}
+			};
+		});
+
+		return {
+			type: "flex",
+			altText: `🌊 事件彙整 - ${sourceLabel} 在過去 ${windowMinutes} 分鐘內又發生 ${events.length} 筆${typeName}`,
+			contents: {
+				type: "carousel",
+				contents: [summaryBubble, ...pageBubbles]
+			}
+		};
+	}
 
 	/**
 	 * 取得事件圖片
@@ -1410,8 +2008,8 @@ class FlexMessageService {
 				icon: "✅",
 				title: "用戶已批准",
 				headerColor: this.theme.colors.success,
-				message: "該用戶現在可以使用 Line Bot 服務，並可接收 HCP 事件通知。",
-				status: "通知目標",
+				message: "該用戶現在可以使用 Line Bot 服務，並可接收 HCP 事件通知。如需其他權限，可於「管理現有用戶」調整角色。",
+				status: PermissionService.getRoleLabel(role || "viewer"),
 				altText: `✅ 已批准用戶: ${userName}`
 			},
 			reject: {
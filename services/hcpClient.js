@@ -177,6 +177,16 @@ class HCPClient {
 		return await this.request(endpoint, params);
 	}
 
+	/**
+	 * 獲取區域列表
+	 * @param {Object} params - 查詢參數
+	 * @returns {Promise<Object>} 區域列表
+	 */
+	async getRegionList(params = {}) {
+		const endpoint = `/artemis/api/resource/v1/regions`;
+		return await this.request(endpoint, params);
+	}
+
 	// getPreviewURLs 方法已移除（Line Bot 不需要串流功能）
 
 	/**
@@ -0,0 +1,167 @@
+/**
+ * 邀請碼服務
+ * - 管理員以「產生邀請碼 viewer 24h」產生有期限、可限制使用次數的邀請碼，每組邀請碼對應一個角色
+ * - 待審核用戶（或群組）傳送邀請碼後自動透過 UserService.setRole 升級，免逐一手動審核
+ * - 使用紀錄寫入 data/invite-codes.json，角色變更以 logUserStateChange 稽核（附邀請碼與產生者）
+ */
+
+const crypto = require("crypto");
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const UserService = require("./userService");
+
+class InviteCodeService {
+	constructor() {
+		this.filename = "invite-codes.json";
+		// 排除易混淆的 0/O、1/I/L
+		this.alphabet = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+		this.codeLength = 8;
+		this.roles = ["viewer", "operator", "target", "admin"];
+		this.maxTtlMs = 30 * 24 * 60 * 60 * 1000;
+		// 過期或用完的邀請碼保留一段時間供查詢，之後清除
+		this.retentionMs = 7 * 24 * 60 * 60 * 1000;
+	}
+
+	load() {
+		const data = configService.loadConfig(this.filename, { codes: {} });
+		if (!data.codes || typeof data.codes !== "object") data.codes = {};
+		return data;
+	}
+
+	save(data) {
+		const now = Date.now();
+		for (const [code, invite] of Object.entries(data.codes)) {
+			if (!this.isActive(invite, now) && now - new Date(invite.expiresAt).getTime() > this.retentionMs) {
+				delete data.codes[code];
+			}
+		}
+		return configService.saveConfig(this.filename, data);
+	}
+
+	/**
+	 * 將使用者輸入正規化（忽略大小寫、空白與連字號）
+	 * @param {string} text - 輸入文字
+	 * @returns {string}
+	 */
+	normalize(text) {
+		return String(text || "")
+			.toUpperCase()
+			.replace(/[\s-]+/g, "");
+	}
+
+	/**
+	 * 判斷文字是否可能為邀請碼
+	 * @param {string} text - 輸入文字
+	 * @returns {boolean}
+	 */
+	looksLikeCode(text) {
+		const normalized = this.normalize(text);
+		return normalized.length === this.codeLength && [...normalized].every((char) => this.alphabet.includes(char));
+	}
+
+	/**
+	 * 顯示用格式（XXXX-XXXX）
+	 * @param {string} code - 邀請碼
+	 * @returns {string}
+	 */
+	format(code) {
+		return `${code.slice(0, 4)}-${code.slice(4)}`;
+	}
+
+	isActive(invite, now = Date.now()) {
+		return !invite.revokedAt && new Date(invite.expiresAt).getTime() > now && invite.uses.length < invite.maxUses;
+	}
+
+	/**
+	 * 產生邀請碼
+	 * @param {Object} options - { role, ttlMs, maxUses, createdBy: { userId, displayName } }
+	 * @returns {Object} 邀請碼紀錄（含 code）
+	 */
+	create({ role, ttlMs, maxUses = 1, createdBy = {} }) {
+		if (!this.roles.includes(role)) {
+			throw new Error(`不支援的角色: ${role}`);
+		}
+		if (!(ttlMs > 0 && ttlMs <= this.maxTtlMs)) {
+			throw new Error("有效期限需介於 1 分鐘到 30 天之間");
+		}
+
+		const data = this.load();
+		let code;
+		do {
+			code = Array.from({ length: this.codeLength }, () => this.alphabet[crypto.randomInt(this.alphabet.length)]).join("");
+		} while (data.codes[code]);
+
+		const now = new Date();
+		const invite = {
+			role,
+			maxUses: Math.max(1, Math.floor(maxUses)),
+			createdBy: { userId: createdBy.userId || null, displayName: createdBy.displayName || null },
+			createdAt: now.toISOString(),
+			expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+			revokedAt: null,
+			uses: []
+		};
+		data.codes[code] = invite;
+		this.save(data);
+
+		LoggerService.user(`${createdBy.displayName || createdBy.userId || "管理員"} 產生 ${role} 邀請碼 ${this.format(code)}（${invite.maxUses} 次，至 ${invite.expiresAt}）`);
+		return { code, ...invite };
+	}
+
+	/**
+	 * 使用邀請碼升級角色
+	 * @param {string} input - 使用者輸入的邀請碼
+	 * @param {string} id - 用戶、群組或聊天室 ID
+	 * @returns {{ success: boolean, role?: string, error?: string }}
+	 */
+	redeem(input, id) {
+		const code = this.normalize(input);
+		const data = this.load();
+		const invite = data.codes[code];
+
+		if (!invite) return { success: false, error: "邀請碼無效" };
+		if (invite.revokedAt) return { success: false, error: "邀請碼已撤銷" };
+		if (new Date(invite.expiresAt).getTime() <= Date.now()) return { success: false, error: "邀請碼已過期" };
+		if (invite.uses.length >= invite.maxUses) return { success: false, error: "邀請碼已達使用次數上限" };
+		if (invite.role === "admin" && !id.startsWith("U")) return { success: false, error: "管理員邀請碼僅限個人帳號使用" };
+
+		invite.uses.push({ id, usedAt: new Date().toISOString() });
+		this.save(data);
+
+		UserService.setRole(id, invite.role, { via: "invite_code", inviteCode: this.format(code), invitedBy: invite.createdBy.userId });
+		LoggerService.user(`${id} 使用邀請碼 ${this.format(code)} 成為 ${invite.role}（${invite.uses.length}/${invite.maxUses}）`);
+		return { success: true, role: invite.role, invitedBy: invite.createdBy };
+	}
+
+	/**
+	 * 撤銷邀請碼
+	 * @param {string} input - 邀請碼
+	 * @returns {boolean} 是否成功
+	 */
+	revoke(input) {
+		const code = this.normalize(input);
+		const data = this.load();
+		const invite = data.codes[code];
+		if (!invite || !this.isActive(invite)) return false;
+
+		invite.revokedAt = new Date().toISOString();
+		this.save(data);
+		LoggerService.user(`邀請碼 ${this.format(code)} 已撤銷`);
+		return true;
+	}
+
+	/**
+	 * 取得仍可使用的邀請碼
+	 * @returns {Array<Object>} 依到期時間排序
+	 */
+	getActiveCodes() {
+		const now = Date.now();
+		return Object.entries(this.load().codes)
+			.filter(([, invite]) => this.isActive(invite, now))
+			.map(([code, invite]) => ({ code, ...invite }))
+			.sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+	}
+}
+
+// 導出單例實例
+module.exports = new InviteCodeService();
@@ -11,6 +11,14 @@ const LoggerService = require("./loggerService");
 const HCPClient = require("./hcpClient");
 const UserService = require("./userService");
 const EventStorageService = require("./eventStorageService");
+const DeadLetterService = require("./deadLetterService");
+const LineDeliveryService = require("./lineDeliveryService");
+const CameraDirectoryService = require("./cameraDirectoryService");
+const TimeWindowService = require("./timeWindowService");
+const CommandRegistry = require("./commandRegistry");
+const InviteCodeService = require("./inviteCodeService");
+const PermissionService = require("./permissionService");
+const ScopeService = require("./scopeService");
 
 /**
  * Line Bot 服務管理器
@@ -83,6 +91,13 @@ class LineBotService {
 		// 事件圖片快取（提供重新發送功能）
 		this.eventImageCache = new Map(); // Map<eventId, { imageUrl, ts }>
 		this.eventImageCacheTTL = 30 * 60 * 1000; // 30 分鐘
+
+		// 待審核通知冷卻（避免反覆加好友/邀請洗版管理員）
+		this.pendingNoticeTimes = new Map(); // Map<id, ts>
+		this.pendingNoticeCooldown = 6 * 60 * 60 * 1000; // 6 小時
+
+		// 文字指令註冊表
+		this.commandRegistry = this.createCommandRegistry();
 	}
 
 	// ============================== 用戶資料與權限 ==============================
@@ -138,13 +153,53 @@ class LineBotService {
 	}
 
 	isAuthorizedRole(role) {
-		return role === "admin" || role === "target";
+		return PermissionService.isAuthorizedRole(role);
 	}
 
 	isAdmin(userId) {
 		return this.getUserRole(userId) === "admin";
 	}
 
+	/**
+	 * 取得事件來源的角色：群組內的管理員以個人角色為準，其餘依用戶/群組/聊天室紀錄
+	 * @param {Object} event - Line 事件
+	 * @returns {string|null}
+	 */
+	getSourceRole(event) {
+		const source = event.source || {};
+		const userRole = source.userId ? this.getUserRole(source.userId) : null;
+		if (userRole === "admin") return userRole;
+		return this.getUserRole(source.groupId || source.roomId || source.userId);
+	}
+
+	/**
+	 * 取得事件來源的可視範圍 ID（群組與聊天室以整個對話為準）
+	 * @param {Object} event - Line 事件
+	 * @returns {string|null}
+	 */
+	getScopeId(event) {
+		const source = (event && event.source) || {};
+		return source.groupId || source.roomId || source.userId || null;
+	}
+
+	/**
+	 * 判斷 Postback 指向的攝影機或事件是否在可視範圍內
+	 * @param {string} data - Postback data
+	 * @param {string} scopeId - 可視範圍 ID
+	 * @returns {Promise<boolean>}
+	 */
+	async isPostbackInScope(data, scopeId) {
+		const cameraPrefix = ["capture_", "favorite_add_"].find((prefix) => data.startsWith(prefix));
+		if (cameraPrefix) {
+			return await ScopeService.allowsCameraId(scopeId, data.slice(cameraPrefix.length));
+		}
+		const eventPrefix = ["ack_event_", "resolve_event_", "false_alarm_", "resend_image_"].find((prefix) => data.startsWith(prefix));
+		if (eventPrefix) {
+			return await ScopeService.allowsEventId(scopeId, data.slice(eventPrefix.length));
+		}
+		return true;
+	}
+
 	// ============================== 依賴服務存取 ==============================
 
 	/** 獲取 FlexMessageService 實例（延遲載入） */
@@ -316,6 +371,11 @@ class LineBotService {
 				return await this.handleLeaveEvent(event);
 			}
 
+			// 待審核用戶傳送邀請碼時自動開通
+			if (this.isInviteCodeAttempt(event)) {
+				return await this.handleInviteCodeRedemption(event);
+			}
+
 			// 對於需要互動的事件，檢查權限
 			const permission = this.checkUserPermission(event);
 			if (!permission.hasPermission) {
@@ -365,21 +425,85 @@ class LineBotService {
 	}
 
 	/**
-	 * 處理文字訊息
+	 * 群組成員層級權限檢查（settings.groupMemberCheck 啟用時）
+	 * - 群組或聊天室已授權時，敏感動作仍需觸發的成員本人具備該權限
+	 * - 未授權成員改以私訊告知，不在群組中執行動作
+	 * @param {Object} event - Line 事件
+	 * @param {string|null} action - PermissionService 動作
+	 * @returns {Promise<boolean>} 是否允許
+	 */
+	async checkGroupMemberPermission(event, action) {
+		const source = event.source || {};
+		if (!PermissionService.requiresMemberCheck(source, action)) return true;
+
+		const memberRole = source.userId ? this.getUserRole(source.userId) : null;
+		if (PermissionService.can(memberRole, action)) return true;
+
+		await this.sendMemberPermissionDenied(event, action, memberRole);
+		return false;
+	}
+
+	/**
+	 * 私訊告知群組成員權限不足（成員未加 Bot 好友無法私訊時，於群組簡短回覆）
+	 */
+	async sendMemberPermissionDenied(event, action, memberRole) {
+		const source = event.source;
+		const chatId = source.groupId || source.roomId;
+		const actionLabel = PermissionService.getActionLabel(action);
+		let profile = { displayName: "未知用戶" };
+		if (source.userId) {
+			profile = source.groupId ? await this.getGroupMemberProfile(source.groupId, source.userId) : await this.getUserProfileWithCache(source.userId);
+		}
+
+		LoggerService.warn(`${chatId} 的成員 ${profile.displayName}（${source.userId || "未知"}，${memberRole || "未註冊"}）無個人權限${actionLabel}`);
+
+		if (source.userId) {
+			try {
+				await this.callLineBotAPI("pushMessage", source.userId, [
+					{
+						type: "text",
+						text: `⛔ 權限不足\n\n您在群組中沒有${actionLabel}的個人權限（目前角色：${PermissionService.getRoleLabel(memberRole)}）。\n如需使用，請聯繫管理員開通。`
+					}
+				]);
+				return;
+			} catch (error) {
+				LoggerService.warn(`無法私訊成員 ${source.userId}: ${error.message}`);
+			}
+		}
+		await this.sendErrorMessage(event.replyToken, `⛔ ${profile.displayName} 沒有${actionLabel}的個人權限，請加入 Bot 好友後聯繫管理員開通。`);
+	}
+
+	/**
+	 * 處理文字訊息（依指令註冊表分派）
 	 */
 	async handleTextMessage(event) {
-		const message = event.message.text.toLowerCase();
 		const replyToken = event.replyToken;
 
 		try {
-			// 檢查是否為管理員指令
-			const isAdminCommand = await this.checkAdminCommand(event, message);
-			if (isAdminCommand) {
+			const matched = this.commandRegistry.match(event.message.text);
+			if (!matched) {
 				return { success: true };
 			}
-			if (message.includes("幫助") || message.includes("help") || message.includes("功能") || message.includes("menu")) {
-				await this.sendHelpMessage(replyToken, event);
+
+			const { command, rawArgs } = matched;
+			const role = this.getSourceRole(event);
+			const sourceType = event.source.type;
+			if (!this.commandRegistry.canUse(command, role, sourceType)) {
+				const where = sourceType === "user" ? "" : "在群組中";
+				await this.sendErrorMessage(replyToken, `⛔ 權限不足\n\n${PermissionService.getRoleLabel(role)}無法${where}使用「${command.name}」指令`);
+				return { success: false, action: "permission_denied" };
+			}
+			if (!(await this.checkGroupMemberPermission(event, this.commandRegistry.getPermission(command, sourceType)))) {
+				return { success: false, action: "member_permission_denied" };
+			}
+
+			const args = this.commandRegistry.parseArgs(command, rawArgs);
+			if (!args) {
+				await this.sendErrorMessage(replyToken, `指令格式錯誤\n\n用法：${command.usage}`);
+				return { success: false, error: "指令格式錯誤" };
 			}
+
+			await command.handler(event, args);
 			return { success: true };
 		} catch (error) {
 			LoggerService.error("處理文字訊息錯誤", error);
@@ -395,22 +519,44 @@ class LineBotService {
 		const replyToken = event.replyToken;
 
 		try {
+			const action = PermissionService.getPostbackAction(data);
+			const role = this.getSourceRole(event);
+			if (action && !PermissionService.can(role, action)) {
+				LoggerService.warn(`${event.source.userId || event.source.groupId || event.source.roomId}（${role || "未知"}）無權限執行 ${data}`);
+				await this.sendErrorMessage(replyToken, `⛔ 權限不足\n\n${PermissionService.getRoleLabel(role)}無法${PermissionService.getActionLabel(action)}`);
+				return { success: false, action: "permission_denied" };
+			}
+			if (!(await this.checkGroupMemberPermission(event, action))) {
+				return { success: false, action: "member_permission_denied" };
+			}
+
+			const scopeId = this.getScopeId(event);
+			if (!(await this.isPostbackInScope(data, scopeId))) {
+				LoggerService.warn(`${scopeId} 嘗試存取可視範圍外的資料：${data}`);
+				await this.sendErrorMessage(replyToken, "⛔ 超出可視範圍\n\n此攝影機或事件不屬於本對話可查看的區域。");
+				return { success: false, action: "out_of_scope" };
+			}
+
 			// 攝影機擷圖
 			if (data.startsWith("capture_")) {
 				const cameraId = data.replace("capture_", "");
-				await this.sendCameraCapture(replyToken, `擷圖 ${cameraId}`);
+				await this.sendCameraCapture(replyToken, cameraId);
+			} else if (data.startsWith("favorite_add_")) {
+				await this.handleFavoriteCamera(event, data.replace("favorite_add_", ""), true);
+			} else if (data.startsWith("favorite_remove_")) {
+				await this.handleFavoriteCamera(event, data.replace("favorite_remove_", ""), false);
 			}
 			// 系統功能按鈕
 			else if (data === "show_help") {
-				await this.sendHelpMessage(replyToken);
+				await this.sendHelpMessage(replyToken, event);
 			} else if (data === "show_system_status") {
 				await this.sendSystemStatus(replyToken);
 			} else if (data === "show_devices") {
-				await this.sendEncodeDeviceList(replyToken);
+				await this.sendEncodeDeviceList(replyToken, 1, scopeId);
 			} else if (data === "show_cameras") {
-				await this.sendCameraList(replyToken);
+				await this.sendCameraList(replyToken, 1, {}, event.source.userId, scopeId);
 			} else if (data === "show_events") {
-				await this.sendEventLog(replyToken, 1);
+				await this.sendEventLog(replyToken, 1, null, scopeId);
 			} else if (data === "show_user_management") {
 				await this.sendAdminPanel(replyToken);
 			}
@@ -425,13 +571,29 @@ class LineBotService {
 			} else if (data.startsWith("reject_")) {
 				const userId = data.replace("reject_", "");
 				await this.handleRejectUserFromPostback(replyToken, userId);
+			} else if (data.startsWith("set_role_")) {
+				// 格式：set_role_{角色}_{ID}
+				const [role, ...idParts] = data.replace("set_role_", "").split("_");
+				await this.handleSetRoleFromPostback(event, role, idParts.join("_"));
 			} else if (data.startsWith("remove_user_")) {
 				const userId = data.replace("remove_user_", "");
 				await this.handleRemoveUserFromPostback(replyToken, userId);
+			} else if (data === "show_dead_letters") {
+				await this.sendDeadLetters(replyToken, event);
+			} else if (data === "redrive_dead_letters") {
+				await this.handleRedriveDeadLetters(replyToken, event);
 			} else if (data.startsWith("resend_image_")) {
 				const eventId = data.replace("resend_image_", "");
 				await this.handleResendEventImage(replyToken, eventId);
 			}
+			// 事件處理狀態
+			else if (data.startsWith("ack_event_")) {
+				await this.handleEventStatusAction(event, data.replace("ack_event_", ""), "acknowledged");
+			} else if (data.startsWith("resolve_event_")) {
+				await this.handleEventStatusAction(event, data.replace("resolve_event_", ""), "resolved");
+			} else if (data.startsWith("false_alarm_")) {
+				await this.handleEventStatusAction(event, data.replace("false_alarm_", ""), "false_alarm");
+			}
 			// 分頁控制
 			else if (data.startsWith("page_existing_")) {
 				const page = parseInt(data.replace("page_existing_", ""));
@@ -441,13 +603,15 @@ class LineBotService {
 				await this.handlePendingUsersPage(replyToken, page);
 			} else if (data.startsWith("page_devices_")) {
 				const page = parseInt(data.replace("page_devices_", ""));
-				await this.handleDevicesPage(replyToken, page);
+				await this.handleDevicesPage(replyToken, page, scopeId);
 			} else if (data.startsWith("page_cameras_")) {
-				const page = parseInt(data.replace("page_cameras_", ""));
-				await this.handleCamerasPage(replyToken, page);
+				// 格式：page_cameras_{頁碼}[?q=&region=&online=1]
+				const [pageText, queryText] = data.replace("page_cameras_", "").split("?");
+				await this.handleCamerasPage(replyToken, parseInt(pageText), this.decodeCameraQuery(queryText), event.source.userId, scopeId);
 			} else if (data.startsWith("page_event_history_")) {
-				const page = parseInt(data.replace("page_event_history_", ""));
-				await this.handleEventHistoryPage(replyToken, page);
+				// 格式：page_event_history_{頁碼}[_{篩選條件}]
+				const [pageText, filter] = data.replace("page_event_history_", "").split("_");
+				await this.handleEventHistoryPage(replyToken, parseInt(pageText), filter || null, scopeId);
 			}
 			return { success: true };
 		} catch (error) {
@@ -506,12 +670,18 @@ class LineBotService {
 			const currentRole = this.getUserRole(userId);
 			if (this.isAuthorizedRole(currentRole)) {
 				// 同步 users.role（保持 admin/target）
-				this.setUserRoleSyncTargets(userId, currentRole === "admin" ? "admin" : "target");
+				this.setUserRoleSyncTargets(userId, currentRole);
 
 				// 發送幫助訊息
 				if (replyToken) {
 					await this.sendHelpMessage(replyToken, event);
 				}
+			} else if (currentRole === "blocked") {
+				// 已拒絕的用戶重新加好友：維持封鎖，不再通知管理員
+				if (replyToken) {
+					await this.sendPermissionDeniedMessage(replyToken);
+				}
+				LoggerService.warn(`已拒絕的用戶 ${userId} 重新加好友，維持封鎖`);
 			} else {
 				// 標記為 pending 並提示
 				this.setUserRoleSyncTargets(userId, "pending");
@@ -519,6 +689,9 @@ class LineBotService {
 					await this.sendPermissionDeniedMessage(replyToken);
 				}
 				LoggerService.warn(`用戶 ${userId} 未授權，等待審核`);
+				if (currentRole !== "pending") {
+					await this.notifyAdminsOfPendingUser(userId);
+				}
 			}
 
 			return { success: true };
@@ -542,23 +715,32 @@ class LineBotService {
 
 			LoggerService.user(`Bot 加入${targetType}: ${targetId}`);
 
-			// upsert 群組/聊天室紀錄
-			UserService.upsertUser(targetId, { id: targetId, type: groupId ? "group" : "room" });
+			// upsert 群組/聊天室紀錄（含名稱與圖片快照）
+			await this.updateUserSnapshot(targetId, groupId ? "group" : "room");
 
 			// 檢查是否已有權限（以 users.role 為準）
 			const currentRole = this.getUserRole(targetId);
 			if (this.isAuthorizedRole(currentRole)) {
 				// 已授權群組發送幫助訊息
-				this.setUserRoleSyncTargets(targetId, "target");
+				this.setUserRoleSyncTargets(targetId, currentRole);
 				if (replyToken) {
 					await this.sendHelpMessage(replyToken, event);
 				}
+			} else if (currentRole === "blocked") {
+				// 已拒絕的群組/聊天室重新邀請：維持封鎖，不再通知管理員
+				if (replyToken) {
+					await this.sendPermissionDeniedMessage(replyToken);
+				}
+				LoggerService.warn(`已拒絕的${targetType} ${targetId} 重新邀請 Bot，維持封鎖`);
 			} else {
 				this.setUserRoleSyncTargets(targetId, "pending");
 				if (replyToken) {
 					await this.sendPermissionDeniedMessage(replyToken);
 				}
 				LoggerService.warn(`${targetType} ${targetId} 未授權，等待管理員審核`);
+				if (currentRole !== "pending") {
+					await this.notifyAdminsOfPendingUser(targetId);
+				}
 			}
 
 			return { success: true };
@@ -568,45 +750,647 @@ class LineBotService {
 		}
 	}
 
-	// ============================== 管理員指令處理 ==============================
+	/**
+	 * 推送待審核通知給所有管理員（附批准/拒絕按鈕）
+	 * 同一 ID 在冷卻時間內只通知一次
+	 * @param {string} id - 待審核的用戶、群組或聊天室 ID
+	 */
+	async notifyAdminsOfPendingUser(id) {
+		try {
+			const lastNoticeAt = this.pendingNoticeTimes.get(id);
+			if (lastNoticeAt && Date.now() - lastNoticeAt < this.pendingNoticeCooldown) {
+				LoggerService.warn(`${id} 已於冷卻時間內通知過管理員，略過重複通知`);
+				return;
+			}
+
+			const adminIds = UserService.getAllUsers()
+				.filter((user) => user.role === "admin" && user.id?.startsWith("U"))
+				.map((user) => user.id);
+			if (adminIds.length === 0) {
+				LoggerService.warn(`沒有可通知的管理員，${id} 等待審核`);
+				return;
+			}
+
+			const user = { id, ...this.getUserRecord(id) };
+			const flexMessage = this.getFlexMessageService().createPendingUserNoticeFlexMessage(user, UserService.getPendingUsers().length);
+			const { delivered, failed } = await LineDeliveryService.deliver(adminIds, [flexMessage]);
+			if (delivered.length > 0) {
+				this.pendingNoticeTimes.set(id, Date.now());
+			}
+			failed.forEach(({ id: adminId, error }) => {
+				LoggerService.error(`待審核通知無法送達管理員 ${adminId}`, error);
+			});
+			LoggerService.user(`已通知 ${delivered.length}/${adminIds.length} 位管理員審核 ${id}${user.displayName ? ` (${user.displayName})` : ""}`);
+		} catch (error) {
+			LoggerService.error(`推送待審核通知失敗: ${id}`, error);
+		}
+	}
+
+	// ============================== 文字指令 ==============================
+
+	/**
+	 * 建立文字指令註冊表（使用說明依此產生）
+	 * @returns {CommandRegistry}
+	 */
+	createCommandRegistry() {
+		return new CommandRegistry()
+			.register({
+				name: "幫助",
+				aliases: ["說明", "功能", "help", "menu"],
+				usage: "幫助",
+				description: "顯示可用指令與快速操作",
+				handler: (event) => this.sendHelpMessage(event.replyToken, event)
+			})
+			.register({
+				name: "事件",
+				aliases: ["事件記錄", "事件紀錄", "events"],
+				permission: "view_history",
+				usage: "事件 [今天|本週|未處理] [頁碼]",
+				description: "查看事件記錄，可依時間或處理狀態篩選",
+				parseArgs: (tokens) => this.parseEventLogArgs(tokens),
+				handler: (event, args) => this.sendEventLog(event.replyToken, args.page, args.filter, this.getScopeId(event))
+			})
+			.register({
+				name: "攝影機",
+				aliases: ["cameras", "camera"],
+				permission: "list_devices",
+				usage: "攝影機 [名稱] [區域 <區域名稱>] [線上]",
+				description: "查看攝影機列表，可依名稱、區域或上線狀態篩選；最愛攝影機顯示在最前面",
+				parseArgs: (tokens) => this.parseCameraQuery(tokens),
+				handler: (event, args) => this.sendCameraList(event.replyToken, 1, args, event.source.userId, this.getScopeId(event))
+			})
+			.register({
+				name: "擷圖",
+				aliases: ["capture", "snapshot"],
+				permission: "capture",
+				usage: "擷圖 <名稱或 ID>｜擷圖 全部 <名稱>",
+				description: "擷取攝影機即時畫面，名稱可模糊比對",
+				handler: (event, args) => this.handleCaptureCommand(event, args.text)
+			})
+			.register({
+				name: "設備",
+				aliases: ["設備列表", "devices"],
+				permission: "list_devices",
+				usage: "設備 [離線]",
+				description: "查看編碼設備，或列出目前離線的攝影機與設備",
+				parseArgs: (tokens) => {
+					if (tokens.length === 0) return { offlineOnly: false };
+					return tokens.length === 1 && ["離線", "offline"].includes(tokens[0].toLowerCase()) ? { offlineOnly: true } : null;
+				},
+				handler: (event, args) =>
+					args.offlineOnly
+						? this.sendOfflineDevices(event.replyToken, this.getScopeId(event))
+						: this.sendEncodeDeviceList(event.replyToken, 1, this.getScopeId(event))
+			})
+			.register({
+				name: "狀態",
+				aliases: ["系統狀態", "版本", "status", "version"],
+				usage: "狀態",
+				description: "查看 YSCP 平台版本與系統狀態",
+				handler: (event) => this.sendSystemStatus(event.replyToken)
+			})
+			.register({
+				name: "勿擾",
+				aliases: ["dnd"],
+				groupPermission: "manage_users",
+				usage: "勿擾 [HH:mm-HH:mm [平日|週末]｜關閉]",
+				description: "設定每日勿擾時段，非高優先事件於時段結束後以摘要送出（群組中僅限管理員）",
+				handler: (event, args) => this.handleQuietHoursCommand(event, args.text)
+			})
+			.register({
+				name: "靜音",
+				aliases: ["mute"],
+				groupPermission: "manage_users",
+				usage: "靜音 [時長，例如 1h、30m｜關閉]",
+				description: "暫時靜音通知，到期後以摘要送出（群組中僅限管理員）",
+				parseArgs: (tokens) => this.parseMuteArgs(tokens),
+				handler: (event, args) => this.handleMuteCommand(event, args)
+			})
+			.register({
+				name: "管理",
+				aliases: ["用戶管理", "admin"],
+				permission: "manage_users",
+				usage: "管理",
+				description: "開啟用戶管理面板",
+				handler: (event) => this.sendAdminPanel(event.replyToken)
+			})
+			.register({
+				name: "產生邀請碼",
+				aliases: ["invite"],
+				permission: "manage_users",
+				usage: "產生邀請碼 <viewer|operator|admin> [24h|7d] [使用次數]",
+				description: "產生有期限的邀請碼，待審核用戶傳送後自動開通對應角色",
+				parseArgs: (tokens) => this.parseInviteArgs(tokens),
+				handler: (event, args) => this.handleCreateInviteCommand(event, args)
+			})
+			.register({
+				name: "邀請碼",
+				aliases: ["invites"],
+				permission: "manage_users",
+				usage: "邀請碼 [撤銷 <邀請碼>]",
+				description: "查看仍有效的邀請碼，或撤銷指定邀請碼",
+				parseArgs: (tokens) => {
+					if (tokens.length === 0) return {};
+					return ["撤銷", "revoke"].includes(tokens[0].toLowerCase()) && tokens.length >= 2 ? { revoke: tokens.slice(1).join("") } : null;
+				},
+				handler: (event, args) => this.handleInviteListCommand(event, args)
+			})
+			.register({
+				name: "範圍",
+				aliases: ["可視範圍", "scope"],
+				permission: "manage_users",
+				usage: "範圍 [ID] [區域 <區域>...｜攝影機 <名稱或 ID>...｜清除]",
+				description: "查看或設定本對話（或指定 ID）可查看的區域與攝影機，範圍外的列表、擷圖、事件記錄與通知皆不顯示",
+				parseArgs: (tokens) => this.parseScopeArgs(tokens),
+				handler: (event, args) => this.handleScopeCommand(event, args)
+			});
+	}
+
+	/**
+	 * 解析「事件」指令參數
+	 * @param {Array<string>} tokens - 參數
+	 * @returns {{ filter: string|null, page: number }|null}
+	 */
+	parseEventLogArgs(tokens) {
+		const filterAliases = { 今天: "today", today: "today", 本週: "week", 這週: "week", week: "week", 未處理: "open", open: "open" };
+		const args = { filter: null, page: 1 };
+		for (const token of tokens) {
+			const lower = token.toLowerCase();
+			if (filterAliases[lower] && !args.filter) {
+				args.filter = filterAliases[lower];
+			} else if (/^\d+$/.test(token) && Number(token) > 0) {
+				args.page = Number(token);
+			} else {
+				return null;
+			}
+		}
+		return args;
+	}
+
+	/**
+	 * 取得事件記錄篩選條件
+	 * @param {string|null} filter - today | week | open
+	 * @returns {{ label: string, query: Object }|null}
+	 */
+	getEventLogFilter(filter) {
+		const now = new Date();
+		if (filter === "today") {
+			const { dateKey } = TimeWindowService.getLocalParts(now);
+			return { label: "今天", query: { since: new Date(`${dateKey}T00:00:00+08:00`).getTime() } };
+		}
+		if (filter === "week") {
+			return { label: "近 7 天", query: { since: now.getTime() - 7 * 24 * 60 * 60 * 1000 } };
+		}
+		if (filter === "open") {
+			return { label: "未處理", query: { status: "open" } };
+		}
+		return null;
+	}
+
+	/**
+	 * 發送目前離線的攝影機與編碼設備
+	 */
+	async sendOfflineDevices(replyToken, scopeId = null) {
+		const maxLines = 40;
+		try {
+			const DeviceMonitorService = require("./deviceMonitorService");
+			const devices = await DeviceMonitorService.fetchDevices({ includeCameras: true, includeEncodeDevices: true });
+			const matcher = await ScopeService.getMatcher(scopeId);
+			if (matcher) {
+				for (const [key, device] of devices) {
+					if (!matcher.allowsSource(device.indexCode)) devices.delete(key);
+				}
+			}
+			const snapshot = DeviceMonitorService.load().devices;
+			const formatSince = (key) => {
+				const since = snapshot[key]?.online === false ? snapshot[key].since : null;
+				return since ? `（${new Date(since).toLocaleString("zh-TW", { timeZone: "Asia/Taipei", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false })} 起）` : "";
+			};
+
+			const offline = [...devices.entries()].filter(([, device]) => !device.online);
+			if (offline.length === 0) {
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: `✅ 所有設備皆在線上（共 ${devices.size} 台）` }]);
+				return { success: true };
+			}
+
+			const sections = [
+				["📹 攝影機", offline.filter(([, device]) => device.type === "camera")],
+				["🖥️ 編碼設備", offline.filter(([, device]) => device.type === "encodeDevice")]
+			].filter(([, list]) => list.length > 0);
+
+			let remaining = maxLines;
+			const lines = sections.map(([title, list]) => {
+				const shown = list.slice(0, Math.max(0, remaining));
+				remaining -= shown.length;
+				const more = list.length > shown.length ? `\n・…另有 ${list.length - shown.length} 台` : "";
+				return `${title}（${list.length}）\n${shown.map(([key, device]) => `・${device.name}${formatSince(key)}`).join("\n")}${more}`;
+			});
+
+			await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: `📡 離線設備（${offline.length}/${devices.size}）\n\n${lines.join("\n\n")}` }]);
+			return { success: true };
+		} catch (error) {
+			LoggerService.error("發送離線設備列表錯誤", error);
+			await this.sendErrorMessage(replyToken, "無法獲取設備狀態");
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * 解析「靜音」指令參數
+	 * @param {Array<string>} tokens - 參數，例如 ["1h"]、["30", "分鐘"]、["關閉"]
+	 * @returns {{ minutes?: number, off?: boolean }|null}
+	 */
+	parseMuteArgs(tokens) {
+		if (tokens.length === 0) return {};
+
+		const text = tokens.join("").toLowerCase();
+		if (["關閉", "取消", "off"].includes(text)) return { off: true };
+
+		const minutes = this.parseDurationMinutes(text);
+		return minutes >= 1 && minutes <= 24 * 60 ? { minutes } : null;
+	}
+
+	/**
+	 * 解析時長文字（未指定單位時以小時計）
+	 * @param {string} text - 例如 "30m"、"1.5h"、"7d"、"2小時"
+	 * @returns {number|null} 分鐘數；格式錯誤時回傳 null
+	 */
+	parseDurationMinutes(text) {
+		const match = /^(\d+(?:\.\d+)?)(m|min|分|分鐘|h|hr|小時|d|天|日)?$/.exec(String(text || "").toLowerCase());
+		if (!match) return null;
+		const unitMinutes = ["m", "min", "分", "分鐘"].includes(match[2]) ? 1 : ["d", "天", "日"].includes(match[2]) ? 24 * 60 : 60;
+		return Math.round(Number(match[1]) * unitMinutes);
+	}
+
+	/**
+	 * 處理靜音指令
+	 * - 「靜音」：查看目前狀態
+	 * - 「靜音 1h」：暫時靜音（高優先事件仍即時推送，到期後以摘要送出）
+	 * - 「靜音 關閉」：提前解除
+	 */
+	async handleMuteCommand(event, args) {
+		const replyToken = event.replyToken;
+		const source = event.source;
+		const targetId = source.groupId || source.roomId || source.userId;
+		const formatTime = (input) => new Date(input).toLocaleString("zh-TW", { timeZone: "Asia/Taipei", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false });
+
+		try {
+			const quietHours = UserService.getQuietHours(targetId);
+			const mutedUntil = quietHours?.mutedUntil && new Date(quietHours.mutedUntil) > new Date() ? quietHours.mutedUntil : null;
+
+			if (!args.minutes && !args.off) {
+				const text = mutedUntil ? `🔕 通知靜音中，將於 ${formatTime(mutedUntil)} 解除\n\n提前解除：靜音 關閉` : "🔔 目前未靜音\n\n用法：靜音 1h、靜音 30m";
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text }]);
+				return;
+			}
+
+			if (args.off) {
+				const { mutedUntil: _removed, ...rest } = quietHours || {};
+				UserService.setQuietHours(targetId, Array.isArray(rest.windows) && rest.windows.length ? rest : null);
+				LoggerService.user(`${targetId} 解除靜音`);
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: "🔔 已解除靜音，靜音期間的事件將以摘要送出。" }]);
+				return;
+			}
+
+			const until = new Date(Date.now() + args.minutes * 60 * 1000).toISOString();
+			const saved = UserService.setQuietHours(targetId, { windows: [], allowPriorities: ["high"], ...(quietHours || {}), mutedUntil: until });
+			if (!saved) {
+				await this.sendErrorMessage(replyToken, "靜音設定失敗，請稍後再試。");
+				return;
+			}
+
+			LoggerService.user(`${targetId} 靜音至 ${until}`);
+			await this.callLineBotAPI("replyMessage", replyToken, [
+				{ type: "text", text: `🔕 已靜音至 ${formatTime(until)}\n\n高優先事件仍會即時推送，其餘事件將於解除後以摘要送出。` }
+			]);
+		} catch (error) {
+			LoggerService.error("處理靜音指令錯誤", error);
+			await this.sendErrorMessage(replyToken);
+		}
+	}
+
+	// ============================== 邀請碼 ==============================
 
 	/**
-	 * 檢查並處理管理員指令
+	 * 解析「產生邀請碼」指令參數
+	 * @param {Array<string>} tokens - 參數，例如 ["target", "24h", "5"]
+	 * @returns {{ role: string, minutes: number, maxUses: number }|null}
 	 */
-	async checkAdminCommand(event, message) {
+	parseInviteArgs(tokens) {
+		const roleAliases = {
+			viewer: "viewer",
+			檢視者: "viewer",
+			operator: "operator",
+			操作員: "operator",
+			target: "target",
+			通知目標: "target",
+			admin: "admin",
+			管理員: "admin"
+		};
+		const role = roleAliases[(tokens[0] || "").toLowerCase()];
+		if (!role || tokens.length > 3) return null;
+
+		const minutes = tokens[1] ? this.parseDurationMinutes(tokens[1]) : 24 * 60;
+		const usesMatch = /^(\d+)次?$/.exec(tokens[2] || "1");
+		if (!minutes || !usesMatch) return null;
+
+		const args = { role, minutes, maxUses: Number(usesMatch[1]) };
+		return args.minutes >= 1 && args.maxUses >= 1 && args.maxUses <= 100 ? args : null;
+	}
+
+	/**
+	 * 處理產生邀請碼指令（管理員專用）
+	 */
+	async handleCreateInviteCommand(event, args) {
+		const replyToken = event.replyToken;
 		const userId = event.source.userId;
-		// 檢查是否為管理員
-		const isAdmin = this.isAdmin(userId);
-		if (!isAdmin) {
-			return false;
+
+		try {
+			const createdBy = { userId, displayName: this.getUserRecord(userId)?.displayName || null };
+			const invite = InviteCodeService.create({ role: args.role, ttlMs: args.minutes * 60 * 1000, maxUses: args.maxUses, createdBy });
+			const expiresAt = new Date(invite.expiresAt).toLocaleString("zh-TW", { timeZone: "Asia/Taipei", hour12: false });
+
+			await this.callLineBotAPI("replyMessage", replyToken, [
+				{
+					type: "text",
+					text: `🎟️ 已產生邀請碼\n\n角色：${PermissionService.getRoleLabel(args.role)}\n有效期限：${expiresAt}\n可使用次數：${invite.maxUses} 次\n\n請新用戶加入 Bot 好友（或將 Bot 加入群組）後傳送下方邀請碼：`
+				},
+				{ type: "text", text: InviteCodeService.format(invite.code) }
+			]);
+		} catch (error) {
+			LoggerService.error("產生邀請碼錯誤", error);
+			await this.sendErrorMessage(replyToken, `產生邀請碼失敗：${error.message}`);
 		}
+	}
 
+	/**
+	 * 處理邀請碼查詢與撤銷指令（管理員專用）
+	 */
+	async handleInviteListCommand(event, args) {
 		const replyToken = event.replyToken;
 
 		try {
-			// 簡化管理員指令 - 只保留核心功能
-			if (message.includes("管理") || message.includes("admin")) {
-				await this.sendAdminPanel(replyToken);
-				return true;
+			if (args.revoke) {
+				const revoked = InviteCodeService.revoke(args.revoke);
+				await this.callLineBotAPI("replyMessage", replyToken, [
+					{ type: "text", text: revoked ? `🗑️ 已撤銷邀請碼 ${InviteCodeService.format(InviteCodeService.normalize(args.revoke))}` : "找不到可撤銷的邀請碼（可能已過期或用完）" }
+				]);
+				return;
 			}
+
+			const codes = InviteCodeService.getActiveCodes();
+			const lines = codes.map((invite) => {
+				const expiresAt = new Date(invite.expiresAt).toLocaleString("zh-TW", { timeZone: "Asia/Taipei", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false });
+				return `・${InviteCodeService.format(invite.code)}｜${PermissionService.getRoleLabel(invite.role)}｜已用 ${invite.uses.length}/${invite.maxUses}｜至 ${expiresAt}`;
+			});
+			const text = codes.length ? `🎟️ 有效邀請碼（${codes.length}）\n\n${lines.join("\n")}\n\n撤銷：邀請碼 撤銷 XXXX-XXXX` : "🎟️ 目前沒有有效的邀請碼\n\n產生：產生邀請碼 <viewer|operator> 24h";
+			await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text }]);
 		} catch (error) {
-			LoggerService.error("處理管理員指令錯誤", error);
-			await this.sendErrorMessage(replyToken, "管理員指令處理失敗");
+			LoggerService.error("查詢邀請碼錯誤", error);
+			await this.sendErrorMessage(replyToken);
 		}
+	}
 
-		return false;
+	/**
+	 * 解析「範圍」指令參數
+	 * @param {Array<string>} tokens - 參數，例如 ["區域", "A棟"]、["Cxxxx", "攝影機", "大門", "後門"]、["清除"]
+	 * @returns {{ targetId: string|null, type?: string, values?: Array<string>, clear?: boolean }|null}
+	 */
+	parseScopeArgs(tokens) {
+		const args = { targetId: null };
+		let rest = tokens;
+		if (rest[0] && /^[UCR][0-9a-f]{32}$/.test(rest[0])) {
+			args.targetId = rest[0];
+			rest = rest.slice(1);
+		}
+		if (rest.length === 0) return args;
+
+		const keyword = rest[0].toLowerCase();
+		if (["清除", "不限", "clear"].includes(keyword)) {
+			return rest.length === 1 ? { ...args, clear: true } : null;
+		}
+		const types = { 區域: "regions", region: "regions", 攝影機: "cameras", 設備: "cameras", camera: "cameras" };
+		if (!types[keyword] || rest.length < 2) return null;
+		return { ...args, type: types[keyword], values: rest.slice(1) };
+	}
+
+	/**
+	 * 處理「範圍」指令：查看、設定或清除可視範圍
+	 */
+	async handleScopeCommand(event, args) {
+		const replyToken = event.replyToken;
+		const targetId = args.targetId || this.getScopeId(event);
+		const targetLabel = args.targetId ? targetId : "本對話";
+
+		try {
+			if (!this.getUserRole(targetId)) {
+				await this.sendErrorMessage(replyToken, `找不到 ${targetId} 的用戶紀錄`);
+				return;
+			}
+
+			if (!args.clear && !args.type) {
+				const description = await ScopeService.describe(ScopeService.getScope(targetId));
+				await this.callLineBotAPI("replyMessage", replyToken, [
+					{
+						type: "text",
+						text: `🗺️ ${targetLabel}的可視範圍\n\n${description}\n\n設定：範圍 區域 <區域名稱>\n　　　範圍 攝影機 <名稱或 ID>\n清除：範圍 清除`
+					}
+				]);
+				return;
+			}
+
+			let scope = null;
+			if (args.type) {
+				const resolved = args.type === "regions" ? await this.resolveScopeRegions(args.values) : await this.resolveScopeCameras(args.values);
+				if (resolved.unresolved.length > 0) {
+					await this.sendErrorMessage(replyToken, `無法辨識：${resolved.unresolved.join("、")}\n\n請輸入完整名稱或 indexCode。`);
+					return;
+				}
+				scope = { regions: [], cameras: [], [args.type]: resolved.ids };
+			}
+
+			UserService.setScope(targetId, scope);
+			const operator = event.source.userId ? await this.getUserProfileWithCache(event.source.userId) : null;
+			LoggerService.user(`${operator?.displayName || event.source.userId} 將 ${targetId} 的可視範圍設為 ${scope ? JSON.stringify(scope) : "不限"}`);
+
+			const description = await ScopeService.describe(ScopeService.getScope(targetId));
+			await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: `✅ 已更新${targetLabel}的可視範圍\n\n${description}` }]);
+		} catch (error) {
+			LoggerService.error("設定可視範圍錯誤", error);
+			await this.sendErrorMessage(replyToken);
+		}
+	}
+
+	/**
+	 * 將區域名稱或 indexCode 轉為 indexCode
+	 * @param {Array<string>} values - 使用者輸入
+	 * @returns {Promise<{ ids: Array<string>, unresolved: Array<string> }>}
+	 */
+	async resolveScopeRegions(values) {
+		const regions = await CameraDirectoryService.getRegions();
+		const ids = [];
+		const unresolved = [];
+		for (const value of values) {
+			const normalized = CameraDirectoryService.normalize(value);
+			const region =
+				regions.find((item) => String(item.indexCode) === value) || regions.find((item) => CameraDirectoryService.normalize(item.name) === normalized);
+			if (region) {
+				ids.push(String(region.indexCode));
+			} else {
+				unresolved.push(value);
+			}
+		}
+		return { ids: [...new Set(ids)], unresolved };
+	}
+
+	/**
+	 * 將攝影機名稱或 indexCode 轉為 indexCode（名稱需唯一符合）
+	 * @param {Array<string>} values - 使用者輸入
+	 * @returns {Promise<{ ids: Array<string>, unresolved: Array<string> }>}
+	 */
+	async resolveScopeCameras(values) {
+		const ids = [];
+		const unresolved = [];
+		for (const value of values) {
+			const cameras = await CameraDirectoryService.findCameras(value);
+			if (cameras.length === 1) {
+				ids.push(String(cameras[0].cameraIndexCode));
+			} else {
+				unresolved.push(cameras.length > 1 ? `${value}（符合 ${cameras.length} 支）` : value);
+			}
+		}
+		return { ids: [...new Set(ids)], unresolved };
 	}
 
+	/**
+	 * 判斷是否為待審核對象傳送的邀請碼
+	 * @param {Object} event - Line 事件
+	 * @returns {boolean}
+	 */
+	isInviteCodeAttempt(event) {
+		if (event.type !== "message" || event.message?.type !== "text") return false;
+		const source = event.source;
+		const id = source.groupId || source.roomId || source.userId;
+		const role = id ? this.getUserRole(id) : undefined;
+		return (role === "pending" || role === null) && InviteCodeService.looksLikeCode(event.message.text);
+	}
+
+	/**
+	 * 使用邀請碼開通權限
+	 */
+	async handleInviteCodeRedemption(event) {
+		const replyToken = event.replyToken;
+		const source = event.source;
+		const id = source.groupId || source.roomId || source.userId;
+
+		try {
+			if (!this.getUserRecord(id)) {
+				await this.updateUserSnapshot(id, source.groupId ? "group" : source.roomId ? "room" : "user");
+			}
+
+			const result = InviteCodeService.redeem(event.message.text, id);
+			if (!result.success) {
+				LoggerService.warn(`${id} 邀請碼驗證失敗：${result.error}`);
+				await this.sendErrorMessage(replyToken, `❌ ${result.error}\n\n請向管理員索取新的邀請碼。`);
+				return { success: false, error: result.error };
+			}
+
+			const helpMessage = this.getFlexMessageService().createHelpFlexMessage(this.commandRegistry.getCommands(result.role, source.type), result.role === "admin");
+			await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: `✅ 邀請碼驗證成功，已開通「${PermissionService.getRoleLabel(result.role)}」權限。` }, helpMessage]);
+
+			// 通知產生邀請碼的管理員
+			if (result.invitedBy?.userId) {
+				const displayName = this.getUserRecord(id)?.displayName || id;
+				await LineDeliveryService.deliver([result.invitedBy.userId], [{ type: "text", text: `🎟️ ${displayName} 已使用邀請碼開通「${PermissionService.getRoleLabel(result.role)}」權限` }]);
+			}
+			return { success: true, action: "invite_redeemed" };
+		} catch (error) {
+			LoggerService.error("處理邀請碼錯誤", error);
+			await this.sendErrorMessage(replyToken);
+			return { success: false, error: error.message };
+		}
+	}
+
+	// ============================== 勿擾時段 ==============================
+
+	/**
+	 * 處理勿擾時段指令
+	 * - 「勿擾」：查看目前設定
+	 * - 「勿擾 22:00-07:00 [平日|週末]」：設定每日勿擾時段（高優先事件仍即時推送）
+	 * - 「勿擾 關閉」：取消勿擾時段
+	 */
+	async handleQuietHoursCommand(event, rawArgs) {
+		const replyToken = event.replyToken;
+		const source = event.source;
+		const targetId = source.groupId || source.roomId || source.userId;
+		const args = String(rawArgs || "").trim().toLowerCase();
+
+		try {
+			if (!args) {
+				const quietHours = UserService.getQuietHours(targetId);
+				const windows = quietHours && quietHours.enabled !== false ? quietHours.windows || [] : [];
+				const text = windows.length
+					? `🌙 勿擾時段\n\n${windows.map((w) => `・${w.start} ~ ${w.end}${w.label ? `（${w.label}）` : ""}`).join("\n")}\n\n高優先事件仍會即時推送，其餘事件於時段結束後以摘要送出。`
+					: "🌙 目前未設定勿擾時段\n\n設定範例：勿擾 22:00-07:00\n取消：勿擾 關閉";
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text }]);
+				return;
+			}
+
+			if (args === "關閉" || args === "off") {
+				UserService.setQuietHours(targetId, null);
+				LoggerService.user(`${targetId} 取消勿擾時段`);
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: "🔔 已取消勿擾時段，所有事件將即時推送。" }]);
+				return;
+			}
+
+			const match = /^(\d{1,2}:\d{2})\s*[-~]\s*(\d{1,2}:\d{2})(?:\s+(平日|週末|每天))?$/.exec(args);
+			// 超出範圍的時間（例如 25:99）無法比對時段，視為格式錯誤
+			if (!match || TimeWindowService.parseTime(match[1]) === null || TimeWindowService.parseTime(match[2]) === null) {
+				await this.sendErrorMessage(replyToken, "勿擾時段格式錯誤\n\n範例：勿擾 22:00-07:00\n平日：勿擾 22:00-07:00 平日");
+				return;
+			}
+
+			const [, start, end, label] = match;
+			const dayPresets = { 平日: [1, 2, 3, 4, 5], 週末: [6, 7] };
+			const window = { start, end };
+			if (label && dayPresets[label]) {
+				window.days = dayPresets[label];
+				window.label = label;
+			}
+
+			// 保留進行中的暫時靜音
+			const mutedUntil = UserService.getQuietHours(targetId)?.mutedUntil;
+			const saved = UserService.setQuietHours(targetId, { enabled: true, windows: [window], allowPriorities: ["high"], ...(mutedUntil ? { mutedUntil } : {}) });
+			if (!saved) {
+				await this.sendErrorMessage(replyToken, "勿擾時段設定失敗，請稍後再試。");
+				return;
+			}
+
+			LoggerService.user(`${targetId} 設定勿擾時段 ${start}-${end}${label ? ` (${label})` : ""}`);
+			await this.callLineBotAPI("replyMessage", replyToken, [
+				{
+					type: "text",
+					text: `🌙 已設定勿擾時段：${start} ~ ${end}${label ? `（${label}）` : ""}\n\n高優先事件仍會即時推送，其餘事件將於時段結束後以摘要送出。`
+				}
+			]);
+		} catch (error) {
+			LoggerService.error("處理勿擾時段指令錯誤", error);
+			await this.sendErrorMessage(replyToken);
+		}
+	}
+
+	// ============================== 管理員指令處理 ==============================
+
 	/** 發送管理員面板 */
 	async sendAdminPanel(replyToken) {
 		try {
 			// 獲取待審核用戶和所有用戶數據
 			const pendingUsers = await this.getPendingUsersData();
 			// 使用 users.role 作為授權清單來源
-			const allUsers = UserService.getAllUsers().filter((u) => u.role === "admin" || u.role === "target");
+			const allUsers = UserService.getAllUsers().filter((u) => PermissionService.isAuthorizedRole(u.role));
 
 			// 創建 FlexMessage
-			const flexMessage = this.getFlexMessageService().createUserManagementFlexMessage(pendingUsers, allUsers);
+			const flexMessage = this.getFlexMessageService().createUserManagementFlexMessage(pendingUsers, allUsers, DeadLetterService.count());
 			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
 			return { success: true };
 		} catch (error) {
@@ -713,7 +1497,7 @@ class LineBotService {
 			}
 
 			const all = UserService.getAllUsers();
-			const authUsers = all.filter((u) => u.role === "admin" || u.role === "target");
+			const authUsers = all.filter((u) => PermissionService.isAuthorizedRole(u.role));
 
 			const existingUsers = await Promise.all(
 				authUsers.map(async (u) => {
@@ -749,16 +1533,35 @@ class LineBotService {
 		}
 	}
 
+	/**
+	 * 審核通知會推送給每位管理員，已由其他管理員處理時不重複變更角色
+	 * @returns {Promise<boolean>} 是否已處理過
+	 */
+	async replyIfAlreadyReviewed(replyToken, userId) {
+		const role = this.getUserRole(userId);
+		if (role === "pending") return false;
+
+		const statusLabel = role === "blocked" ? "已拒絕" : this.isAuthorizedRole(role) ? PermissionService.getRoleLabel(role) : "已移除";
+		const displayName = this.getUserRecord(userId)?.displayName;
+		await this.callLineBotAPI("replyMessage", replyToken, [
+			{ type: "text", text: `ℹ️ ${displayName || userId} 的申請已處理（目前狀態：${statusLabel}）` }
+		]);
+		return true;
+	}
+
 	/**
 	 * 從 Postback 處理批准用戶
 	 */
 	async handleApproveUserFromPostback(replyToken, userId) {
 		try {
+			if (await this.replyIfAlreadyReviewed(replyToken, userId)) return;
+
 			// 從新用戶記錄中移除（如果存在）
 			this.removeFromNewUsersLog(userId);
 
-			// 同步 users.role
-			this.setUserRoleSyncTargets(userId, "target");
+			// 同步 users.role（批准為最低權限角色，擷圖或確認處理等權限由管理員另行調整）
+			const role = PermissionService.getDefaultApprovalRole();
+			this.setUserRoleSyncTargets(userId, role);
 
 			// 獲取用戶資訊
 			const userRecord = this.getUserRecord(userId);
@@ -766,14 +1569,14 @@ class LineBotService {
 				id: userId,
 				displayName: userRecord?.displayName || null,
 				pictureUrl: userRecord?.pictureUrl || null,
-				role: "target"
+				role
 			};
 
 			// 使用 Flex Message 優化回傳訊息
 			const flexMessage = this.getFlexMessageService().createUserOperationResultFlexMessage("approve", userInfo);
 			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage], true);
 
-			LoggerService.user(`管理員通過按鈕批准了用戶 ${userId}${userInfo.displayName ? ` (${userInfo.displayName})` : ""}`);
+			LoggerService.user(`管理員通過按鈕批准了用戶 ${userId}${userInfo.displayName ? ` (${userInfo.displayName})` : ""}，角色為 ${role}`);
 		} catch (error) {
 			LoggerService.error("批准用戶錯誤", error);
 			await this.sendErrorMessage(replyToken);
@@ -785,6 +1588,8 @@ class LineBotService {
 	 */
 	async handleRejectUserFromPostback(replyToken, userId) {
 		try {
+			if (await this.replyIfAlreadyReviewed(replyToken, userId)) return;
+
 			// 獲取用戶資訊（在標記封鎖前）
 			const userRecord = this.getUserRecord(userId);
 			const userInfo = {
@@ -811,6 +1616,48 @@ class LineBotService {
 		}
 	}
 
+	/**
+	 * 處理變更角色按鈕點擊
+	 * @param {Object} event - Line 事件
+	 * @param {string} role - viewer | operator | admin
+	 * @param {string} userId - 要變更的用戶、群組或聊天室 ID
+	 */
+	async handleSetRoleFromPostback(event, role, userId) {
+		const replyToken = event.replyToken;
+		const operatorId = event.source.userId;
+
+		try {
+			const currentRole = this.getUserRole(userId);
+			if (!PermissionService.getAssignableRoles().includes(role) || !this.isAuthorizedRole(currentRole)) {
+				await this.sendErrorMessage(replyToken, "無法變更此用戶的角色");
+				return;
+			}
+			if (userId === operatorId) {
+				await this.sendErrorMessage(replyToken, "無法變更自己的角色");
+				return;
+			}
+			if (role === "admin" && !userId.startsWith("U")) {
+				await this.sendErrorMessage(replyToken, "群組與聊天室無法設為管理員");
+				return;
+			}
+
+			const displayName = this.getUserRecord(userId)?.displayName || userId;
+			if (currentRole !== role) {
+				UserService.setRole(userId, role, { via: "admin_panel", changedBy: operatorId || null });
+				this.clearExistingUsersCache();
+				LoggerService.user(`管理員 ${operatorId} 將 ${userId}（${displayName}）的角色由 ${currentRole} 變更為 ${role}`);
+			}
+
+			const permissions = PermissionService.getRolePermissions(role).map((action) => PermissionService.getActionLabel(action));
+			await this.callLineBotAPI("replyMessage", replyToken, [
+				{ type: "text", text: `🔐 已將 ${displayName} 設為「${PermissionService.getRoleLabel(role)}」\n\n可用權限：${permissions.join("、")}` }
+			]);
+		} catch (error) {
+			LoggerService.error("變更角色錯誤", error);
+			await this.sendErrorMessage(replyToken);
+		}
+	}
+
 	/**
 	 * 處理移除用戶按鈕點擊
 	 */
@@ -913,6 +1760,141 @@ class LineBotService {
 		}
 	}
 
+	/**
+	 * 取得操作者的顯示名稱（群組/聊天室內以成員資訊為準）
+	 * @param {Object} source - 事件來源
+	 * @returns {Promise<string>}
+	 */
+	async getActorDisplayName(source) {
+		const userId = source.userId;
+		if (!userId) {
+			return "未知用戶";
+		}
+		if (source.type === "group" && source.groupId) {
+			return (await this.getGroupMemberProfile(source.groupId, userId)).displayName;
+		}
+		if (source.type === "room" && source.roomId && this.client.getRoomMemberProfile) {
+			try {
+				const profile = await this.client.getRoomMemberProfile(source.roomId, userId);
+				return profile.displayName;
+			} catch (error) {
+				LoggerService.error(`獲取聊天室成員 ${userId} 資訊失敗`, error);
+				return "未知用戶";
+			}
+		}
+		return (await this.getUserProfileWithCache(userId)).displayName;
+	}
+
+	/**
+	 * 處理事件確認 / 解除 / 誤報
+	 * 記錄處理人員與時間於事件歷史，並通知其他收到警報的對象
+	 * @param {Object} event - Postback 事件
+	 * @param {string} eventId - 事件 ID
+	 * @param {string} status - acknowledged | resolved | false_alarm
+	 */
+	async handleEventStatusAction(event, eventId, status) {
+		const replyToken = event.replyToken;
+		const source = event.source;
+
+		try {
+			const current = EventStorageService.getEventFromHistory(eventId);
+			if (!current) {
+				await this.sendErrorMessage(replyToken, "找不到此事件紀錄，可能已超過保存期限。");
+				return;
+			}
+
+			const currentStatus = current.status || "open";
+			const isClosed = currentStatus === "resolved" || currentStatus === "false_alarm";
+			if (isClosed || (status === "acknowledged" && currentStatus === "acknowledged")) {
+				const handler = current.handledBy?.displayName || "其他人員";
+				await this.callLineBotAPI("replyMessage", replyToken, [
+					{ type: "text", text: `ℹ️ 此事件已由 ${handler} 標記為「${EventStorageService.getStatusLabel(currentStatus)}」。` }
+				]);
+				return;
+			}
+
+			const displayName = await this.getActorDisplayName(source);
+			const updated = EventStorageService.updateEventStatus(eventId, status, { userId: source.userId || null, displayName });
+			if (!updated) {
+				await this.sendErrorMessage(replyToken, "更新事件狀態失敗，請稍後再試。");
+				return;
+			}
+
+			const typeName = this.getHCPClient().getEventTypeName(updated.eventType);
+			const eventLabel = `${typeName}（${updated.srcName || "未知設備"}）`;
+			const statusText = {
+				acknowledged: `已由 ${displayName} 確認處理`,
+				resolved: `已由 ${displayName} 標記為已解除`,
+				false_alarm: `已由 ${displayName} 標記為誤報`
+			}[status];
+
+			await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: `✅ ${eventLabel} ${statusText}` }]);
+			LoggerService.user(`事件 ${eventId} ${statusText}`);
+
+			// 通知其他收到警報的對象（排除操作所在的聊天室）
+			const sourceId = source.groupId || source.roomId || source.userId;
+			const others = (updated.recipients || []).filter((id) => id !== sourceId);
+			await LineDeliveryService.deliver(others, [{ type: "text", text: `🔔 ${eventLabel} ${statusText}` }]);
+		} catch (error) {
+			LoggerService.error("處理事件狀態錯誤", error);
+			await this.sendErrorMessage(replyToken);
+		}
+	}
+
+	/** 發送未送達訊息列表（管理員專用） */
+	async sendDeadLetters(replyToken, event) {
+		try {
+			if (!this.isAdmin(event.source.userId)) {
+				await this.sendPermissionDeniedMessage(replyToken);
+				return;
+			}
+
+			const flexMessage = this.getFlexMessageService().createDeadLetterFlexMessage(DeadLetterService.list());
+			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
+		} catch (error) {
+			LoggerService.error("發送未送達訊息列表錯誤", error);
+			await this.sendErrorMessage(replyToken);
+		}
+	}
+
+	/** 重新推送所有未送達訊息（管理員專用） */
+	async handleRedriveDeadLetters(replyToken, event) {
+		try {
+			const userId = event.source.userId;
+			if (!this.isAdmin(userId)) {
+				await this.sendPermissionDeniedMessage(replyToken);
+				return;
+			}
+
+			if (DeadLetterService.isRedriving()) {
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: "⏳ 已有重新推送正在執行，請稍後再試。" }]);
+				return;
+			}
+
+			const total = DeadLetterService.count();
+			if (total === 0) {
+				await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: "✅ 目前沒有未送達訊息。" }]);
+				return;
+			}
+
+			// 重試可能耗時較久，先回覆再以推送回報結果
+			await this.callLineBotAPI("replyMessage", replyToken, [{ type: "text", text: `🔁 開始重新推送 ${total} 筆未送達訊息...` }]);
+			LoggerService.user(`管理員 ${userId} 觸發重新推送未送達訊息 (${total} 筆)`);
+
+			const summary = await DeadLetterService.redrive();
+			if (!summary) return;
+			const replyTarget = event.source.groupId || event.source.roomId || userId;
+			await this.callLineBotAPI("pushMessage", replyTarget, [
+				{
+					type: "text",
+					text: `📮 重新推送完成\n\n✅ 成功: ${summary.succeeded} 筆\n❌ 失敗: ${summary.failed} 筆`
+				}
+			]);
+		} catch (error) {
+			LoggerService.error("重新推送未送達訊息錯誤", error);
+		}
+	}
+
 	/** 清除現有用戶緩存 */
 	clearExistingUsersCache() {
 		this.existingUsersCache.data = null;
@@ -952,14 +1934,14 @@ class LineBotService {
 	}
 
 	/** 處理編碼裝置分頁 */
-	async handleDevicesPage(replyToken, page) {
+	async handleDevicesPage(replyToken, page, scopeId = null) {
 		try {
 			// 驗證頁碼
 			if (page < 1) {
 				page = 1;
 			}
 
-			await this.sendEncodeDeviceList(replyToken, page);
+			await this.sendEncodeDeviceList(replyToken, page, scopeId);
 			LoggerService.user(`管理員查看編碼裝置第 ${page} 頁`);
 		} catch (error) {
 			LoggerService.error("處理編碼裝置分頁錯誤", error);
@@ -968,14 +1950,14 @@ class LineBotService {
 	}
 
 	/** 處理攝影機分頁 */
-	async handleCamerasPage(replyToken, page) {
+	async handleCamerasPage(replyToken, page, query = {}, userId = null, scopeId = null) {
 		try {
 			// 驗證頁碼
-			if (page < 1) {
+			if (!page || page < 1) {
 				page = 1;
 			}
 
-			await this.sendCameraList(replyToken, page);
+			await this.sendCameraList(replyToken, page, query, userId, scopeId);
 			LoggerService.user(`管理員查看攝影機第 ${page} 頁`);
 		} catch (error) {
 			LoggerService.error("處理攝影機分頁錯誤", error);
@@ -984,13 +1966,13 @@ class LineBotService {
 	}
 
 	/** 處理事件紀錄分頁 */
-	async handleEventHistoryPage(replyToken, page) {
+	async handleEventHistoryPage(replyToken, page, filter = null, scopeId = null) {
 		try {
-			if (page < 1) {
+			if (!(page >= 1)) {
 				page = 1;
 			}
 
-			await this.sendEventLog(replyToken, page);
+			await this.sendEventLog(replyToken, page, filter, scopeId);
 			LoggerService.user(`使用者查看事件紀錄第 ${page} 頁`);
 		} catch (error) {
 			LoggerService.error("處理事件紀錄分頁錯誤", error);
@@ -1068,14 +2050,11 @@ class LineBotService {
 	/** 發送幫助訊息 */
 	async sendHelpMessage(replyToken, event = null) {
 		try {
-			let isAdmin = false;
-			if (event && event.source && event.source.userId) {
-				const userId = event.source.userId;
-				isAdmin = UserService.getRole(userId) === "admin";
-			}
+			const role = event && event.source ? this.getSourceRole(event) : null;
 
-			// 使用 Flex Message 顯示幫助訊息
-			const flexMessage = this.getFlexMessageService().createHelpFlexMessage(isAdmin);
+			// 使用 Flex Message 顯示幫助訊息（指令清單依註冊表與角色權限產生）
+			const commands = this.commandRegistry.getCommands(role, event?.source?.type);
+			const flexMessage = this.getFlexMessageService().createHelpFlexMessage(commands, PermissionService.can(role, "manage_users"));
 			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
 			return { success: true };
 		} catch (error) {
@@ -1108,22 +2087,29 @@ class LineBotService {
 		}
 	}
 
-	/** 發送事件記錄 */
-	async sendEventLog(replyToken, page = 1) {
+	/** 發送事件記錄（僅列出可視範圍內的事件） */
+	async sendEventLog(replyToken, page = 1, filter = null, scopeId = null) {
 		try {
 			const pageSize = 10;
-			const history = EventStorageService.getEventHistory({ page, pageSize });
+			const eventFilter = this.getEventLogFilter(filter);
+			const matcher = await ScopeService.getMatcher(scopeId);
+			const history = EventStorageService.getEventHistory({
+				page,
+				pageSize,
+				...(eventFilter?.query || {}),
+				filter: matcher ? (item) => matcher.allowsEvent(item) : undefined
+			});
 
 			if (!history.total) {
 				const message = {
 					type: "text",
-					text: "🔔 事件記錄\n\n目前沒有事件紀錄。"
+					text: eventFilter ? `🔔 事件記錄（${eventFilter.label}）\n\n沒有符合條件的事件。` : "🔔 事件記錄\n\n目前沒有事件紀錄。"
 				};
 				await this.callLineBotAPI("replyMessage", replyToken, [message]);
 				return { success: true };
 			}
 
-			const flexMessage = await this.getFlexMessageService().createEventHistoryFlexMessage(history.list, history.total, page, pageSize);
+			const flexMessage = await this.getFlexMessageService().createEventHistoryFlexMessage(history.list, history.total, page, pageSize, eventFilter ? { key: filter, label: eventFilter.label } : null);
 			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
 			return { success: true };
 		} catch (error) {
@@ -1134,62 +2120,250 @@ class LineBotService {
 	}
 
 	/**
-	 * 發送編碼裝置列表
+	 * 發送編碼裝置列表（裝置列表取自快取，僅列出可視範圍內的裝置）
+	 */
+	async sendEncodeDeviceList(replyToken, page = 1, scopeId = null) {
+		try {
+			const [allDevices, matcher] = await Promise.all([CameraDirectoryService.getEncodeDevices(), ScopeService.getMatcher(scopeId)]);
+			const devices = matcher ? allDevices.filter(matcher.allowsDevice) : allDevices;
+			const flexMessage = this.getFlexMessageService().createEncodeDeviceFlexMessage(devices, devices.length, page);
+			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
+			return { success: true };
+		} catch (error) {
+			LoggerService.error("發送編碼裝置列表錯誤", error);
+			await this.sendErrorMessage(replyToken, "無法獲取編碼裝置列表");
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * 發送攝影機列表（攝影機與區域列表取自快取）
+	 * @param {string} replyToken - 回覆 token
+	 * @param {number} page - 頁碼
+	 * @param {Object} query - 搜尋條件 { keyword, region, onlineOnly }
+	 * @param {string|null} userId - 查詢者，用於顯示最愛攝影機
+	 * @param {string|null} scopeId - 可視範圍 ID，僅列出範圍內的攝影機
+	 */
+	async sendCameraList(replyToken, page = 1, query = {}, userId = null, scopeId = null) {
+		try {
+			const [found, allCameras, matcher] = await Promise.all([
+				CameraDirectoryService.searchCameras(query),
+				CameraDirectoryService.getCameras(),
+				ScopeService.getMatcher(scopeId)
+			]);
+			const cameras = matcher ? found.filter(matcher.allowsCamera) : found;
+			const total = matcher ? allCameras.filter(matcher.allowsCamera).length : allCameras.length;
+			const favoriteIds = userId ? UserService.getFavoriteCameras(userId) : [];
+			const favoriteCameras = favoriteIds.length ? await CameraDirectoryService.getCamerasByIds(favoriteIds) : [];
+			const favorites = matcher ? favoriteCameras.filter((camera) => matcher.allowsSource(camera.cameraIndexCode)) : favoriteCameras;
+
+			const flexMessage = this.getFlexMessageService().createCameraFlexMessage(cameras, total, page, 10, {
+				favorites,
+				favoriteIds: new Set(favoriteIds),
+				queryLabel: this.getCameraQueryLabel(query),
+				pageSuffix: this.encodeCameraQuery(query)
+			});
+			await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
+			return { success: true };
+		} catch (error) {
+			LoggerService.error("發送攝影機列表錯誤", error);
+			await this.sendErrorMessage(replyToken, "無法獲取攝影機列表");
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * 解析「攝影機」指令參數
+	 * @param {Array<string>} tokens - 參數，例如 ["倉庫", "區域", "A棟", "線上"]
+	 * @returns {{ keyword: string|null, region: string|null, onlineOnly: boolean }|null}
+	 */
+	parseCameraQuery(tokens) {
+		const query = { keyword: null, region: null, onlineOnly: false };
+		const keywords = [];
+		for (let i = 0; i < tokens.length; i++) {
+			const token = tokens[i];
+			const regionMatch = /^(?:區域|region)[:：](.+)$/i.exec(token);
+			if (["線上", "online"].includes(token.toLowerCase())) {
+				query.onlineOnly = true;
+			} else if (regionMatch) {
+				query.region = regionMatch[1];
+			} else if (["區域", "region"].includes(token.toLowerCase())) {
+				if (!tokens[i + 1]) return null;
+				query.region = tokens[++i];
+			} else {
+				keywords.push(token);
+			}
+		}
+		query.keyword = keywords.join(" ") || null;
+		return query;
+	}
+
+	/**
+	 * 將搜尋條件附加到分頁按鈕（page_cameras_{頁碼}?q=&region=&online=1）
+	 * Line postback data 上限 300 字元，過長時依序截短關鍵字、捨棄區域
+	 * @param {Object} query - 搜尋條件
+	 * @param {number} maxLength - 查詢字串長度上限（保留 page_cameras_{頁碼} 的長度）
+	 * @returns {string}
+	 */
+	encodeCameraQuery(query = {}, maxLength = 270) {
+		const build = (keyword, region) => {
+			const params = new URLSearchParams();
+			if (keyword) params.set("q", keyword);
+			if (region) params.set("region", region);
+			if (query.onlineOnly) params.set("online", "1");
+			const text = params.toString();
+			return text ? `?${text}` : "";
+		};
+
+		const keyword = Array.from(query.keyword || "");
+		for (const region of query.region ? [query.region, null] : [null]) {
+			const chars = [...keyword];
+			let text = build(chars.join(""), region);
+			while (text.length > maxLength && chars.length > 0) {
+				chars.pop();
+				text = build(chars.join(""), region);
+			}
+			if (text.length > maxLength) continue;
+			if (chars.length !== keyword.length || region !== (query.region || null)) {
+				LoggerService.warn(`攝影機搜尋條件過長，分頁按鈕改用截短的條件：${decodeURIComponent(text)}`);
+			}
+			return text;
+		}
+		return build("", null);
+	}
+
+	decodeCameraQuery(text = "") {
+		const params = new URLSearchParams(text);
+		return { keyword: params.get("q"), region: params.get("region"), onlineOnly: params.get("online") === "1" };
+	}
+
+	getCameraQueryLabel(query = {}) {
+		const parts = [query.keyword ? `「${query.keyword}」` : null, query.region ? `區域 ${query.region}` : null, query.onlineOnly ? "僅線上" : null].filter(Boolean);
+		return parts.length ? parts.join("、") : null;
+	}
+
+	/**
+	 * 加入或移除最愛攝影機（存於用戶紀錄）
+	 * @param {Object} event - Line 事件
+	 * @param {string} cameraId - 攝影機 ID
+	 * @param {boolean} add - true 加入、false 移除
 	 */
-	async sendEncodeDeviceList(replyToken, page = 1) {
+	async handleFavoriteCamera(event, cameraId, add) {
+		const replyToken = event.replyToken;
+		const userId = event.source.userId;
+		const maxFavorites = 10;
+
 		try {
-			const firstPage = await this.getHCPClient().getEncodeDeviceList({ pageNo: 1, pageSize: 1 });
+			if (!userId || !UserService.getRole(userId)) {
+				await this.sendErrorMessage(replyToken, "請先私訊 Bot 完成註冊後再使用我的最愛");
+				return { success: false, error: "用戶未註冊" };
+			}
 
-			if (firstPage.code !== "0" || !firstPage.data) {
-				await this.sendErrorMessage(replyToken, "無法獲取編碼裝置列表");
-				return { success: false, error: "無法獲取編碼裝置列表" };
+			const favorites = UserService.getFavoriteCameras(userId);
+			const [camera] = await CameraDirectoryService.getCamerasByIds([cameraId]);
+			const name = camera.cameraName || `攝影機 ${cameraId}`;
+			if (add && camera.missing) {
+				await this.sendErrorMessage(replyToken, `找不到攝影機 ${cameraId}`);
+				return { success: false, error: "找不到攝影機" };
 			}
 
-			const total = firstPage.data.total;
-			const deviceList = await this.getHCPClient().getEncodeDeviceList({ pageNo: 1, pageSize: total });
+			if (add && !favorites.includes(cameraId) && favorites.length >= maxFavorites) {
+				await this.sendErrorMessage(replyToken, `最愛攝影機最多 ${maxFavorites} 支，請先移除部分攝影機`);
+				return { success: false, error: "最愛已滿" };
+			}
 
-			if (deviceList.code === "0" && deviceList.data.list) {
-				const devices = deviceList.data.list;
-				const flexMessage = this.getFlexMessageService().createEncodeDeviceFlexMessage(devices, total, page);
-				await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
-				return { success: true };
-			} else {
-				await this.sendErrorMessage(replyToken, "無法獲取編碼裝置列表");
-				return { success: false, error: "無法獲取編碼裝置列表" };
+			const next = add ? [...favorites, cameraId] : favorites.filter((id) => id !== cameraId);
+			if (!UserService.setFavoriteCameras(userId, next)) {
+				await this.sendErrorMessage(replyToken, "最愛設定失敗，請稍後再試。");
+				return { success: false, error: "儲存失敗" };
 			}
+
+			LoggerService.user(`${userId} ${add ? "加入" : "移除"}最愛攝影機 ${cameraId}`);
+			await this.callLineBotAPI("replyMessage", replyToken, [
+				{ type: "text", text: add ? `⭐ 已將「${name}」加入最愛\n\n輸入「攝影機」即可在列表最前面一鍵擷圖。` : `☆ 已將「${name}」移出最愛` }
+			]);
+			return { success: true };
 		} catch (error) {
-			LoggerService.error("發送編碼裝置列表錯誤", error);
+			LoggerService.error("設定最愛攝影機錯誤", error);
 			await this.sendErrorMessage(replyToken);
 			return { success: false, error: error.message };
 		}
 	}
 
 	/**
-	 * 發送攝影機列表
+	 * 處理擷圖指令
+	 * - 擷圖 <ID 或名稱>：名稱模糊比對，多支符合時以快速回覆選擇
+	 * - 擷圖 全部 <名稱>：擷取所有符合的攝影機
+	 * @param {Object} event - Line 事件
+	 * @param {string} rawArgs - 指令後的文字
 	 */
-	async sendCameraList(replyToken, page = 1) {
+	async handleCaptureCommand(event, rawArgs) {
+		const replyToken = event.replyToken;
+		const maxQuickReplyItems = 13;
+		const maxCaptureAll = 12;
+
 		try {
-			const firstPage = await this.getHCPClient().getCameraList({ pageNo: 1, pageSize: 1 });
+			const args = String(rawArgs || "").trim();
+			const captureAll = /^全部(\s|$)/.test(args);
+			const keyword = captureAll ? args.replace(/^全部/, "").trim() : args;
+			if (!keyword) {
+				await this.sendErrorMessage(replyToken, "請指定攝影機名稱或 ID\n\n範例：擷圖 倉庫熱成像\n多支：擷圖 全部 倉庫");
+				return { success: false, error: "缺少攝影機名稱" };
+			}
 
-			if (firstPage.code !== "0" || !firstPage.data) {
-				await this.sendErrorMessage(replyToken, "無法獲取攝影機列表");
-				return { success: false, error: "無法獲取攝影機列表" };
+			const [found, matcher] = await Promise.all([CameraDirectoryService.findCameras(keyword), ScopeService.getMatcher(this.getScopeId(event))]);
+			const cameras = matcher ? found.filter(matcher.allowsCamera) : found;
+			if (cameras.length === 0) {
+				await this.sendErrorMessage(replyToken, `找不到符合「${keyword}」的攝影機\n\n可輸入「攝影機」查看完整列表。`);
+				return { success: false, error: "找不到攝影機" };
 			}
 
-			const total = firstPage.data.total;
-			const cameraList = await this.getHCPClient().getCameraList({ pageNo: 1, pageSize: total });
+			if (captureAll) {
+				const targets = cameras.slice(0, maxCaptureAll);
+				LoggerService.service(`擷取 ${targets.length} 支符合「${keyword}」的攝影機`);
+				// 依序擷圖，避免同時對 YSCP 發出大量請求
+				const captures = [];
+				for (const camera of targets) {
+					captures.push(await CameraDirectoryService.capture({ indexCode: camera.cameraIndexCode, name: camera.cameraName }));
+				}
 
-			if (cameraList.code === "0" && cameraList.data.list) {
-				const cameras = cameraList.data.list;
-				const flexMessage = this.getFlexMessageService().createCameraFlexMessage(cameras, total, page);
-				await this.callLineBotAPI("replyMessage", replyToken, [flexMessage]);
+				const messages = [this.getFlexMessageService().createPatrolFlexMessage({ name: `擷圖：${keyword}` }, captures, new Date())];
+				if (cameras.length > maxCaptureAll) {
+					messages.push({ type: "text", text: `共有 ${cameras.length} 支符合「${keyword}」，僅擷取前 ${maxCaptureAll} 支，請輸入更完整的名稱。` });
+				}
+				await this.callLineBotAPI("replyMessage", replyToken, messages);
 				return { success: true };
-			} else {
-				await this.sendErrorMessage(replyToken, "無法獲取攝影機列表");
-				return { success: false, error: "無法獲取攝影機列表" };
 			}
+
+			if (cameras.length === 1) {
+				return await this.sendCameraCapture(replyToken, cameras[0].cameraIndexCode);
+			}
+
+			const options = cameras.slice(0, maxQuickReplyItems);
+			const more = cameras.length > maxQuickReplyItems ? `\n（僅列出前 ${maxQuickReplyItems} 支，可輸入更完整的名稱）` : "";
+			await this.callLineBotAPI("replyMessage", replyToken, [
+				{
+					type: "text",
+					text: `📷 有 ${cameras.length} 支攝影機符合「${keyword}」，請選擇要擷圖的攝影機：${more}\n\n擷取全部請輸入「擷圖 全部 ${keyword}」`,
+					quickReply: {
+						items: options.map((camera) => {
+							const name = camera.cameraName || `攝影機 ${camera.cameraIndexCode}`;
+							return {
+								type: "action",
+								action: {
+									type: "postback",
+									label: name.length > 20 ? `${name.slice(0, 19)}…` : name,
+									data: `capture_${camera.cameraIndexCode}`,
+									displayText: `擷圖 ${name}`
+								}
+							};
+						})
+					}
+				}
+			]);
+			return { success: true };
 		} catch (error) {
-			LoggerService.error("發送攝影機列表錯誤", error);
+			LoggerService.error("處理擷圖指令錯誤", error);
 			await this.sendErrorMessage(replyToken);
 			return { success: false, error: error.message };
 		}
@@ -1197,16 +2371,16 @@ class LineBotService {
 
 	/**
 	 * 發送攝影機擷圖
+	 * @param {string} replyToken - 回覆 token
+	 * @param {string} cameraId - 攝影機 cameraIndexCode
 	 */
-	async sendCameraCapture(replyToken, message) {
+	async sendCameraCapture(replyToken, cameraId) {
 		try {
-			const cameraIdMatch = message.match(/(\d+)/);
-			if (!cameraIdMatch) {
+			if (!cameraId) {
 				await this.sendErrorMessage(replyToken, "攝影機 ID 格式錯誤");
 				return { success: false, error: "缺少攝影機 ID" };
 			}
 
-			const cameraId = cameraIdMatch[1];
 			LoggerService.service(`擷取攝影機 ${cameraId} 的圖片`);
 
 			const captureResult = await this.getHCPClient().captureCameraImage({ cameraIndexCode: cameraId });
@@ -0,0 +1,220 @@
+/**
+ * LINE 推送傳遞服務
+ * - 統一處理主動推送（pushMessage / multicast）
+ * - 多個對象時，用戶以 multicast 每批最多 500 人送出，群組 / 聊天室個別 push
+ * - multicast 回應 400（例如批次中有無效或已封鎖的 ID）時改為逐一 push，避免一個 ID 拖累整批
+ * - 429 / 5xx / 網路錯誤時以指數退避重試，並遵守 Retry-After 標頭
+ * - 累計本程序送出的訊息數，供 MessageQuotaService 估算當月用量
+ */
+
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+
+class LineDeliveryService {
+	constructor() {
+		this.client = null;
+
+		// 退避參數
+		this.baseDelayMs = 1000;
+		this.maxDelayMs = 60000;
+		this.defaultMaxAttempts = 3;
+
+		// multicast 單次最多 500 個用戶
+		this.multicastBatchSize = 500;
+		// multicast 改為逐一 push 時的併發數
+		this.fallbackConcurrency = 10;
+		this.sentCount = 0;
+	}
+
+	initialize(lineBotClient) {
+		this.client = lineBotClient;
+	}
+
+	/**
+	 * 取得最大嘗試次數（讀取 event-types.json 的 settings.maxRetryAttempts）
+	 * @returns {number}
+	 */
+	getMaxAttempts() {
+		try {
+			const attempts = Number(HCPClient.getInstance().settings?.maxRetryAttempts);
+			if (Number.isInteger(attempts) && attempts > 0) return attempts;
+		} catch (_) {}
+		return this.defaultMaxAttempts;
+	}
+
+	/**
+	 * 判斷錯誤是否值得重試
+	 * @param {Error} error - LINE SDK 錯誤
+	 * @returns {boolean}
+	 */
+	isRetryable(error) {
+		const statusCode = error?.statusCode;
+		if (!statusCode) return true; // 網路錯誤 / 逾時
+		return statusCode === 429 || statusCode >= 500;
+	}
+
+	/**
+	 * 解析 Retry-After 標頭（秒數或 HTTP 日期）
+	 * @param {Error} error - LINE SDK 錯誤
+	 * @returns {number|null} 等待毫秒數
+	 */
+	getRetryAfterMs(error) {
+		const headers = error?.originalError?.response?.headers || {};
+		const value = headers["retry-after"];
+		if (!value) return null;
+
+		const seconds = Number(value);
+		if (Number.isFinite(seconds)) {
+			return Math.max(0, seconds * 1000);
+		}
+
+		const date = Date.parse(value);
+		if (!Number.isNaN(date)) {
+			return Math.max(0, date - Date.now());
+		}
+		return null;
+	}
+
+	/**
+	 * 計算第 N 次重試前的等待時間（指數退避 + 抖動）
+	 * @param {number} attempt - 已嘗試次數（從 1 開始）
+	 * @param {Error} error - 最近一次錯誤
+	 * @returns {number} 等待毫秒數
+	 */
+	getRetryDelay(attempt, error) {
+		const retryAfter = this.getRetryAfterMs(error);
+		if (retryAfter !== null) {
+			return Math.min(retryAfter, this.maxDelayMs);
+		}
+		const exponential = this.baseDelayMs * 2 ** (attempt - 1);
+		const jitter = Math.floor(Math.random() * this.baseDelayMs);
+		return Math.min(exponential + jitter, this.maxDelayMs);
+	}
+
+	/**
+	 * 執行送出動作（含重試）
+	 * @param {string} label - 日誌用的對象描述
+	 * @param {Function} send - 送出函數
+	 * @param {number} recipientCount - 收件人數（成功時計入用量）
+	 * @returns {Promise<{ success: boolean, attempts: number, error: Error|null }>}
+	 */
+	async sendWithRetry(label, send, recipientCount = 1) {
+		if (!this.client) {
+			return { success: false, attempts: 0, error: new Error("LineBotClient 未初始化") };
+		}
+
+		const maxAttempts = this.getMaxAttempts();
+		let lastError = null;
+
+		for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+			try {
+				await send();
+				// LINE 以收件人數計算訊息用量
+				this.sentCount += recipientCount;
+				if (attempt > 1) {
+					LoggerService.service(`推送到 ${label} 於第 ${attempt} 次嘗試成功`);
+				}
+				return { success: true, attempts: attempt, error: null };
+			} catch (error) {
+				lastError = error;
+				const statusCode = error?.statusCode || "N/A";
+
+				if (!this.isRetryable(error) || attempt === maxAttempts) {
+					LoggerService.error(`推送到 ${label} 失敗（狀態碼: ${statusCode}，已嘗試 ${attempt} 次）`, error);
+					return { success: false, attempts: attempt, error };
+				}
+
+				const delay = this.getRetryDelay(attempt, error);
+				LoggerService.warn(`推送到 ${label} 失敗（狀態碼: ${statusCode}），${Math.round(delay / 1000)} 秒後重試（第 ${attempt}/${maxAttempts} 次）`);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+
+		return { success: false, attempts: maxAttempts, error: lastError };
+	}
+
+	/**
+	 * 推送訊息（含重試）
+	 * @param {string} to - 推送對象 ID
+	 * @param {Array} messages - 訊息陣列
+	 * @returns {Promise<{ success: boolean, attempts: number, error: Error|null }>}
+	 */
+	async pushWithRetry(to, messages) {
+		return this.sendWithRetry(to, () => this.client.pushMessage(to, messages));
+	}
+
+	/**
+	 * 以 multicast 推送給多個用戶（含重試，單次最多 500 人）
+	 * @param {Array<string>} userIds - 用戶 ID
+	 * @param {Array} messages - 訊息陣列
+	 * @returns {Promise<{ success: boolean, attempts: number, error: Error|null }>}
+	 */
+	async multicastWithRetry(userIds, messages) {
+		return this.sendWithRetry(`${userIds.length} 個用戶（multicast）`, () => this.client.multicast(userIds, messages), userIds.length);
+	}
+
+	/**
+	 * 推送相同訊息給多個對象
+	 * - 用戶每 500 人一批以 multicast 送出；只有一個用戶時直接 push
+	 * - 群組 / 聊天室無法使用 multicast，個別 push
+	 * @param {Array<string>} targets - 推送對象 ID
+	 * @param {Array} messages - 訊息陣列
+	 * @returns {Promise<{ delivered: string[], failed: Array<{ id: string, attempts: number, error: Error|null }> }>}
+	 */
+	async deliver(targets, messages) {
+		const result = { delivered: [], failed: [] };
+		const uniqueTargets = [...new Set(targets.filter(Boolean))];
+		const userIds = uniqueTargets.filter((id) => id.startsWith("U"));
+		const chatIds = uniqueTargets.filter((id) => !id.startsWith("U"));
+
+		const batches = [];
+		for (let i = 0; i < userIds.length; i += this.multicastBatchSize) {
+			batches.push(userIds.slice(i, i + this.multicastBatchSize));
+		}
+
+		const pushEach = async (ids) => {
+			for (let i = 0; i < ids.length; i += this.fallbackConcurrency) {
+				await Promise.all(
+					ids.slice(i, i + this.fallbackConcurrency).map(async (id) => {
+						const { success, attempts, error } = await this.pushWithRetry(id, messages);
+						if (success) {
+							result.delivered.push(id);
+						} else {
+							result.failed.push({ id, attempts, error });
+						}
+					})
+				);
+			}
+		};
+
+		await Promise.all([
+			...batches.map(async (batch) => {
+				if (batch.length === 1) return pushEach(batch);
+				const { success, attempts, error } = await this.multicastWithRetry(batch, messages);
+				if (success) {
+					result.delivered.push(...batch);
+				} else if (error?.statusCode === 400) {
+					// 整批被拒通常是其中少數 ID 無效，逐一推送讓其他對象仍能收到
+					LoggerService.warn(`multicast 被拒（400），改為逐一推送 ${batch.length} 個用戶`);
+					await pushEach(batch);
+				} else {
+					result.failed.push(...batch.map((id) => ({ id, attempts, error })));
+				}
+			}),
+			pushEach(chatIds)
+		]);
+
+		return result;
+	}
+
+	/**
+	 * 取得本程序啟動後送出的訊息數（以收件人數計）
+	 * @returns {number}
+	 */
+	getSentCount() {
+		return this.sentCount;
+	}
+}
+
+// 導出單例實例
+module.exports = new LineDeliveryService();
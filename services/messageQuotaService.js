@@ -0,0 +1,276 @@
+/**
+ * LINE 訊息額度服務
+ * - 定期透過 LINE 額度 API 查詢當月上限與已使用量，兩次查詢之間以本程序送出數估算
+ * - 用量達 warnRatio 時通知管理員；達 degradeRatio 時進入節流模式
+ * - 節流模式下非高優先事件不再逐筆推送，暫存於 data/message-quota.json，定時以文字摘要送出
+ *
+ * 設定（event-types.json → settings.messageQuota）：
+ *   { "enabled": true, "refreshMinutes": 60, "warnRatio": 0.8, "degradeRatio": 0.95, "digestMinutes": 60 }
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+const UserService = require("./userService");
+const LineDeliveryService = require("./lineDeliveryService");
+const FlexMessageService = require("./flexMessageService");
+
+class MessageQuotaService {
+	constructor() {
+		this.filename = "message-quota.json";
+		this.maxDigestLines = 30;
+		this.maxHeldPerRecipient = 200;
+		this.checkTimer = null;
+		this.checking = false;
+		// 上次查詢額度時的本程序送出數，用於估算查詢後新增的用量
+		this.sentCountAtRefresh = 0;
+		this.flexMessageService = new FlexMessageService();
+		this.defaultSettings = {
+			enabled: true,
+			refreshMinutes: 60,
+			warnRatio: 0.8,
+			degradeRatio: 0.95,
+			digestMinutes: 60
+		};
+	}
+
+	getSettings() {
+		const settings = HCPClient.getInstance().settings?.messageQuota || {};
+		return { ...this.defaultSettings, ...settings };
+	}
+
+	load() {
+		const data = configService.loadConfig(this.filename, {
+			month: null,
+			limit: null,
+			totalUsage: 0,
+			checkedAt: null,
+			warnedLevels: [],
+			held: {},
+			lastDigestAt: null
+		});
+		if (!Array.isArray(data.warnedLevels)) data.warnedLevels = [];
+		if (!data.held || typeof data.held !== "object") data.held = {};
+		return data;
+	}
+
+	save(data) {
+		return configService.saveConfig(this.filename, data);
+	}
+
+	getMonthKey(now = new Date()) {
+		return now.toLocaleDateString("sv-SE", { timeZone: "Asia/Taipei" }).slice(0, 7);
+	}
+
+	/**
+	 * 查詢 LINE 當月額度與用量
+	 * @returns {Promise<boolean>} 是否查詢成功
+	 */
+	async refresh() {
+		const client = LineDeliveryService.client;
+		if (!client) return false;
+
+		try {
+			const [quota, consumption] = await Promise.all([client.getTargetLimitForAdditionalMessages(), client.getNumberOfMessagesSentThisMonth()]);
+			const data = this.load();
+			const month = this.getMonthKey();
+			if (data.month !== month) {
+				data.month = month;
+				data.warnedLevels = [];
+			}
+			data.limit = quota?.type === "limited" ? Number(quota.value) || null : null;
+			data.totalUsage = Number(consumption?.totalUsage) || 0;
+			data.checkedAt = new Date().toISOString();
+			this.sentCountAtRefresh = LineDeliveryService.getSentCount();
+			this.save(data);
+
+			LoggerService.service(`LINE 訊息額度：已使用 ${data.totalUsage}${data.limit ? ` / ${data.limit}` : "（無上限）"}`);
+			return true;
+		} catch (error) {
+			LoggerService.error("查詢 LINE 訊息額度失敗", error);
+			return false;
+		}
+	}
+
+	/**
+	 * 取得目前用量（上次查詢結果加上之後送出的訊息數）
+	 * @returns {{ limit: number|null, usage: number, ratio: number|null }}
+	 */
+	getUsage() {
+		const data = this.load();
+		const usage = (Number(data.totalUsage) || 0) + Math.max(0, LineDeliveryService.getSentCount() - this.sentCountAtRefresh);
+		const limit = data.month === this.getMonthKey() ? data.limit : null;
+		return { limit, usage, ratio: limit ? usage / limit : null };
+	}
+
+	/**
+	 * 是否已進入節流模式（非高優先事件改以文字摘要送出）
+	 * @returns {boolean}
+	 */
+	isDegraded() {
+		const settings = this.getSettings();
+		if (!settings.enabled) return false;
+		const { ratio } = this.getUsage();
+		return ratio !== null && ratio >= settings.degradeRatio;
+	}
+
+	/**
+	 * 用量達警示門檻時通知管理員（每月每個門檻只通知一次）
+	 */
+	async checkThresholds() {
+		const settings = this.getSettings();
+		const { limit, usage, ratio } = this.getUsage();
+		if (!settings.enabled || ratio === null) return;
+
+		const level = ratio >= settings.degradeRatio ? "degrade" : ratio >= settings.warnRatio ? "warn" : null;
+		const data = this.load();
+		if (!level || data.warnedLevels.includes(level)) return;
+
+		data.warnedLevels = [...new Set([...data.warnedLevels, "warn", level])];
+		this.save(data);
+
+		const percent = Math.floor(ratio * 100);
+		const text =
+			level === "degrade"
+				? `⚠️ LINE 訊息額度即將用盡\n本月已使用 ${usage} / ${limit}（${percent}%）\n\n非高優先事件將改以文字摘要定時送出，高優先事件仍即時推送。`
+				: `⚠️ LINE 訊息額度提醒\n本月已使用 ${usage} / ${limit}（${percent}%）\n\n達 ${Math.floor(settings.degradeRatio * 100)}% 後非高優先事件將改以文字摘要送出。`;
+
+		const admins = UserService.getAllUsers()
+			.filter((user) => user.role === "admin")
+			.map((user) => user.id);
+		const { delivered } = await LineDeliveryService.deliver(admins, [{ type: "text", text }]);
+		LoggerService.warn(`LINE 訊息額度已使用 ${percent}%，已通知 ${delivered.length} 位管理員`);
+	}
+
+	/**
+	 * 節流模式下暫存事件，待下次摘要送出
+	 * @param {string} id - 推送對象 ID
+	 * @param {Object} eventData - 事件資料
+	 */
+	hold(id, eventData) {
+		const data = this.load();
+		const list = data.held[id] || [];
+		list.push({
+			eventId: eventData.eventId || null,
+			kind: eventData.kind || "event",
+			eventType: eventData.eventType ?? null,
+			deviceStatus: eventData.deviceStatus || null,
+			srcName: eventData.srcName || null,
+			happenTime: eventData.happenTime || null
+		});
+		data.held[id] = list.slice(-this.maxHeldPerRecipient);
+		this.save(data);
+		LoggerService.hcp(`[QUOTA] 訊息額度節流中，${id} 的事件 ${eventData.eventId} 併入文字摘要`);
+	}
+
+	/**
+	 * 建立文字摘要
+	 * @param {Array<Object>} events - 暫存事件
+	 * @returns {Object} 文字訊息
+	 */
+	createTextDigest(events) {
+		const formatTime = (input) =>
+			input ? new Date(input).toLocaleString("zh-TW", { timeZone: "Asia/Taipei", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false }) : "未知時間";
+		const lines = events.slice(0, this.maxDigestLines).map((event) => `• ${formatTime(event.happenTime)} ${this.flexMessageService.getEventLabel(event)}（${event.srcName || "未知設備"}）`);
+		if (events.length > this.maxDigestLines) {
+			lines.push(`…另有 ${events.length - this.maxDigestLines} 筆事件，請以「事件歷史」查看`);
+		}
+		return { type: "text", text: `📉 事件文字摘要（${events.length} 筆）\n訊息額度節流中，事件改為定時彙整送出\n\n${lines.join("\n")}` };
+	}
+
+	/**
+	 * 送出暫存事件的文字摘要
+	 * @param {boolean} force - 未到摘要間隔也立即送出
+	 */
+	async flushDigests(force = false) {
+		const settings = this.getSettings();
+		const data = this.load();
+		const heldIds = Object.keys(data.held).filter((id) => Array.isArray(data.held[id]) && data.held[id].length > 0);
+		if (heldIds.length === 0) return;
+
+		const lastDigestAt = data.lastDigestAt ? new Date(data.lastDigestAt).getTime() : 0;
+		if (!force && Date.now() - lastDigestAt < settings.digestMinutes * 60 * 1000) return;
+
+		const sent = new Map();
+		for (const id of heldIds) {
+			const result = await LineDeliveryService.pushWithRetry(id, [this.createTextDigest(data.held[id])]);
+			if (result.success) {
+				sent.set(id, data.held[id].length);
+				LoggerService.hcp(`[QUOTA] 已送出 ${id} 的文字摘要（${data.held[id].length} 筆事件）`);
+			}
+		}
+
+		// 重新讀取後再移除，避免覆蓋送出期間新暫存的事件
+		const latest = this.load();
+		sent.forEach((count, id) => {
+			const remaining = (latest.held[id] || []).slice(count);
+			if (remaining.length > 0) {
+				latest.held[id] = remaining;
+			} else {
+				delete latest.held[id];
+			}
+		});
+		latest.lastDigestAt = new Date().toISOString();
+		this.save(latest);
+	}
+
+	/**
+	 * 定時檢查：到期時查詢額度、檢查門檻並送出摘要
+	 */
+	async check() {
+		if (this.checking) return;
+		this.checking = true;
+		try {
+			const settings = this.getSettings();
+			const data = this.load();
+			const checkedAt = data.checkedAt ? new Date(data.checkedAt).getTime() : 0;
+			if (data.month !== this.getMonthKey() || Date.now() - checkedAt >= settings.refreshMinutes * 60 * 1000) {
+				await this.refresh();
+			}
+			await this.checkThresholds();
+			// 額度恢復（例如跨月）後立即送出剩餘的摘要
+			await this.flushDigests(!this.isDegraded());
+		} catch (error) {
+			LoggerService.error("檢查 LINE 訊息額度失敗", error);
+		} finally {
+			this.checking = false;
+		}
+	}
+
+	/**
+	 * 取得額度狀態
+	 * @returns {{ limit: number|null, usage: number, ratio: number|null, degraded: boolean, checkedAt: string|null, held: number }}
+	 */
+	getStatus() {
+		const data = this.load();
+		return {
+			...this.getUsage(),
+			degraded: this.isDegraded(),
+			checkedAt: data.checkedAt,
+			held: Object.values(data.held).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0)
+		};
+	}
+
+	/**
+	 * 啟動額度檢查排程
+	 * @param {number} intervalMs - 檢查間隔（毫秒）
+	 */
+	start(intervalMs = 60 * 1000) {
+		if (this.checkTimer || !this.getSettings().enabled) return;
+		this.checkTimer = setInterval(() => {
+			void this.check();
+		}, intervalMs);
+		void this.check();
+		LoggerService.service("LINE 訊息額度檢查排程已啟動（每分鐘檢查一次）");
+	}
+
+	stop() {
+		if (this.checkTimer) {
+			clearInterval(this.checkTimer);
+			this.checkTimer = null;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new MessageQuotaService();
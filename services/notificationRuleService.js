@@ -0,0 +1,116 @@
+/**
+ * 通知規則服務
+ * - 依 data/notification-rules.json 決定每筆事件的推送對象
+ * - 規則可比對事件類型、ability、來源設備（srcName / srcIndex）與時段
+ * - 所有符合規則的推送對象取聯集；沒有規則符合時依 settings.defaultRecipients 處理
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const UserService = require("./userService");
+const TimeWindowService = require("./timeWindowService");
+
+class NotificationRuleService {
+	constructor() {
+		this.filename = "notification-rules.json";
+		this.defaultConfig = {
+			rules: [],
+			recipientGroups: {},
+			settings: { defaultRecipients: "all" }
+		};
+	}
+
+	loadRules() {
+		const data = configService.loadConfig(this.filename, this.defaultConfig);
+		return {
+			rules: Array.isArray(data.rules) ? data.rules : [],
+			recipientGroups: data.recipientGroups || {},
+			settings: { ...this.defaultConfig.settings, ...(data.settings || {}) }
+		};
+	}
+
+	/**
+	 * 判斷事件是否符合規則條件（未設定的條件視為符合）
+	 * @param {Object} match - 規則條件
+	 * @param {Object} eventData - 事件資料
+	 * @param {Date} now - 判斷時間
+	 * @returns {boolean}
+	 */
+	matches(match = {}, eventData, now = new Date()) {
+		const includes = (list, value) => !Array.isArray(list) || list.length === 0 || list.map(String).includes(String(value));
+
+		if (!includes(match.eventTypes, eventData.eventType)) return false;
+		if (!includes(match.abilities, eventData.ability)) return false;
+		if (!includes(match.srcNames, eventData.srcName)) return false;
+		if (!includes(match.srcIndexes, eventData.srcIndex)) return false;
+		if (Array.isArray(match.timeWindows) && match.timeWindows.length > 0 && !TimeWindowService.isInAnyWindow(match.timeWindows, now)) {
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * 展開規則的推送對象
+	 * @param {Object} recipients - { ids, roles, recipientGroups }
+	 * @param {Object} recipientGroups - 推送群組定義
+	 * @returns {Array<string>}
+	 */
+	expandRecipients(recipients = {}, recipientGroups = {}) {
+		const ids = new Set(Array.isArray(recipients.ids) ? recipients.ids : []);
+
+		if (Array.isArray(recipients.roles) && recipients.roles.length > 0) {
+			UserService.getAllUsers()
+				.filter((u) => recipients.roles.includes(u.role))
+				.forEach((u) => ids.add(u.id));
+		}
+
+		if (Array.isArray(recipients.recipientGroups)) {
+			recipients.recipientGroups.forEach((name) => {
+				const members = recipientGroups[name];
+				if (Array.isArray(members)) {
+					members.forEach((id) => ids.add(id));
+				} else {
+					LoggerService.warn(`[RULES] 找不到推送群組: ${name}`);
+				}
+			});
+		}
+
+		return [...ids];
+	}
+
+	/**
+	 * 決定事件的推送對象
+	 * @param {Object} eventData - 事件資料
+	 * @param {Array<string>} authorizedIds - 已授權的推送對象
+	 * @param {Date} now - 判斷時間
+	 * @returns {Array<string>} 推送對象（僅限已授權者）
+	 */
+	resolveRecipients(eventData, authorizedIds = [], now = new Date()) {
+		try {
+			const { rules, recipientGroups, settings } = this.loadRules();
+			const matched = rules.filter((rule) => rule && rule.enabled !== false && this.matches(rule.match, eventData, now));
+
+			if (matched.length === 0) {
+				return settings.defaultRecipients === "none" ? [] : authorizedIds;
+			}
+
+			const authorized = new Set(authorizedIds);
+			const recipients = new Set();
+			matched.forEach((rule) => {
+				this.expandRecipients(rule.recipients, recipientGroups).forEach((id) => {
+					if (authorized.has(id)) recipients.add(id);
+				});
+			});
+
+			LoggerService.hcp(`[RULES] 事件 ${eventData.eventId} 符合規則: ${matched.map((rule) => rule.id || rule.name).join(", ")}，推送 ${recipients.size} 個對象`);
+			return [...recipients];
+		} catch (error) {
+			// 規則設定錯誤時退回推送給所有已授權對象，避免漏發警報
+			LoggerService.error("評估通知規則失敗，改為推送給所有通知目標", error);
+			return authorizedIds;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new NotificationRuleService();
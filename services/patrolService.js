@@ -0,0 +1,143 @@
+/**
+ * 定時巡邏服務
+ * - 依 data/patrol-schedules.json 的時段與間隔，定時擷取指定攝影機畫面
+ * - 擷圖沿用 CameraDirectoryService.capture（暫存於 temp 並產生公開 URL）
+ * - 結果以一則圖片 carousel 推送給指定群組 / 用戶
+ *
+ * 設定範例：
+ *   { "patrols": [{ "id": "night", "name": "夜間巡邏", "enabled": true, "target": "Cxxxx",
+ *       "window": { "start": "22:00", "end": "06:00" }, "intervalMinutes": 60,
+ *       "cameras": ["1", { "indexCode": "2", "name": "倉庫入口" }] }] }
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const TimeWindowService = require("./timeWindowService");
+const LineDeliveryService = require("./lineDeliveryService");
+const FlexMessageService = require("./flexMessageService");
+const CameraDirectoryService = require("./cameraDirectoryService");
+
+class PatrolService {
+	constructor() {
+		this.filename = "patrol-schedules.json";
+		this.maxBubblesPerMessage = 12;
+		this.checkTimer = null;
+		this.running = new Set();
+		this.lastRunKeys = new Map();
+		this.flexMessageService = new FlexMessageService();
+	}
+
+	/**
+	 * 取得所有巡邏設定
+	 * @returns {Array<Object>}
+	 */
+	getPatrols() {
+		const data = configService.loadConfig(this.filename, { patrols: [] });
+		return Array.isArray(data.patrols) ? data.patrols.filter((patrol) => patrol && patrol.id) : [];
+	}
+
+	getPatrol(id) {
+		return this.getPatrols().find((patrol) => patrol.id === id) || null;
+	}
+
+	/**
+	 * 判斷巡邏是否到達執行時間（時段內、且距時段開始為間隔的整數倍）
+	 * @param {Object} patrol - 巡邏設定
+	 * @param {Date} now - 判斷時間
+	 * @returns {string|null} 本次執行的時間鍵；未到期回傳 null
+	 */
+	getDueKey(patrol, now = new Date()) {
+		if (patrol.enabled === false || !patrol.window) return null;
+		if (!TimeWindowService.isInWindow(patrol.window, now)) return null;
+
+		const start = TimeWindowService.parseTime(patrol.window.start);
+		const interval = Math.max(1, Number(patrol.intervalMinutes) || 60);
+		const { minutes, dateKey } = TimeWindowService.getLocalParts(now);
+		const elapsed = (minutes - start + 1440) % 1440;
+		if (elapsed % interval !== 0) return null;
+
+		return `${dateKey}-${minutes}`;
+	}
+
+	/**
+	 * 檢查並執行到期的巡邏
+	 * @param {Date} now - 判斷時間
+	 */
+	async checkDue(now = new Date()) {
+		for (const patrol of this.getPatrols()) {
+			const dueKey = this.getDueKey(patrol, now);
+			if (!dueKey || this.lastRunKeys.get(patrol.id) === dueKey) continue;
+			this.lastRunKeys.set(patrol.id, dueKey);
+			await this.runPatrol(patrol);
+		}
+	}
+
+	/**
+	 * 執行巡邏並推送結果
+	 * @param {Object} patrol - 巡邏設定
+	 * @returns {Promise<{ success: boolean, captured: number, failed: number, error?: string }>}
+	 */
+	async runPatrol(patrol) {
+		if (this.running.has(patrol.id)) {
+			return { success: false, captured: 0, failed: 0, error: "巡邏執行中" };
+		}
+		if (!patrol.target || !Array.isArray(patrol.cameras) || patrol.cameras.length === 0) {
+			LoggerService.warn(`[PATROL] ${patrol.id} 未設定推送對象或攝影機`);
+			return { success: false, captured: 0, failed: 0, error: "未設定推送對象或攝影機" };
+		}
+
+		this.running.add(patrol.id);
+		try {
+			LoggerService.service(`[PATROL] 開始巡邏 ${patrol.name || patrol.id}（${patrol.cameras.length} 支攝影機）`);
+
+			// 依序擷圖，避免同時對 YSCP 發出大量請求
+			const captures = [];
+			for (const camera of patrol.cameras) {
+				captures.push(await CameraDirectoryService.capture(camera));
+			}
+
+			const messages = [];
+			for (let i = 0; i < captures.length; i += this.maxBubblesPerMessage) {
+				messages.push(this.flexMessageService.createPatrolFlexMessage(patrol, captures.slice(i, i + this.maxBubblesPerMessage), new Date()));
+			}
+
+			// push 一次最多 5 則訊息
+			let delivered = true;
+			for (let i = 0; i < messages.length; i += 5) {
+				const { success, error } = await LineDeliveryService.pushWithRetry(patrol.target, messages.slice(i, i + 5));
+				if (!success) {
+					delivered = false;
+					LoggerService.error(`[PATROL] ${patrol.id} 推送巡邏結果失敗`, error);
+				}
+			}
+
+			const captured = captures.filter((capture) => capture.imageUrl).length;
+			LoggerService.service(`[PATROL] ${patrol.name || patrol.id} 巡邏完成：成功 ${captured} 支，失敗 ${captures.length - captured} 支`);
+			return { success: delivered, captured, failed: captures.length - captured };
+		} finally {
+			this.running.delete(patrol.id);
+		}
+	}
+
+	/**
+	 * 啟動巡邏排程
+	 * @param {number} intervalMs - 檢查間隔（毫秒），需小於一分鐘以免錯過整點
+	 */
+	start(intervalMs = 30 * 1000) {
+		if (this.checkTimer) return;
+		this.checkTimer = setInterval(() => {
+			this.checkDue().catch((error) => LoggerService.error("[PATROL] 檢查巡邏排程失敗", error));
+		}, intervalMs);
+		LoggerService.service(`定時巡邏排程已啟動（${this.getPatrols().length} 個巡邏設定）`);
+	}
+
+	stop() {
+		if (this.checkTimer) {
+			clearInterval(this.checkTimer);
+			this.checkTimer = null;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new PatrolService();
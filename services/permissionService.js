@@ -0,0 +1,143 @@
+/**
+ * 權限服務
+ * - 角色：admin（管理員）、operator（操作員）、viewer（檢視者）；target（通知目標）為舊版角色，權限等同 operator
+ * - 每個角色對應一組可執行的動作，文字指令與每個 Postback 皆依此檢查
+ *
+ * 動作：
+ *   receive_alarms 接收事件通知、view_history 查看事件記錄、capture 擷取攝影機畫面、
+ *   list_devices 查看設備與攝影機列表、acknowledge 確認處理事件、manage_users 管理用戶
+ *
+ * 設定（event-types.json → settings.permissions，可覆寫預設的角色權限）：
+ *   { "viewer": ["receive_alarms", "view_history", "list_devices"] }
+ *
+ * 審核批准的預設角色（event-types.json → settings.defaultApprovalRole，預設 viewer，不可為 admin）
+ *
+ * 群組成員檢查（event-types.json → settings.groupMemberCheck，預設停用）：
+ *   { "enabled": true, "actions": ["capture", "acknowledge", "manage_users"] }
+ *   啟用後，在已授權的群組或聊天室中執行列出的動作時，觸發的成員本人也須具備該權限
+ */
+
+const HCPClient = require("./hcpClient");
+
+class PermissionService {
+	constructor() {
+		this.actions = {
+			receive_alarms: "接收事件通知",
+			view_history: "查看事件記錄",
+			capture: "擷取攝影機畫面",
+			list_devices: "查看設備列表",
+			acknowledge: "確認處理事件",
+			manage_users: "管理用戶"
+		};
+		this.roleLabels = { admin: "管理員", operator: "操作員", viewer: "檢視者", target: "通知目標" };
+		this.defaultRolePermissions = {
+			admin: Object.keys(this.actions),
+			operator: ["receive_alarms", "view_history", "capture", "list_devices", "acknowledge"],
+			viewer: ["receive_alarms", "view_history", "list_devices"],
+			target: ["receive_alarms", "view_history", "capture", "list_devices", "acknowledge"]
+		};
+		// 依 Postback 前綴對應所需動作（未列出者僅需為已授權角色）
+		this.postbackActions = [
+			["capture_", "capture"],
+			["favorite_add_", "capture"],
+			["favorite_remove_", "capture"],
+			["show_devices", "list_devices"],
+			["page_devices_", "list_devices"],
+			["show_cameras", "list_devices"],
+			["page_cameras_", "list_devices"],
+			["show_events", "view_history"],
+			["page_event_history_", "view_history"],
+			["resend_image_", "view_history"],
+			["ack_event_", "acknowledge"],
+			["resolve_event_", "acknowledge"],
+			["false_alarm_", "acknowledge"],
+			["show_user_management", "manage_users"],
+			["show_pending_users", "manage_users"],
+			["manage_existing_users", "manage_users"],
+			["page_existing_", "manage_users"],
+			["page_pending_", "manage_users"],
+			["approve_", "manage_users"],
+			["reject_", "manage_users"],
+			["remove_user_", "manage_users"],
+			["set_role_", "manage_users"],
+			["show_dead_letters", "manage_users"],
+			["redrive_dead_letters", "manage_users"]
+		];
+		this.defaultGroupMemberCheck = { enabled: false, actions: ["capture", "acknowledge", "manage_users"] };
+	}
+
+	/**
+	 * 取得角色的權限（套用設定覆寫）
+	 * @param {string|null} role - 角色
+	 * @returns {Array<string>} 動作列表
+	 */
+	getRolePermissions(role) {
+		if (!this.isAuthorizedRole(role)) return [];
+		const overrides = HCPClient.getInstance().settings?.permissions || {};
+		return Array.isArray(overrides[role]) ? overrides[role] : this.defaultRolePermissions[role];
+	}
+
+	isAuthorizedRole(role) {
+		return Object.prototype.hasOwnProperty.call(this.defaultRolePermissions, role);
+	}
+
+	/**
+	 * 判斷角色是否可執行動作
+	 * @param {string|null} role - 角色
+	 * @param {string} action - 動作
+	 * @returns {boolean}
+	 */
+	can(role, action) {
+		return this.getRolePermissions(role).includes(action);
+	}
+
+	/**
+	 * 取得 Postback 所需的動作
+	 * @param {string} data - Postback data
+	 * @returns {string|null} 動作；null 表示已授權角色皆可使用
+	 */
+	getPostbackAction(data) {
+		const matched = this.postbackActions.find(([prefix]) => String(data || "").startsWith(prefix));
+		return matched ? matched[1] : null;
+	}
+
+	/**
+	 * 判斷群組或聊天室中的動作是否需另外檢查成員個人權限
+	 * @param {Object} source - Line 事件來源
+	 * @param {string|null} action - 動作
+	 * @returns {boolean}
+	 */
+	requiresMemberCheck(source, action) {
+		if (!action || !source || source.type === "user") return false;
+		const settings = { ...this.defaultGroupMemberCheck, ...(HCPClient.getInstance().settings?.groupMemberCheck || {}) };
+		return settings.enabled === true && Array.isArray(settings.actions) && settings.actions.includes(action);
+	}
+
+	getRoleLabel(role) {
+		return this.roleLabels[role] || role || "未授權";
+	}
+
+	getActionLabel(action) {
+		return this.actions[action] || action;
+	}
+
+	/**
+	 * 管理員可指派的角色（不含舊版 target）
+	 * @returns {Array<string>}
+	 */
+	getAssignableRoles() {
+		return ["viewer", "operator", "admin"];
+	}
+
+	/**
+	 * 審核批准時指派的角色（最低權限，需更多權限時由管理員另行調整）
+	 * @returns {string}
+	 */
+	getDefaultApprovalRole() {
+		const role = HCPClient.getInstance().settings?.defaultApprovalRole;
+		return role !== "admin" && this.getAssignableRoles().includes(role) ? role : "viewer";
+	}
+}
+
+// 導出單例實例
+module.exports = new PermissionService();
@@ -0,0 +1,150 @@
+/**
+ * 勿擾時段服務
+ * - 依用戶/群組紀錄中的 quietHours 判斷目前是否靜音（台北時區），mutedUntil 為暫時靜音的到期時間
+ * - 靜音期間較低優先的事件暫存於 data/quiet-hours-digest.json
+ * - 時段結束後以摘要訊息一次送出
+ */
+
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const UserService = require("./userService");
+const TimeWindowService = require("./timeWindowService");
+const LineDeliveryService = require("./lineDeliveryService");
+const FlexMessageService = require("./flexMessageService");
+
+class QuietHoursService {
+	constructor() {
+		this.filename = "quiet-hours-digest.json";
+		this.defaultAllowPriorities = ["high"];
+		this.maxHeldPerRecipient = 200;
+		this.flushTimer = null;
+		this.flushing = false;
+		this.flexMessageService = new FlexMessageService();
+	}
+
+	/**
+	 * 判斷推送對象目前是否處於勿擾時段
+	 * @param {string} id - 用戶或群組 ID
+	 * @param {Date} now - 判斷時間
+	 * @returns {boolean}
+	 */
+	isInQuietHours(id, now = new Date()) {
+		const quietHours = UserService.getQuietHours(id);
+		if (!quietHours) return false;
+		// 「靜音 1h」設定的暫時靜音不受 enabled 與時段影響
+		if (quietHours.mutedUntil && new Date(quietHours.mutedUntil) > now) return true;
+		if (quietHours.enabled === false) return false;
+		return TimeWindowService.isInAnyWindow(quietHours.windows, now);
+	}
+
+	/**
+	 * 判斷事件是否應暫緩推送
+	 * @param {string} id - 用戶或群組 ID
+	 * @param {string} priority - 事件優先順序（high / normal）
+	 * @param {Date} now - 判斷時間
+	 * @returns {boolean}
+	 */
+	shouldHold(id, priority, now = new Date()) {
+		if (!this.isInQuietHours(id, now)) return false;
+		const quietHours = UserService.getQuietHours(id) || {};
+		const allow = Array.isArray(quietHours.allowPriorities) ? quietHours.allowPriorities : this.defaultAllowPriorities;
+		return !allow.includes(priority);
+	}
+
+	loadHeld() {
+		const data = configService.loadConfig(this.filename, { held: {} });
+		if (!data.held || typeof data.held !== "object") data.held = {};
+		return data;
+	}
+
+	/**
+	 * 暫存事件，待勿擾時段結束後以摘要送出
+	 * @param {string} id - 用戶或群組 ID
+	 * @param {Object} eventData - 事件資料
+	 */
+	hold(id, eventData) {
+		const data = this.loadHeld();
+		const list = data.held[id] || [];
+		list.push({
+			eventId: eventData.eventId || null,
+			kind: eventData.kind || "event",
+			eventType: eventData.eventType ?? null,
+			deviceStatus: eventData.deviceStatus || null,
+			ability: eventData.ability || null,
+			srcName: eventData.srcName || null,
+			happenTime: eventData.happenTime || null,
+			heldAt: new Date().toISOString()
+		});
+		data.held[id] = list.slice(-this.maxHeldPerRecipient);
+		configService.saveConfig(this.filename, data);
+		LoggerService.hcp(`[QUIET_HOURS] ${id} 處於勿擾時段，暫存事件 ${eventData.eventId}`);
+	}
+
+	/**
+	 * 送出已結束勿擾時段的摘要
+	 */
+	async flushDue() {
+		if (this.flushing) return;
+		this.flushing = true;
+		try {
+			const data = this.loadHeld();
+			const sent = [];
+
+			for (const [id, events] of Object.entries(data.held)) {
+				if (!Array.isArray(events) || events.length === 0) {
+					sent.push(id);
+					continue;
+				}
+				if (this.isInQuietHours(id)) continue;
+
+				const digest = this.flexMessageService.createEventDigestFlexMessage(events, "🌙 勿擾時段事件摘要");
+				const result = await LineDeliveryService.pushWithRetry(id, [digest]);
+				if (result.success) {
+					sent.push(id);
+					LoggerService.hcp(`[QUIET_HOURS] 已送出 ${id} 的勿擾摘要（${events.length} 筆事件）`);
+				}
+			}
+
+			if (sent.length > 0) {
+				// 重新讀取後再移除，避免覆蓋送出期間新暫存的事件
+				const latest = this.loadHeld();
+				sent.forEach((id) => {
+					const sentCount = Array.isArray(data.held[id]) ? data.held[id].length : 0;
+					const remaining = (latest.held[id] || []).slice(sentCount);
+					if (remaining.length > 0) {
+						latest.held[id] = remaining;
+					} else {
+						delete latest.held[id];
+					}
+				});
+				configService.saveConfig(this.filename, latest);
+			}
+		} catch (error) {
+			LoggerService.error("送出勿擾摘要失敗", error);
+		} finally {
+			this.flushing = false;
+		}
+	}
+
+	/**
+	 * 啟動摘要檢查排程
+	 * @param {number} intervalMs - 檢查間隔（毫秒）
+	 */
+	start(intervalMs = 60 * 1000) {
+		if (this.flushTimer) return;
+		this.flushTimer = setInterval(() => {
+			void this.flushDue();
+		}, intervalMs);
+		LoggerService.service("勿擾摘要排程已啟動（每分鐘檢查一次）");
+	}
+
+	stop() {
+		if (this.flushTimer) {
+			clearInterval(this.flushTimer);
+			this.flushTimer = null;
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new QuietHoursService();
@@ -0,0 +1,282 @@
+/**
+ * 圖文選單服務
+ * - 啟動時建立並上傳 LINE 圖文選單（admin：用戶管理 / 設備 / 攝影機 / 事件；target：攝影機 / 事件；viewer：設備 / 事件）
+ * - 選單定義或圖片未變更時沿用已建立的選單，記錄於 data/rich-menus.json
+ * - 依用戶角色連結對應選單（operator 與舊版 target 共用 target 選單）；角色變更時（UserService.setRole）重新連結
+ *
+ * 圖片：data/rich-menu-admin.png、data/rich-menu-target.png、data/rich-menu-viewer.png（或 .jpg）存在時使用該檔，
+ * 否則使用 assets/rich-menu/{角色}.png 內建的標示按鈕名稱的圖片（變更 layouts 的按鈕時需一併更新），
+ * 兩者皆無時才產生只以色塊區分按鈕的圖片。自訂圖片尺寸需與選單相同（admin 1200x810、target / viewer 1200x405）。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const configService = require("./configService");
+const LoggerService = require("./loggerService");
+const HCPClient = require("./hcpClient");
+const UserService = require("./userService");
+const LineDeliveryService = require("./lineDeliveryService");
+
+class RichMenuService {
+	constructor() {
+		this.filename = "rich-menus.json";
+		this.assetDir = path.join(__dirname, "..", "assets", "rich-menu");
+		// linkRichMenuToMultipleUsers 單次最多 500 人
+		this.linkBatchSize = 500;
+		this.menus = {};
+		this.layouts = {
+			admin: {
+				name: "YSCP 管理員選單",
+				size: { width: 1200, height: 810 },
+				columns: 3,
+				buttons: [
+					{ label: "用戶管理", data: "show_user_management", color: [124, 58, 237] },
+					{ label: "設備列表", data: "show_devices", color: [37, 99, 235] },
+					{ label: "攝影機", data: "show_cameras", color: [6, 182, 212] },
+					{ label: "事件紀錄", data: "show_events", color: [239, 68, 68] },
+					{ label: "系統狀態", data: "show_system_status", color: [16, 185, 129] },
+					{ label: "使用說明", data: "show_help", color: [75, 85, 99] }
+				]
+			},
+			target: {
+				name: "YSCP 通知選單",
+				size: { width: 1200, height: 405 },
+				columns: 3,
+				buttons: [
+					{ label: "攝影機", data: "show_cameras", color: [6, 182, 212] },
+					{ label: "事件紀錄", data: "show_events", color: [239, 68, 68] },
+					{ label: "使用說明", data: "show_help", color: [75, 85, 99] }
+				]
+			},
+			viewer: {
+				name: "YSCP 檢視選單",
+				size: { width: 1200, height: 405 },
+				columns: 3,
+				buttons: [
+					{ label: "設備列表", data: "show_devices", color: [37, 99, 235] },
+					{ label: "事件紀錄", data: "show_events", color: [239, 68, 68] },
+					{ label: "使用說明", data: "show_help", color: [75, 85, 99] }
+				]
+			}
+		};
+		// 角色對應的選單
+		this.roleLayouts = { admin: "admin", operator: "target", target: "target", viewer: "viewer" };
+
+		UserService.onRoleChange((id, role) => {
+			void this.linkUser(id, role);
+		});
+	}
+
+	isEnabled() {
+		return HCPClient.getInstance().settings?.richMenu?.enabled !== false;
+	}
+
+	get client() {
+		return LineDeliveryService.client;
+	}
+
+	/**
+	 * 依版面計算各按鈕區域
+	 * @param {Object} layout - 選單版面
+	 * @returns {Array<{ x: number, y: number, width: number, height: number }>}
+	 */
+	getBounds(layout) {
+		const rows = Math.ceil(layout.buttons.length / layout.columns);
+		const cellWidth = Math.floor(layout.size.width / layout.columns);
+		const cellHeight = Math.floor(layout.size.height / rows);
+		return layout.buttons.map((_, index) => ({
+			x: (index % layout.columns) * cellWidth,
+			y: Math.floor(index / layout.columns) * cellHeight,
+			width: cellWidth,
+			height: cellHeight
+		}));
+	}
+
+	/**
+	 * 建立 LINE 圖文選單定義
+	 * @param {Object} layout - 選單版面
+	 * @returns {Object} RichMenu 物件
+	 */
+	createDefinition(layout) {
+		const bounds = this.getBounds(layout);
+		return {
+			size: layout.size,
+			selected: false,
+			name: layout.name,
+			chatBarText: "功能選單",
+			areas: layout.buttons.map((button, index) => ({
+				bounds: bounds[index],
+				action: { type: "postback", label: button.label, data: button.data, displayText: button.label }
+			}))
+		};
+	}
+
+	/**
+	 * 取得選單圖片（自訂圖片 → 內建圖片 → 色塊圖片）
+	 * @param {string} role - 角色
+	 * @param {Object} layout - 選單版面
+	 * @returns {{ buffer: Buffer, contentType: string }}
+	 */
+	getImage(role, layout) {
+		for (const [ext, contentType] of [["png", "image/png"], ["jpg", "image/jpeg"]]) {
+			const filePath = path.join(configService.dataDir, `rich-menu-${role}.${ext}`);
+			if (fs.existsSync(filePath)) {
+				return { buffer: fs.readFileSync(filePath), contentType };
+			}
+		}
+		const assetPath = path.join(this.assetDir, `${role}.png`);
+		if (fs.existsSync(assetPath)) {
+			return { buffer: fs.readFileSync(assetPath), contentType: "image/png" };
+		}
+		return { buffer: this.createTileImage(layout), contentType: "image/png" };
+	}
+
+	/**
+	 * 產生預設選單圖片：每個按鈕一個色塊，色塊之間留白線分隔
+	 * @param {Object} layout - 選單版面
+	 * @returns {Buffer} PNG 圖片
+	 */
+	createTileImage(layout) {
+		const { width, height } = layout.size;
+		const bounds = this.getBounds(layout);
+		const gap = 6;
+		const raw = Buffer.alloc((width * 3 + 1) * height, 255);
+
+		bounds.forEach((bound, index) => {
+			const [r, g, b] = layout.buttons[index].color;
+			for (let y = bound.y + gap; y < bound.y + bound.height - gap; y++) {
+				for (let x = bound.x + gap; x < bound.x + bound.width - gap; x++) {
+					const offset = y * (width * 3 + 1) + 1 + x * 3;
+					raw[offset] = r;
+					raw[offset + 1] = g;
+					raw[offset + 2] = b;
+				}
+			}
+		});
+		// 每列開頭的 filter 位元組為 0（None）
+		for (let y = 0; y < height; y++) raw[y * (width * 3 + 1)] = 0;
+
+		const crcTable = Array.from({ length: 256 }, (_, n) => {
+			let c = n;
+			for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			return c >>> 0;
+		});
+		const crc32 = (buffer) => {
+			let c = 0xffffffff;
+			for (const byte of buffer) c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+			return (c ^ 0xffffffff) >>> 0;
+		};
+		const chunk = (type, data) => {
+			const length = Buffer.alloc(4);
+			length.writeUInt32BE(data.length);
+			const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+			const crc = Buffer.alloc(4);
+			crc.writeUInt32BE(crc32(body));
+			return Buffer.concat([length, body, crc]);
+		};
+
+		const header = Buffer.alloc(13);
+		header.writeUInt32BE(width, 0);
+		header.writeUInt32BE(height, 4);
+		header[8] = 8; // bit depth
+		header[9] = 2; // RGB
+		return Buffer.concat([
+			Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+			chunk("IHDR", header),
+			chunk("IDAT", zlib.deflateSync(raw)),
+			chunk("IEND", Buffer.alloc(0))
+		]);
+	}
+
+	/**
+	 * 建立（或沿用）各角色的圖文選單並連結所有用戶
+	 * @returns {Promise<boolean>} 是否完成
+	 */
+	async provision() {
+		if (!this.client || !this.isEnabled()) return false;
+
+		try {
+			const stored = configService.loadConfig(this.filename, { menus: {} });
+			const existingIds = new Set((await this.client.getRichMenuList()).map((menu) => menu.richMenuId));
+			const menus = {};
+
+			for (const [role, layout] of Object.entries(this.layouts)) {
+				const definition = this.createDefinition(layout);
+				const image = this.getImage(role, layout);
+				const hash = crypto.createHash("sha1").update(JSON.stringify(definition)).update(image.buffer).digest("hex");
+				const previous = stored.menus?.[role];
+
+				if (previous?.hash === hash && existingIds.has(previous.richMenuId)) {
+					menus[role] = previous;
+					continue;
+				}
+
+				const richMenuId = await this.client.createRichMenu(definition);
+				await this.client.setRichMenuImage(richMenuId, image.buffer, image.contentType);
+				menus[role] = { richMenuId, hash, createdAt: new Date().toISOString() };
+				LoggerService.service(`已建立 ${role} 圖文選單 ${richMenuId}`);
+
+				// 移除舊版選單（已連結的用戶稍後重新連結）
+				if (previous?.richMenuId && existingIds.has(previous.richMenuId)) {
+					await this.client.deleteRichMenu(previous.richMenuId).catch((error) => LoggerService.warn(`刪除舊圖文選單 ${previous.richMenuId} 失敗: ${error.message}`));
+				}
+			}
+
+			this.menus = menus;
+			configService.saveConfig(this.filename, { menus });
+			await this.linkAll();
+			return true;
+		} catch (error) {
+			LoggerService.error("建立圖文選單失敗", error);
+			return false;
+		}
+	}
+
+	/**
+	 * 依角色連結所有用戶的圖文選單
+	 */
+	async linkAll() {
+		const users = UserService.getByType("user").filter((user) => user.id?.startsWith("U"));
+		for (const layoutKey of Object.keys(this.layouts)) {
+			const richMenuId = this.menus[layoutKey]?.richMenuId;
+			const userIds = users.filter((user) => this.roleLayouts[user.role] === layoutKey).map((user) => user.id);
+			if (!richMenuId || userIds.length === 0) continue;
+
+			for (let i = 0; i < userIds.length; i += this.linkBatchSize) {
+				await this.client.linkRichMenuToMultipleUsers(richMenuId, userIds.slice(i, i + this.linkBatchSize));
+			}
+			LoggerService.service(`已連結 ${userIds.length} 位用戶的 ${layoutKey} 圖文選單`);
+		}
+	}
+
+	/**
+	 * 依角色連結單一用戶的圖文選單；沒有對應選單的角色（pending / blocked）解除連結
+	 * @param {string} userId - 用戶 ID
+	 * @param {string|null} role - 新角色
+	 */
+	async linkUser(userId, role) {
+		if (!this.client || !this.isEnabled() || !userId?.startsWith("U")) return;
+
+		// 尚未完成建立時沿用上次記錄的選單，避免誤解除連結
+		const menus = Object.keys(this.menus).length > 0 ? this.menus : configService.loadConfig(this.filename, { menus: {} }).menus || {};
+		if (Object.keys(menus).length === 0) return;
+
+		try {
+			const richMenuId = menus[this.roleLayouts[role]]?.richMenuId;
+			if (richMenuId) {
+				await this.client.linkRichMenuToUser(userId, richMenuId);
+				LoggerService.user(`${userId} 已連結 ${role} 圖文選單`);
+			} else {
+				await this.client.unlinkRichMenuFromUser(userId);
+				LoggerService.user(`${userId} 已解除圖文選單（角色：${role || "無"}）`);
+			}
+		} catch (error) {
+			LoggerService.error(`連結 ${userId} 的圖文選單失敗`, error);
+		}
+	}
+}
+
+// 導出單例實例
+module.exports = new RichMenuService();
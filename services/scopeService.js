@@ -0,0 +1,183 @@
+/**
+ * 可視範圍服務（多據點隔離）
+ * - 用戶或群組紀錄可設定 scope：{ regions: [regionIndexCode], cameras: [indexCode] }，未設定表示不限
+ * - 區域包含其所有子區域；cameras 可列攝影機或其他事件來源（例如門禁點）的 indexCode
+ * - 用於篩選攝影機與設備列表、擷圖、事件記錄與事件推送，A 據點的群組不會看到 B 據點的資料
+ *
+ * 事件來源判斷：srcIndex 直接列於 cameras → 攝影機所屬區域 → 編碼設備所屬區域 → 門禁連動攝影機（door-cameras.json）
+ */
+
+const LoggerService = require("./loggerService");
+const UserService = require("./userService");
+const CameraDirectoryService = require("./cameraDirectoryService");
+const DoorCameraService = require("./doorCameraService");
+const EventStorageService = require("./eventStorageService");
+
+class ScopeService {
+	/**
+	 * 取得可視範圍
+	 * @param {string} id - 用戶、群組或聊天室 ID
+	 * @returns {{ regions: Array<string>, cameras: Array<string> }|null} null 表示不限
+	 */
+	getScope(id) {
+		const scope = id ? UserService.getScope(id) : null;
+		if (!scope) return null;
+		const regions = Array.isArray(scope.regions) ? scope.regions.map(String) : [];
+		const cameras = Array.isArray(scope.cameras) ? scope.cameras.map(String) : [];
+		return regions.length || cameras.length ? { regions, cameras } : null;
+	}
+
+	/**
+	 * 建立可視範圍比對器
+	 * @param {string} id - 用戶、群組或聊天室 ID
+	 * @returns {Promise<Object|null>} { allowsCamera, allowsDevice, allowsSource, allowsEvent }；null 表示不限
+	 */
+	async getMatcher(id) {
+		const scope = this.getScope(id);
+		if (!scope) return null;
+
+		const [cameras, devices, regions] = await Promise.all([
+			CameraDirectoryService.getCameras().catch((error) => this.handleLoadError("攝影機", error)),
+			CameraDirectoryService.getEncodeDevices().catch((error) => this.handleLoadError("編碼設備", error)),
+			CameraDirectoryService.getRegions()
+		]);
+
+		const regionIds = this.expandRegions(scope.regions, regions);
+		const cameraIds = new Set(scope.cameras);
+		const camerasById = new Map(cameras.map((camera) => [String(camera.cameraIndexCode), camera]));
+		const devicesById = new Map(devices.map((device) => [String(device.encodeDevIndexCode), device]));
+
+		const allowsCamera = (camera) => Boolean(camera) && (cameraIds.has(String(camera.cameraIndexCode)) || regionIds.has(String(camera.regionIndexCode)));
+		const allowedEncodeDevices = new Set(cameras.filter(allowsCamera).map((camera) => String(camera.encodeDevIndexCode)));
+		const allowsDevice = (device) =>
+			Boolean(device) && (regionIds.has(String(device.regionIndexCode)) || allowedEncodeDevices.has(String(device.encodeDevIndexCode)));
+		const allowsSource = (indexCode) => {
+			if (!indexCode) return false;
+			const key = String(indexCode);
+			return cameraIds.has(key) || allowsCamera(camerasById.get(key)) || allowsDevice(devicesById.get(key));
+		};
+		const allowsEvent = (eventData) => {
+			if (allowsSource(eventData?.srcIndex)) return true;
+			const doorCamera = eventData ? DoorCameraService.getCameraForDoor(eventData) : null;
+			return Boolean(doorCamera) && allowsSource(doorCamera.cameraIndexCode);
+		};
+
+		return { scope, allowsCamera, allowsDevice, allowsSource, allowsEvent };
+	}
+
+	handleLoadError(label, error) {
+		// 無法取得列表時僅能比對直接列出的 indexCode，寧可少送也不跨據點推送
+		LoggerService.error(`可視範圍取得${label}列表失敗`, error);
+		return [];
+	}
+
+	/**
+	 * 展開區域（含所有子區域）
+	 * @param {Array<string>} regionIds - 區域 indexCode
+	 * @param {Array<Object>} regions - 平台區域列表
+	 * @returns {Set<string>}
+	 */
+	expandRegions(regionIds, regions) {
+		const expanded = new Set(regionIds.map(String));
+		let added = true;
+		while (added) {
+			added = false;
+			for (const region of regions) {
+				const indexCode = String(region.indexCode);
+				if (!expanded.has(indexCode) && expanded.has(String(region.parentIndexCode))) {
+					expanded.add(indexCode);
+					added = true;
+				}
+			}
+		}
+		return expanded;
+	}
+
+	/**
+	 * 篩選可接收事件的推送對象
+	 * @param {Array<string>} ids - 推送對象
+	 * @param {Object} eventData - 事件資料
+	 * @returns {Promise<Array<string>>}
+	 */
+	async filterRecipients(ids, eventData) {
+		const allowed = [];
+		for (const id of ids) {
+			const matcher = await this.getMatcher(id);
+			if (!matcher || matcher.allowsEvent(eventData)) {
+				allowed.push(id);
+			} else {
+				LoggerService.hcp(`[SCOPE] 事件 ${eventData.eventId}（${eventData.srcName || eventData.srcIndex}）不在 ${id} 的可視範圍，略過推送`, eventData.eventId);
+			}
+		}
+		return allowed;
+	}
+
+	/**
+	 * 依可視範圍將彙整事件分配給推送對象（同一摘要可能包含多個據點的事件）
+	 * @param {Array<string>} ids - 推送對象
+	 * @param {Array<Object>} events - 事件資料
+	 * @returns {Promise<Array<{ ids: Array<string>, events: Array<Object> }>>} 可見事件相同的對象合併為一組；無可見事件的對象不列出
+	 */
+	async groupRecipientsByEvents(ids, events) {
+		const groups = new Map();
+		for (const id of ids) {
+			const matcher = await this.getMatcher(id);
+			const visible = matcher ? events.filter((eventData) => matcher.allowsEvent(eventData)) : events;
+			if (visible.length === 0) {
+				LoggerService.hcp(`[SCOPE] 彙整摘要中沒有 ${id} 可視範圍內的事件，略過推送`);
+				continue;
+			}
+			const key = visible.map((eventData) => eventData.eventId).join(",");
+			if (!groups.has(key)) groups.set(key, { ids: [], events: visible });
+			groups.get(key).ids.push(id);
+		}
+		return [...groups.values()];
+	}
+
+	/**
+	 * 判斷攝影機是否在可視範圍內
+	 * @param {string} id - 用戶、群組或聊天室 ID
+	 * @param {string} cameraId - cameraIndexCode
+	 * @returns {Promise<boolean>}
+	 */
+	async allowsCameraId(id, cameraId) {
+		const matcher = await this.getMatcher(id);
+		return !matcher || matcher.allowsSource(cameraId);
+	}
+
+	/**
+	 * 判斷事件是否在可視範圍內
+	 * @param {string} id - 用戶、群組或聊天室 ID
+	 * @param {string} eventId - 事件 ID
+	 * @returns {Promise<boolean>}
+	 */
+	async allowsEventId(id, eventId) {
+		const matcher = await this.getMatcher(id);
+		if (!matcher) return true;
+		const eventData = EventStorageService.getEvent(eventId) || EventStorageService.getEventFromHistory(eventId);
+		return Boolean(eventData) && matcher.allowsEvent(eventData);
+	}
+
+	/**
+	 * 可視範圍說明文字
+	 * @param {Object|null} scope - 可視範圍
+	 * @returns {Promise<string>}
+	 */
+	async describe(scope) {
+		if (!scope) return "不限（可查看所有攝影機與事件）";
+		const regions = await CameraDirectoryService.getRegions();
+		const regionNames = new Map(regions.map((region) => [String(region.indexCode), region.name]));
+		const cameras = scope.cameras.length ? await CameraDirectoryService.getCamerasByIds(scope.cameras).catch(() => []) : [];
+		const lines = [];
+		if (scope.regions.length) {
+			lines.push(`📍 區域：${scope.regions.map((id) => regionNames.get(id) || id).join("、")}`);
+		}
+		if (scope.cameras.length) {
+			lines.push(`📹 設備：${scope.cameras.map((id, index) => cameras[index]?.cameraName || id).join("、")}`);
+		}
+		return lines.join("\n");
+	}
+}
+
+// 導出單例實例
+module.exports = new ScopeService();
@@ -0,0 +1,113 @@
+/**
+ * 時間區間服務
+ * 提供以台北時區（Asia/Taipei）判斷星期與時段的共用方法
+ *
+ * 時段格式：{ days?: Array<number|string>, start: "HH:mm", end: "HH:mm" }
+ * - days 使用 ISO 星期（1=週一 … 7=週日），亦接受 "mon"~"sun"；未設定代表每天
+ * - start > end 表示跨日（例如 22:00 ~ 06:00），跨日後段以「開始當天」的星期判斷
+ */
+
+class TimeWindowService {
+	constructor() {
+		this.timeZone = "Asia/Taipei";
+		this.dayAliases = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
+		this.formatter = new Intl.DateTimeFormat("en-US", {
+			timeZone: this.timeZone,
+			weekday: "short",
+			year: "numeric",
+			month: "2-digit",
+			day: "2-digit",
+			hour: "2-digit",
+			minute: "2-digit",
+			hourCycle: "h23"
+		});
+	}
+
+	/**
+	 * 取得台北時區的日期資訊
+	 * @param {Date} date - 時間
+	 * @returns {{ weekday: number, minutes: number, dateKey: string }} weekday 為 ISO 星期
+	 */
+	getLocalParts(date = new Date()) {
+		const parts = {};
+		this.formatter.formatToParts(date).forEach(({ type, value }) => {
+			parts[type] = value;
+		});
+		return {
+			weekday: this.dayAliases[parts.weekday.toLowerCase()],
+			minutes: Number(parts.hour) * 60 + Number(parts.minute),
+			dateKey: `${parts.year}-${parts.month}-${parts.day}`
+		};
+	}
+
+	/**
+	 * 解析 "HH:mm" 為當日分鐘數
+	 * @param {string} value - 時間字串
+	 * @returns {number|null}
+	 */
+	parseTime(value) {
+		const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+		if (!match) return null;
+		const hours = Number(match[1]);
+		const minutes = Number(match[2]);
+		if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+		return hours * 60 + minutes;
+	}
+
+	/**
+	 * 標準化星期設定
+	 * @param {Array<number|string>|undefined} days
+	 * @returns {Set<number>|null} null 代表每天
+	 */
+	normalizeDays(days) {
+		if (!Array.isArray(days) || days.length === 0) return null;
+		const result = new Set();
+		days.forEach((day) => {
+			const value = typeof day === "string" ? this.dayAliases[day.toLowerCase().slice(0, 3)] || Number(day) : day;
+			if (Number.isInteger(value) && value >= 1 && value <= 7) result.add(value);
+		});
+		return result.size ? result : null;
+	}
+
+	/**
+	 * 判斷時間是否落在時段內
+	 * @param {Object} window - 時段設定
+	 * @param {Date} date - 時間
+	 * @returns {boolean}
+	 */
+	isInWindow(window, date = new Date()) {
+		if (!window) return false;
+		const start = this.parseTime(window.start);
+		const end = this.parseTime(window.end);
+		if (start === null || end === null) return false;
+
+		const { weekday, minutes } = this.getLocalParts(date);
+		const days = this.normalizeDays(window.days);
+		const dayMatches = (day) => !days || days.has(day);
+		const previousDay = weekday === 1 ? 7 : weekday - 1;
+
+		if (start === end) {
+			// 起訖相同視為全天
+			return dayMatches(weekday);
+		}
+		if (start < end) {
+			return dayMatches(weekday) && minutes >= start && minutes < end;
+		}
+		// 跨日時段
+		return (dayMatches(weekday) && minutes >= start) || (dayMatches(previousDay) && minutes < end);
+	}
+
+	/**
+	 * 判斷時間是否落在任一時段內
+	 * @param {Array} windows - 時段列表
+	 * @param {Date} date - 時間
+	 * @returns {boolean}
+	 */
+	isInAnyWindow(windows, date = new Date()) {
+		if (!Array.isArray(windows)) return false;
+		return windows.some((window) => this.isInWindow(window, date));
+	}
+}
+
+// 導出單例實例
+module.exports = new TimeWindowService();
@@ -6,11 +6,21 @@
 
 const configService = require("./configService");
 const LoggerService = require("./loggerService");
+const PermissionService = require("./permissionService");
 
 class UserService {
 	constructor() {
 		this.ttlMs = 3000; // 讀取快取 TTL
 		this.cache = { data: null, ts: 0 };
+		this.roleChangeListeners = [];
+	}
+
+	/**
+	 * 註冊角色變更通知（例如重新連結圖文選單）
+	 * @param {Function} listener - (id, role, prevRole) => void
+	 */
+	onRoleChange(listener) {
+		this.roleChangeListeners.push(listener);
 	}
 
 	load() {
@@ -38,7 +48,19 @@ class UserService {
 
 	getAuthorizedUserIds() {
 		return this.getAllUsers()
-			.filter((u) => u.role === "admin" || u.role === "target")
+			.filter((u) => PermissionService.isAuthorizedRole(u.role))
+			.map((u) => u.id)
+			.filter(Boolean);
+	}
+
+	/**
+	 * 取得具備指定權限的用戶/群組 ID
+	 * @param {string} action - 動作，例如 receive_alarms
+	 * @returns {Array<string>}
+	 */
+	getIdsWithPermission(action) {
+		return this.getAllUsers()
+			.filter((u) => PermissionService.can(u.role, action))
 			.map((u) => u.id)
 			.filter(Boolean);
 	}
@@ -48,7 +70,13 @@ class UserService {
 		return data.users?.[id]?.role || null;
 	}
 
-	setRole(id, role) {
+	/**
+	 * 設定角色
+	 * @param {string} id - 用戶、群組或聊天室 ID
+	 * @param {string} role - admin | operator | viewer | target | pending | blocked
+	 * @param {Object} audit - 附加於狀態變更日誌的稽核資訊（例如 { via: "invite_code", inviteCode }）
+	 */
+	setRole(id, role, audit = {}) {
 		const data = this.load();
 		if (!data.users) data.users = {};
 		const existing = data.users[id] || { id, type: id?.startsWith("U") ? "user" : id?.startsWith("C") ? "group" : "room", addedAt: new Date().toISOString() };
@@ -63,8 +91,18 @@ class UserService {
 		this.save(data);
 
 		try {
-			LoggerService.logUserStateChange({ id, fromRole: prevRole, toRole: role, type: existing.type, displayName: existing.displayName || null });
+			LoggerService.logUserStateChange({ id, fromRole: prevRole, toRole: role, type: existing.type, displayName: existing.displayName || null, ...audit });
 		} catch (_) {}
+
+		if (prevRole !== role) {
+			this.roleChangeListeners.forEach((listener) => {
+				try {
+					listener(id, role, prevRole);
+				} catch (error) {
+					LoggerService.error(`角色變更通知失敗: ${id}`, error);
+				}
+			});
+		}
 	}
 
 	/**
@@ -130,6 +168,92 @@ class UserService {
 		return { id, ...data.users[id] };
 	}
 
+	/**
+	 * 取得勿擾時段設定
+	 * @param {string} id - 用戶或群組 ID
+	 * @returns {Object|null} { enabled, windows, allowPriorities }
+	 */
+	getQuietHours(id) {
+		const data = this.load();
+		return data.users?.[id]?.quietHours || null;
+	}
+
+	/**
+	 * 設定勿擾時段（與用戶紀錄一併儲存）
+	 * @param {string} id - 用戶或群組 ID
+	 * @param {Object|null} quietHours - { enabled, windows: [{ days, start, end }], allowPriorities, mutedUntil }
+	 * @returns {boolean} 是否成功
+	 */
+	setQuietHours(id, quietHours) {
+		const data = this.load();
+		if (!data.users?.[id]) return false;
+		if (quietHours) {
+			data.users[id].quietHours = quietHours;
+		} else {
+			delete data.users[id].quietHours;
+		}
+		data.users[id].lastUpdatedAt = new Date().toISOString();
+		return this.save(data);
+	}
+
+	/**
+	 * 取得可視範圍
+	 * @param {string} id - 用戶或群組 ID
+	 * @returns {Object|null} { regions: [regionIndexCode], cameras: [indexCode] }；null 表示不限
+	 */
+	getScope(id) {
+		const data = this.load();
+		return data.users?.[id]?.scope || null;
+	}
+
+	/**
+	 * 設定可視範圍（與用戶紀錄一併儲存）
+	 * @param {string} id - 用戶或群組 ID
+	 * @param {Object|null} scope - { regions, cameras }；null 表示不限
+	 * @returns {boolean} 是否成功
+	 */
+	setScope(id, scope) {
+		const data = this.load();
+		if (!data.users?.[id]) return false;
+		if (scope) {
+			data.users[id].scope = scope;
+		} else {
+			delete data.users[id].scope;
+		}
+		data.users[id].lastUpdatedAt = new Date().toISOString();
+		return this.save(data);
+	}
+
+	/**
+	 * 取得最愛攝影機
+	 * @param {string} id - 用戶 ID
+	 * @returns {Array<string>} cameraIndexCode 列表
+	 */
+	getFavoriteCameras(id) {
+		const data = this.load();
+		const favorites = data.users?.[id]?.favoriteCameras;
+		return Array.isArray(favorites) ? favorites : [];
+	}
+
+	/**
+	 * 設定最愛攝影機（與用戶紀錄一併儲存）
+	 * @param {string} id - 用戶 ID
+	 * @param {Array<string>} cameraIds - cameraIndexCode 列表
+	 * @returns {boolean} 是否成功
+	 */
+	setFavoriteCameras(id, cameraIds) {
+		const data = this.load();
+		if (!data.users?.[id]) return false;
+		const favorites = [...new Set((cameraIds || []).map(String))];
+		if (favorites.length > 0) {
+			data.users[id].favoriteCameras = favorites;
+		} else {
+			delete data.users[id].favoriteCameras;
+		}
+		data.users[id].lastUpdatedAt = new Date().toISOString();
+		return this.save(data);
+	}
+
 	getPendingUsers() {
 		return this.getAllUsers().filter((u) => u.role === "pending");
 	}
@@ -0,0 +1,114 @@
+/**
+ * YSCP 通知訊息服務
+ * 將不同 method 的 YSCP 推送轉換為事件佇列使用的事件資料（以 kind 區分）
+ * - OnEventNotify：一般事件（kind: event）
+ * - OnDeviceStatusNotify：設備上線 / 離線（kind: device_status）
+ * - OnAlarmClearNotify / OnEventRecoveryNotify：警報解除 / 恢復（kind: alarm_clear）
+ * - 推送未附 eventId 時只以推送內容組成（method + 來源 + 發生時間），YSCP 重送同一訊息時可被去重
+ */
+
+const crypto = require("crypto");
+
+class YscpNotificationService {
+	constructor() {
+		this.handlers = {
+			OnEventNotify: this.normalizeEventNotify.bind(this),
+			OnDeviceStatusNotify: this.normalizeDeviceStatusNotify.bind(this),
+			OnAlarmClearNotify: this.normalizeAlarmClearNotify.bind(this),
+			OnEventRecoveryNotify: this.normalizeAlarmClearNotify.bind(this)
+		};
+	}
+
+	/**
+	 * 是否支援此 method
+	 * @param {string} method - YSCP 訊息 method
+	 * @returns {boolean}
+	 */
+	isSupported(method) {
+		return Boolean(method && this.handlers[method]);
+	}
+
+	/**
+	 * 轉換 YSCP 推送內容為事件資料列表
+	 * @param {string} method - YSCP 訊息 method
+	 * @param {Object} params - 訊息參數
+	 * @returns {Array<Object>} 事件資料
+	 */
+	normalize(method, params = {}) {
+		const handler = this.handlers[method];
+		return handler ? handler(params || {}, method) : [];
+	}
+
+	/**
+	 * 以推送內容組成 eventId（不使用接收時間）
+	 * @param {string} method - YSCP 訊息 method
+	 * @param {Array<string>} parts - 來源與發生時間等欄位；任一欄位缺少時改用推送內容的雜湊
+	 * @param {Object} payload - 單筆推送內容
+	 * @returns {string}
+	 */
+	buildEventId(method, parts, payload) {
+		if (parts.every((part) => part !== null && part !== undefined && part !== "")) {
+			return `${method}_${parts.join("_")}`;
+		}
+		const digest = crypto.createHash("sha1").update(JSON.stringify(payload)).digest("hex").slice(0, 16);
+		return `${method}_${digest}`;
+	}
+
+	normalizeEventNotify(params) {
+		const events = Array.isArray(params.events) ? params.events : [];
+		return events.map((ev) => ({ ability: params.ability, ...ev }));
+	}
+
+	/**
+	 * 解析設備狀態（online / offline、1 / 0、true / false）
+	 * @returns {string|null}
+	 */
+	parseDeviceStatus(value) {
+		if (value === true || value === 1 || value === "1" || String(value).toLowerCase() === "online") return "online";
+		if (value === false || value === 0 || value === "0" || String(value).toLowerCase() === "offline") return "offline";
+		return null;
+	}
+
+	normalizeDeviceStatusNotify(params, method) {
+		const items = Array.isArray(params.devices) ? params.devices : Array.isArray(params.events) ? params.events : [];
+		return items
+			.map((item) => {
+				const deviceStatus = this.parseDeviceStatus(item.status ?? item.online);
+				if (!deviceStatus) return null;
+				const srcIndex = item.srcIndex || item.indexCode || item.deviceIndexCode || null;
+				const reportedTime = item.happenTime || item.time || null;
+				const happenTime = reportedTime || new Date().toISOString();
+				return {
+					kind: "device_status",
+					ability: params.ability || null,
+					eventId: item.eventId || this.buildEventId(method, [srcIndex || item.srcName, deviceStatus, reportedTime], item),
+					eventType: null,
+					srcIndex,
+					srcName: item.srcName || item.name || item.deviceName || srcIndex,
+					srcType: item.srcType || item.deviceType || null,
+					deviceStatus,
+					happenTime
+				};
+			})
+			.filter(Boolean);
+	}
+
+	normalizeAlarmClearNotify(params, method) {
+		const events = Array.isArray(params.events) ? params.events : [];
+		return events.map((ev) => {
+			const relatedEventId = ev.relatedEventId || ev.eventId || null;
+			return {
+				...ev,
+				kind: "alarm_clear",
+				ability: params.ability || ev.ability || null,
+				// 與原警報區隔，避免覆蓋原事件的歷史紀錄與處理狀態
+				eventId: this.buildEventId(method, [relatedEventId || ev.srcIndex, ev.clearTime || ev.happenTime], ev),
+				relatedEventId,
+				happenTime: ev.clearTime || ev.happenTime || new Date().toISOString()
+			};
+		});
+	}
+}
+
+// 導出單例實例
+module.exports = new YscpNotificationService();
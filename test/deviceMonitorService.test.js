@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const configService = require("../services/configService");
+const EventQueueService = require("../services/eventQueueService");
+const EventStorageService = require("../services/eventStorageService");
+const monitorInstance = require("../services/deviceMonitorService");
+
+const minute = 60 * 1000;
+
+test.after(() => {
+	// 事件儲存服務的每日清理排程會讓測試程序無法結束
+	clearInterval(EventStorageService.cleanupInterval);
+});
+
+/**
+ * 建立不讀寫 data/、不實際入列的監控實例
+ * @param {Object} t - 測試內容（用於 mock，測試結束自動還原）
+ * @param {Object} settings - 監控設定
+ * @returns {{ monitor: Object, poll: (online: boolean, minutes: number) => Promise<Array<string>>, enqueued: Array<Object> }}
+ */
+function createMonitor(t, settings = {}) {
+	const monitor = new monitorInstance.constructor();
+	let snapshot = { devices: {}, lastPolledAt: null };
+	let online = true;
+	let now = Date.parse("2026-10-19T00:00:00Z");
+	const enqueued = [];
+
+	monitor.getSettings = () => ({ ...monitor.defaultSettings, confirmPolls: 2, flapWindowMinutes: 30, flapThreshold: 4, ...settings });
+	monitor.fetchDevices = async () => new Map([["camera:cam-1", { type: "camera", indexCode: "cam-1", name: "大門", online }]]);
+	t.mock.method(configService, "loadConfig", () => JSON.parse(JSON.stringify(snapshot)));
+	t.mock.method(configService, "saveConfig", (filename, data) => {
+		snapshot = JSON.parse(JSON.stringify(data));
+		return true;
+	});
+	t.mock.method(EventQueueService, "enqueue", (eventData) => enqueued.push(eventData));
+	t.mock.method(Date, "now", () => now);
+
+	// 每次輪詢回傳新送出的通知狀態
+	const poll = async (isOnline, elapsedMinutes = 5) => {
+		online = isOnline;
+		now += elapsedMinutes * minute;
+		const before = enqueued.length;
+		await monitor.poll();
+		return enqueued.slice(before).map((eventData) => eventData.deviceStatus);
+	};
+	return { monitor, poll, enqueued };
+}
+
+test("設備監控：首次輪詢只建立基準", async (t) => {
+	const { poll } = createMonitor(t);
+	assert.deepStrictEqual(await poll(false), []);
+	assert.deepStrictEqual(await poll(false), []);
+});
+
+test("設備監控：狀態需連續維持 confirmPolls 次才通知", async (t) => {
+	const { poll, enqueued } = createMonitor(t);
+	await poll(true);
+	assert.deepStrictEqual(await poll(false), []);
+	assert.deepStrictEqual(await poll(false), ["offline"]);
+	assert.deepStrictEqual(await poll(false), []);
+	assert.deepStrictEqual(await poll(true), []);
+	assert.deepStrictEqual(await poll(true), ["online"]);
+	// 恢復上線通知附上離線起始時間
+	assert.strictEqual(enqueued[1].offlineSince, enqueued[0].happenTime);
+});
+
+test("設備監控：只離線一次輪詢不通知", async (t) => {
+	const { poll } = createMonitor(t);
+	await poll(true);
+	assert.deepStrictEqual(await poll(false), []);
+	assert.deepStrictEqual(await poll(true), []);
+	assert.deepStrictEqual(await poll(true), []);
+});
+
+test("設備監控：時間窗內頻繁切換只通知一次不穩定", async (t) => {
+	const { poll } = createMonitor(t);
+	await poll(true);
+	const statuses = [];
+	for (const online of [false, true, false, true, false, true]) {
+		statuses.push(...(await poll(online, 2)));
+	}
+	assert.deepStrictEqual(statuses, ["flapping"]);
+});
+
+test("設備監控：不穩定狀態在整個時間窗內沒有切換才解除", async (t) => {
+	const { poll } = createMonitor(t);
+	await poll(true);
+	for (const online of [false, true, false, true]) {
+		await poll(online, 2);
+	}
+	// 時間窗內仍維持不穩定，不另外通知
+	assert.deepStrictEqual(await poll(false, 10), []);
+	assert.deepStrictEqual(await poll(false, 10), []);
+	// 超過時間窗後依實際狀態通知（回報狀態仍為線上）
+	assert.deepStrictEqual(await poll(false, 31), []);
+	assert.deepStrictEqual(await poll(false, 5), ["offline"]);
+});
+
+test("設備監控：查詢失敗時不更新快照", async (t) => {
+	const { monitor, poll } = createMonitor(t);
+	await poll(true);
+	monitor.fetchDevices = async () => {
+		throw new Error("YSCP 無回應");
+	};
+	assert.strictEqual(await monitor.poll(), 0);
+	assert.strictEqual(configService.saveConfig.mock.callCount(), 1);
+});
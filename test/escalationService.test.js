@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const configService = require("../services/configService");
+const EventStorageService = require("../services/eventStorageService");
+const escalationInstance = require("../services/escalationService");
+
+test.after(() => {
+	// 事件儲存服務的每日清理排程會讓測試程序無法結束
+	clearInterval(EventStorageService.cleanupInterval);
+});
+
+/**
+ * 建立不讀寫 data/ 的升級服務，兩筆事件皆已逾時
+ * @param {Object} t - 測試內容（用於 mock，測試結束自動還原）
+ * @returns {{ escalation: Object, getPending: () => Array<Object>, escalated: Array<string> }}
+ */
+function createEscalation(t) {
+	const escalation = new escalationInstance.constructor();
+	const startedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+	let data = {
+		pending: [
+			{ eventId: "broken", event: { eventId: "broken" }, startedAt, nextTier: 0 },
+			{ eventId: "ok", event: { eventId: "ok" }, startedAt, nextTier: 0 }
+		]
+	};
+	const escalated = [];
+
+	t.mock.method(configService, "loadConfig", () => JSON.parse(JSON.stringify(data)));
+	t.mock.method(configService, "saveConfig", (filename, value) => {
+		data = JSON.parse(JSON.stringify(value));
+		return true;
+	});
+	t.mock.method(EventStorageService, "getEventFromHistory", (eventId) => ({ eventId, status: "open" }));
+	escalation.getTiers = () => [{ afterMinutes: 5 }, { afterMinutes: 60 }];
+	escalation.escalate = async (entry) => {
+		if (entry.eventId === "broken") throw new Error("Flex 建立失敗");
+		escalated.push(entry.eventId);
+	};
+	return { escalation, getPending: () => data.pending, escalated };
+}
+
+test("升級：單一事件失敗不影響其他事件，並記錄失敗", async (t) => {
+	const { escalation, getPending, escalated } = createEscalation(t);
+	await escalation.checkDue();
+
+	assert.deepStrictEqual(escalated, ["ok"]);
+	const [broken, ok] = getPending();
+	assert.strictEqual(broken.nextTier, 0);
+	assert.strictEqual(broken.failures, 1);
+	assert.strictEqual(broken.lastError, "Flex 建立失敗");
+	assert.strictEqual(ok.nextTier, 1);
+});
+
+test("升級：同一級連續失敗達上限後略過該級", async (t) => {
+	const { escalation, getPending } = createEscalation(t);
+	for (let i = 0; i < escalation.maxTierAttempts; i++) {
+		await escalation.checkDue();
+	}
+
+	const broken = getPending().find((entry) => entry.eventId === "broken");
+	assert.strictEqual(broken.nextTier, 1);
+	assert.strictEqual(broken.failures, 0);
+	assert.strictEqual(escalation.getStatus().length, 2);
+});
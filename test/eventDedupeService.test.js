@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const dedupeInstance = require("../services/eventDedupeService");
+
+function createDedupe(settings = {}) {
+	const dedupe = new dedupeInstance.constructor();
+	dedupe.entries = new Map();
+	dedupe.persistCount = 0;
+	dedupe.getSettings = () => ({ ...dedupe.defaultSettings, ...settings });
+	// 不寫入 data/，只記錄實際寫檔次數
+	dedupe.persist = function () {
+		if (this.persistTimer) {
+			clearTimeout(this.persistTimer);
+			this.persistTimer = null;
+		}
+		this.persistCount++;
+	};
+	return dedupe;
+}
+
+function createEvent(eventId, extra = {}) {
+	return { eventId, eventType: 131329, happenTime: "2026-10-19T08:00:00+08:00", srcIndex: "cam-1", ...extra };
+}
+
+test("去重：相同 eventType + eventId 視為重複", () => {
+	const dedupe = createDedupe();
+	assert.strictEqual(dedupe.isDuplicate(createEvent("a")), false);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("a")), true);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("a", { eventType: 1 })), false);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("b")), false);
+});
+
+test("去重：沒有 eventId 的事件不判斷", () => {
+	const dedupe = createDedupe();
+	assert.strictEqual(dedupe.isDuplicate({ eventType: 1 }), false);
+	assert.strictEqual(dedupe.isDuplicate({ eventType: 1 }), false);
+	assert.strictEqual(dedupe.getStats().entries, 0);
+});
+
+test("去重：超過 TTL 的紀錄被清除後不再視為重複", () => {
+	const dedupe = createDedupe({ ttlSeconds: 60 });
+	dedupe.isDuplicate(createEvent("old"));
+	dedupe.isDuplicate(createEvent("new"));
+	dedupe.entries.get("131329:old").seenAt = Date.now() - 120000;
+	// 重新記錄會移到最後，維持由舊到新的順序
+	dedupe.remember(createEvent("old"));
+	assert.deepStrictEqual([...dedupe.entries.keys()], ["131329:new", "131329:old"]);
+
+	dedupe.entries.get("131329:new").seenAt = Date.now() - 120000;
+	assert.strictEqual(dedupe.prune(60), 1);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("new")), false);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("old")), true);
+});
+
+test("去重：連動設備在容許時間內的事件視為重複", () => {
+	const dedupe = createDedupe({ toleranceSeconds: 3, linkedSources: [["door-1", "reader-1"]] });
+	assert.strictEqual(dedupe.isDuplicate(createEvent("d1", { srcIndex: "door-1" })), false);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("r1", { srcIndex: "reader-1", happenTime: "2026-10-19T08:00:02+08:00" })), true);
+	assert.strictEqual(dedupe.isDuplicate(createEvent("r2", { srcIndex: "reader-1", happenTime: "2026-10-19T08:00:10+08:00" })), false);
+	// 同一設備的不同事件不屬於連動
+	assert.strictEqual(dedupe.areLinked({ srcIndex: "door-1" }, { srcIndex: "door-1" }, [["door-1", "reader-1"]]), false);
+});
+
+test("去重：多筆事件合併為一次延遲寫入", async () => {
+	const dedupe = createDedupe();
+	dedupe.persistDelay = 20;
+	for (let i = 0; i < 50; i++) {
+		dedupe.isDuplicate(createEvent(`e${i}`));
+	}
+	assert.strictEqual(dedupe.persistCount, 0);
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	assert.strictEqual(dedupe.persistCount, 1);
+});
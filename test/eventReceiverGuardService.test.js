@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../config");
+const guardInstance = require("../services/eventReceiverGuardService");
+
+const baseSettings = { strict: false, allowedCidrs: [], trustProxy: 0, hmacSecret: null, signatureHeader: "x-signature", replayProtection: false, replayWindowSeconds: 300 };
+
+function createGuard(settings = {}) {
+	config.server.eventToken = null;
+	config.server.eventReceiver = { ...baseSettings, ...settings };
+	return new guardInstance.constructor();
+}
+
+function createRequest(remoteAddress, headers = {}) {
+	return { socket: { remoteAddress }, headers };
+}
+
+test("允許清單：單一 IP 與 CIDR", () => {
+	const guard = createGuard({ allowedCidrs: ["10.0.0.0/8", "203.0.113.5"] });
+	assert.strictEqual(guard.verify(createRequest("10.1.2.3")).ok, true);
+	assert.strictEqual(guard.verify(createRequest("::ffff:203.0.113.5")).ok, true);
+	assert.strictEqual(guard.verify(createRequest("8.8.8.8")).reason, "ip_not_allowed");
+});
+
+test("允許清單：未設定時不限制", () => {
+	const guard = createGuard();
+	assert.strictEqual(guard.verify(createRequest("8.8.8.8")).ok, true);
+});
+
+test("允許清單：任一項目無效時拒絕所有請求（且不因快取而放行）", () => {
+	for (const cidr of ["10.0.0.0/abc", "10.0.0.0/33", "not-an-ip", "10.0.0.0/8/1", "::1/129"]) {
+		const guard = createGuard({ allowedCidrs: ["10.0.0.0/8", cidr] });
+		assert.strictEqual(guard.verify(createRequest("10.1.2.3")).reason, "invalid_allow_list", cidr);
+		assert.strictEqual(guard.verify(createRequest("8.8.8.8")).reason, "invalid_allow_list", cidr);
+	}
+});
+
+test("允許清單：設定變更後重建", () => {
+	const guard = createGuard({ allowedCidrs: ["10.0.0.0/abc"] });
+	assert.strictEqual(guard.verify(createRequest("10.1.2.3")).ok, false);
+	config.server.eventReceiver.allowedCidrs = ["10.0.0.0/8"];
+	assert.strictEqual(guard.verify(createRequest("10.1.2.3")).ok, true);
+});
+
+test("允許清單：IPv6", () => {
+	const guard = createGuard({ allowedCidrs: ["2001:db8::/32"] });
+	assert.strictEqual(guard.verify(createRequest("2001:db8::1")).ok, true);
+	assert.strictEqual(guard.verify(createRequest("2001:db9::1")).ok, false);
+});
+
+test("X-Forwarded-For：未信任代理時忽略", () => {
+	const guard = createGuard();
+	assert.strictEqual(guard.getClientIp(createRequest("127.0.0.1", { "x-forwarded-for": "10.1.1.1" })), "127.0.0.1");
+});
+
+test("X-Forwarded-For：信任 1 層代理時取最右側項目，偽造的左側項目無效", () => {
+	const guard = createGuard({ allowedCidrs: ["10.0.0.0/8"], trustProxy: 1 });
+	const spoofed = createRequest("127.0.0.1", { "x-forwarded-for": "10.1.1.1, 8.8.8.8" });
+	assert.strictEqual(guard.getClientIp(spoofed), "8.8.8.8");
+	assert.strictEqual(guard.verify(spoofed).reason, "ip_not_allowed");
+	assert.strictEqual(guard.verify(createRequest("127.0.0.1", { "x-forwarded-for": "10.2.2.2" })).ok, true);
+});
+
+test("X-Forwarded-For：信任多層代理時由右往左數", () => {
+	const guard = createGuard({ trustProxy: 2 });
+	assert.strictEqual(guard.getClientIp(createRequest("127.0.0.1", { "x-forwarded-for": "1.1.1.1, 10.1.1.1, 172.16.0.1" })), "10.1.1.1");
+	assert.strictEqual(guard.getClientIp(createRequest("127.0.0.1", { "x-forwarded-for": "10.1.1.1" })), "");
+});
+
+test("X-Forwarded-For：trustProxy 為 true 時視為 1 層代理", () => {
+	const guard = createGuard({ trustProxy: true });
+	assert.strictEqual(guard.getTrustedProxyHops(), 1);
+});
+
+test("Token 驗證", () => {
+	const guard = createGuard();
+	config.server.eventToken = "secret-token";
+	assert.strictEqual(guard.verify(createRequest("10.1.1.1", { "x-ca-token": "secret-token" })).ok, true);
+	assert.strictEqual(guard.verify(createRequest("10.1.1.1", { "x-ca-token": "wrong" })).reason, "invalid_token");
+	assert.strictEqual(guard.verify(createRequest("10.1.1.1")).reason, "invalid_token");
+});
+
+test("重送防護：拒絕重複 nonce 與過期時間戳記", () => {
+	const guard = createGuard({ replayProtection: true });
+	const headers = { "x-timestamp": String(Math.floor(Date.now() / 1000)), "x-nonce": "n-1" };
+	assert.strictEqual(guard.verify(createRequest("10.1.1.1", headers)).ok, true);
+	assert.strictEqual(guard.verify(createRequest("10.1.1.1", headers)).reason, "replayed_nonce");
+	assert.strictEqual(guard.verify(createRequest("10.1.1.1", { "x-timestamp": String(Date.now() - 3600 * 1000), "x-nonce": "n-2" })).reason, "stale_timestamp");
+});
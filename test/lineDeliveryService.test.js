@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const deliveryInstance = require("../services/lineDeliveryService");
+
+function createError(statusCode) {
+	return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+}
+
+/**
+ * 建立使用假 LINE client 的傳遞服務（不重試等待）
+ * @param {Object} client - { pushMessage, multicast }
+ * @returns {Object}
+ */
+function createDelivery(client) {
+	const delivery = new deliveryInstance.constructor();
+	delivery.getMaxAttempts = () => 1;
+	delivery.initialize(client);
+	return delivery;
+}
+
+test("傳遞：多個用戶以 multicast 一次送出，群組個別 push", async () => {
+	const calls = [];
+	const delivery = createDelivery({
+		multicast: async (ids) => calls.push(["multicast", ids.length]),
+		pushMessage: async (id) => calls.push(["push", id])
+	});
+	const result = await delivery.deliver(["U1", "U2", "U3", "C1"], [{ type: "text", text: "hi" }]);
+
+	assert.deepStrictEqual(result.delivered.sort(), ["C1", "U1", "U2", "U3"]);
+	assert.deepStrictEqual(result.failed, []);
+	assert.deepStrictEqual(calls.sort(), [["multicast", 3], ["push", "C1"]]);
+});
+
+test("傳遞：multicast 回應 400 時改為逐一 push，只有無效的 ID 失敗", async () => {
+	const delivery = createDelivery({
+		multicast: async () => {
+			throw createError(400);
+		},
+		pushMessage: async (id) => {
+			if (id === "Ubad") throw createError(400);
+		}
+	});
+	const result = await delivery.deliver(["U1", "Ubad", "U2"], [{ type: "text", text: "hi" }]);
+
+	assert.deepStrictEqual(result.delivered.sort(), ["U1", "U2"]);
+	assert.deepStrictEqual(result.failed.map(({ id }) => id), ["Ubad"]);
+	assert.strictEqual(result.failed[0].error.statusCode, 400);
+});
+
+test("傳遞：multicast 其他錯誤仍整批列為失敗", async () => {
+	let pushed = 0;
+	const delivery = createDelivery({
+		multicast: async () => {
+			throw createError(500);
+		},
+		pushMessage: async () => {
+			pushed++;
+		}
+	});
+	const result = await delivery.deliver(["U1", "U2"], [{ type: "text", text: "hi" }]);
+
+	assert.deepStrictEqual(result.delivered, []);
+	assert.deepStrictEqual(result.failed.map(({ id }) => id).sort(), ["U1", "U2"]);
+	assert.strictEqual(pushed, 0);
+});
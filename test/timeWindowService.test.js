@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const TimeWindowService = require("../services/timeWindowService");
+
+// 2026-10-19 為週一（台北時間）
+const at = (text) => new Date(`${text}+08:00`);
+
+test("時間區間：以台北時區取得星期與分鐘數", () => {
+	assert.deepStrictEqual(TimeWindowService.getLocalParts(new Date("2026-10-18T16:30:00Z")), { weekday: 1, minutes: 30, dateKey: "2026-10-19" });
+	assert.deepStrictEqual(TimeWindowService.getLocalParts(at("2026-10-25T23:59:00")), { weekday: 7, minutes: 1439, dateKey: "2026-10-25" });
+});
+
+test("時間區間：解析 HH:mm", () => {
+	assert.strictEqual(TimeWindowService.parseTime("08:30"), 510);
+	assert.strictEqual(TimeWindowService.parseTime("8:05"), 485);
+	assert.strictEqual(TimeWindowService.parseTime("24:00"), 1440);
+	for (const value of ["24:01", "12:60", "1230", "", null, "ab:cd"]) {
+		assert.strictEqual(TimeWindowService.parseTime(value), null, String(value));
+	}
+});
+
+test("時間區間：星期設定接受數字與英文縮寫", () => {
+	assert.deepStrictEqual([...TimeWindowService.normalizeDays(["mon", "Friday", 7, "3", 9])], [1, 5, 7, 3]);
+	assert.strictEqual(TimeWindowService.normalizeDays([]), null);
+	assert.strictEqual(TimeWindowService.normalizeDays(["xyz", 0]), null);
+});
+
+test("時間區間：同日時段含開始、不含結束", () => {
+	const window = { start: "09:00", end: "18:00" };
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-19T09:00:00")), true);
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-19T17:59:00")), true);
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-19T18:00:00")), false);
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-19T08:59:00")), false);
+});
+
+test("時間區間：跨日後段以開始當天的星期判斷", () => {
+	const window = { days: ["fri"], start: "22:00", end: "06:00" };
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-23T23:00:00")), true);
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-24T05:59:00")), true);
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-24T06:00:00")), false);
+	// 週五清晨屬於週四開始的時段，不符合
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-23T03:00:00")), false);
+	assert.strictEqual(TimeWindowService.isInWindow(window, at("2026-10-24T23:00:00")), false);
+});
+
+test("時間區間：起訖相同視為全天，無效設定不成立", () => {
+	assert.strictEqual(TimeWindowService.isInWindow({ days: [6, 7], start: "00:00", end: "00:00" }, at("2026-10-24T13:00:00")), true);
+	assert.strictEqual(TimeWindowService.isInWindow({ days: [6, 7], start: "00:00", end: "00:00" }, at("2026-10-23T13:00:00")), false);
+	assert.strictEqual(TimeWindowService.isInWindow({ start: "25:00", end: "06:00" }, at("2026-10-19T01:00:00")), false);
+	assert.strictEqual(TimeWindowService.isInWindow(null), false);
+});
+
+test("時間區間：任一時段符合即成立", () => {
+	const windows = [
+		{ days: [1, 2, 3, 4, 5], start: "12:00", end: "13:00" },
+		{ days: [6, 7], start: "00:00", end: "00:00" }
+	];
+	assert.strictEqual(TimeWindowService.isInAnyWindow(windows, at("2026-10-19T12:30:00")), true);
+	assert.strictEqual(TimeWindowService.isInAnyWindow(windows, at("2026-10-25T08:00:00")), true);
+	assert.strictEqual(TimeWindowService.isInAnyWindow(windows, at("2026-10-19T14:00:00")), false);
+	assert.strictEqual(TimeWindowService.isInAnyWindow(null), false);
+});
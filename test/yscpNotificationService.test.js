@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const YscpNotificationService = require("../services/yscpNotificationService");
+
+test("YSCP 通知：支援的 method", () => {
+	for (const method of ["OnEventNotify", "OnDeviceStatusNotify", "OnAlarmClearNotify", "OnEventRecoveryNotify"]) {
+		assert.strictEqual(YscpNotificationService.isSupported(method), true, method);
+	}
+	assert.strictEqual(YscpNotificationService.isSupported("OnUnknownNotify"), false);
+	assert.deepStrictEqual(YscpNotificationService.normalize("OnUnknownNotify", {}), []);
+});
+
+test("YSCP 通知：設備狀態的 eventId 由 method、來源與發生時間組成", () => {
+	const [event] = YscpNotificationService.normalize("OnDeviceStatusNotify", {
+		devices: [{ indexCode: "cam-1", name: "大門", status: 0, happenTime: "2026-10-19T08:00:00+08:00" }]
+	});
+	assert.strictEqual(event.kind, "device_status");
+	assert.strictEqual(event.deviceStatus, "offline");
+	assert.strictEqual(event.eventId, "OnDeviceStatusNotify_cam-1_offline_2026-10-19T08:00:00+08:00");
+});
+
+test("YSCP 通知：缺少發生時間時 eventId 以推送內容雜湊，重送結果相同", () => {
+	const params = { devices: [{ indexCode: "cam-1", status: "online" }] };
+	const [first] = YscpNotificationService.normalize("OnDeviceStatusNotify", params);
+	const [retry] = YscpNotificationService.normalize("OnDeviceStatusNotify", JSON.parse(JSON.stringify(params)));
+	assert.match(first.eventId, /^OnDeviceStatusNotify_[0-9a-f]{16}$/);
+	assert.strictEqual(first.eventId, retry.eventId);
+
+	const [other] = YscpNotificationService.normalize("OnDeviceStatusNotify", { devices: [{ indexCode: "cam-2", status: "online" }] });
+	assert.notStrictEqual(first.eventId, other.eventId);
+});
+
+test("YSCP 通知：警報解除與原事件的 eventId 不同", () => {
+	const [event] = YscpNotificationService.normalize("OnAlarmClearNotify", {
+		ability: "event_vss",
+		events: [{ eventId: "evt-1", eventType: 131329, srcIndex: "cam-1", clearTime: "2026-10-19T08:05:00+08:00" }]
+	});
+	assert.strictEqual(event.kind, "alarm_clear");
+	assert.strictEqual(event.relatedEventId, "evt-1");
+	assert.strictEqual(event.eventId, "OnAlarmClearNotify_evt-1_2026-10-19T08:05:00+08:00");
+	assert.strictEqual(event.happenTime, "2026-10-19T08:05:00+08:00");
+});